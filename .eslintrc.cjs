@@ -81,9 +81,12 @@ module.exports = {
       files: [
         ".eslintrc.cjs",
         "vite.config.{js,ts}",
+        "vitest.config.{js,ts}",
         ".graphqlrc.{js,ts}",
         "shopify.server.{js,ts}",
         "**/*.server.{js,ts}",
+        "scripts/**/*.js",
+        "tests/**/*.js",
       ],
       env: {
         node: true,
@@ -1,13 +1,19 @@
 /**
  * Authentication service for handling OAuth and PKCE flows
  */
+import AppConfig from "./services/config.server";
 
 /**
  * Generate authorization URL for the customer
+ * @param {string} shop - The shop domain that owns the conversation
  * @param {string} conversationId - The conversation ID to track the auth flow
+ * @param {string} shopId - The numeric Shopify shop ID
+ * @param {Object} options - Additional options
+ * @param {string} options.returnOrigin - The storefront origin the widget runs on
  * @returns {Promise<Object>} - Object containing the auth URL and conversation ID
+ * @throws {Error} - If the auth flow cannot be stored
  */
-export async function generateAuthUrl(conversationId, shopId) {
+export async function generateAuthUrl(shop, conversationId, shopId, { returnOrigin } = {}) {
   const { storeCodeVerifier } = await import('./db.server');
 
   // Generate authorization URL for the customer
@@ -15,45 +21,33 @@ export async function generateAuthUrl(conversationId, shopId) {
   const scope = "customer-account-mcp-api:full";
   const responseType = "code";
 
-  // Use the actual app URL for redirect
-  const redirectUri = 'https://shopify-agent-003f.webgeeksolutions.com.au/api/auth/callback';
-  console.log('[generateAuthUrl] START - Redirect URI:', redirectUri);
-  console.log('[generateAuthUrl] START - Client ID:', clientId);
-  console.log('[generateAuthUrl] START - Scope:', scope);
-  console.log('[generateAuthUrl] START - redirectUri type:', typeof redirectUri, 'value:', redirectUri);
+  // Use the configured app URL for redirect
+  const redirectUri = getRedirectUri();
 
-  // Include the conversation ID and shop ID in the state parameter for tracking
-  const state = `${conversationId}-${shopId}`;
+  // The state is opaque; the callback looks up the conversation and shop stored with it
+  const state = generateState();
 
   // Generate code verifier and challenge
   const verifier = generateCodeVerifier();
   const challenge = await generateCodeChallenge(verifier);
 
-  // Store the code verifier in the database
-  try {
-    await storeCodeVerifier(state, verifier);
-  } catch (error) {
-    console.error('Failed to store code verifier:', error);
-  }
+  // Store the code verifier in the database; the callback cannot finish without it
+  await storeCodeVerifier({
+    state,
+    verifier,
+    shop,
+    shopId,
+    conversationId,
+    returnOrigin: returnOrigin || `https://${shop}`
+  });
 
   // Set code_challenge and code_challenge_method parameters
   const codeChallengeMethod = "S256";
-  
-  // Use the correct Shopify OAuth endpoint format instead of relying on stored URLs
-  // The stored authorization URLs from OpenID discovery contain template parameters that cause issues
-  const baseAuthUrl = `https://shopify.com/authentication/${shopId}/oauth/authorize`;
-  console.log('[generateAuthUrl] Using hardcoded Shopify OAuth endpoint:', baseAuthUrl);
+
+  const baseAuthUrl = await getBaseAuthUrl(shop, conversationId, shopId);
 
   // Build the final URL using the URL API
-  console.log('[generateAuthUrl] Creating URL object from base:', baseAuthUrl);
   const urlObj = new URL(baseAuthUrl);
-  console.log('[generateAuthUrl] URL object created successfully');
-
-  console.log('[generateAuthUrl] Setting searchParams - clientId:', clientId);
-  console.log('[generateAuthUrl] Setting searchParams - redirectUri:', redirectUri);
-  console.log('[generateAuthUrl] redirectUri type:', typeof redirectUri);
-  console.log('[generateAuthUrl] redirectUri length:', redirectUri ? redirectUri.length : 'null/undefined');
-  
   urlObj.searchParams.set('client_id', clientId || '');
   urlObj.searchParams.set('scope', scope);
   urlObj.searchParams.set('redirect_uri', redirectUri);
@@ -62,46 +56,81 @@ export async function generateAuthUrl(conversationId, shopId) {
   urlObj.searchParams.set('code_challenge', challenge);
   urlObj.searchParams.set('code_challenge_method', codeChallengeMethod);
 
-  console.log('[generateAuthUrl] urlObj after setting params:', urlObj.toString());
-  console.log('[generateAuthUrl] urlObj.searchParams after:', urlObj.searchParams.toString());
-  console.log('[generateAuthUrl] redirect_uri param value:', urlObj.searchParams.get('redirect_uri'));
-
   const authUrl = urlObj.toString();
-  console.log('[generateAuthUrl] Final URL built successfully');
-  
-  console.log('[generateAuthUrl] Final Auth URL:', authUrl);
-  console.log('[generateAuthUrl] Final Auth URL includes redirect_uri:', authUrl.includes('redirect_uri='));
-  console.log('[generateAuthUrl] Final redirect_uri param value:', new URL(authUrl).searchParams.get('redirect_uri'));
-  
-  // Also log what will be sent to client
-  const returnValue = {
+  console.log('[generateAuthUrl] Auth URL:', authUrl);
+
+  return {
     url: authUrl,
     conversation_id: conversationId
   };
-  console.log('[generateAuthUrl] Returning to client:', JSON.stringify(returnValue, null, 2));
+}
 
-  return returnValue;
+/**
+ * Get the OAuth redirect URI registered for customer account authentication
+ * @returns {string} - The redirect URI on this app's public URL
+ * @throws {Error} - If SHOPIFY_APP_URL is not set
+ */
+export function getRedirectUri() {
+  const { appUrl, redirectPath } = AppConfig.customerAuth;
+
+  if (!appUrl) {
+    throw new Error("SHOPIFY_APP_URL is required to build the customer auth redirect URI");
+  }
+
+  return new URL(redirectPath, appUrl).toString();
 }
 
 /**
- * Get the base auth URL from the customer MCP API URL
+ * Get the token URL from the stored OpenID discovery data
+ * @param {string} shop - The shop domain that owns the conversation
+ * @param {string} conversationId - The conversation ID
+ * @param {string} shopId - The numeric Shopify shop ID, used when discovery data is missing
+ * @returns {Promise<string>} - The token URL
+ */
+export async function getTokenUrl(shop, conversationId, shopId) {
+  const { getCustomerAccountUrls } = await import('./db.server');
+  const urls = await getCustomerAccountUrls(shop, conversationId);
+
+  return getDiscoveredUrl(urls?.tokenUrl) ||
+    (shopId ? `https://shopify.com/authentication/${shopId}/oauth/token` : 'https://accounts.shopify.com/oauth/token');
+}
+
+/**
+ * Get the base auth URL from the stored OpenID discovery data
+ * @param {string} shop - The shop domain that owns the conversation
  * @param {string} conversationId - The conversation ID to track the auth flow
- * @returns {Promise<string|null>} - The base auth URL or null if not found
+ * @param {string} shopId - The numeric Shopify shop ID, used when discovery data is missing
+ * @returns {Promise<string>} - The base auth URL
  */
-async function getBaseAuthUrl(conversationId) {
+async function getBaseAuthUrl(shop, conversationId, shopId) {
   const { getCustomerAccountUrls } = await import('./db.server');
-  const urls = await getCustomerAccountUrls(conversationId);
-
-  console.log('[getBaseAuthUrl] Retrieved URLs from DB:', JSON.stringify(urls, null, 2));
-  console.log('[getBaseAuthUrl] authorizationUrl:', urls?.authorizationUrl);
-  console.log('[getBaseAuthUrl] authorizationUrl type:', typeof urls?.authorizationUrl);
-  console.log('[getBaseAuthUrl] authorizationUrl length:', urls?.authorizationUrl ? urls.authorizationUrl.length : 'null/undefined');
-
-  // Return stored URL or default to Shopify accounts
-  const result = urls?.authorizationUrl || 'https://accounts.shopify.com/oauth/authorize';
-  console.log('[getBaseAuthUrl] Returning:', result);
-  console.log('[getBaseAuthUrl] Result type:', typeof result);
-  return result;
+  const urls = await getCustomerAccountUrls(shop, conversationId);
+
+  return getDiscoveredUrl(urls?.authorizationUrl) ||
+    (shopId ? `https://shopify.com/authentication/${shopId}/oauth/authorize` : 'https://accounts.shopify.com/oauth/authorize');
+}
+
+/**
+ * Check a URL from OpenID discovery before using it
+ * @param {string|null} url - The discovered URL
+ * @returns {string|null} - The URL, or null if it is missing or still contains template parameters
+ */
+function getDiscoveredUrl(url) {
+  if (!url || /[{}]|%7B|%7D/i.test(url)) {
+    return null;
+  }
+
+  return url;
+}
+
+/**
+ * Generate an opaque OAuth state parameter
+ * @returns {string} - The generated state
+ */
+export function generateState() {
+  const array = new Uint8Array(24);
+  crypto.getRandomValues(array);
+  return base64UrlEncode(convertBufferToString(array));
 }
 
 /**
@@ -1,4 +1,5 @@
 import { PrismaClient } from "@prisma/client";
+import { encryptToken, decryptToken } from "./services/token-encryption.server";
 
 if (process.env.NODE_ENV !== "production") {
   if (!global.prismaGlobal) {
@@ -11,12 +12,17 @@ const prisma = global.prismaGlobal ?? new PrismaClient();
 export default prisma;
 
 /**
- * Store a code verifier for PKCE authentication
- * @param {string} state - The state parameter used in OAuth flow
- * @param {string} verifier - The code verifier to store
+ * Store a code verifier for PKCE authentication, with the context needed to finish the flow
+ * @param {Object} params - The auth flow
+ * @param {string} params.state - The opaque state parameter used in OAuth flow
+ * @param {string} params.verifier - The code verifier to store
+ * @param {string} params.shop - The shop domain that owns the conversation
+ * @param {string} params.shopId - The numeric Shopify shop ID
+ * @param {string} params.conversationId - The conversation the customer is signing in for
+ * @param {string} params.returnOrigin - The storefront origin to notify when the flow ends
  * @returns {Promise<Object>} - The saved code verifier object
  */
-export async function storeCodeVerifier(state, verifier) {
+export async function storeCodeVerifier({ state, verifier, shop, shopId, conversationId, returnOrigin }) {
   // Calculate expiration date (10 minutes from now)
   const expiresAt = new Date();
   expiresAt.setMinutes(expiresAt.getMinutes() + 10);
@@ -27,6 +33,10 @@ export async function storeCodeVerifier(state, verifier) {
         id: `cv_${Date.now()}`,
         state,
         verifier,
+        shop,
+        shopId: shopId || "",
+        conversationId,
+        returnOrigin,
         expiresAt
       }
     });
@@ -37,9 +47,9 @@ export async function storeCodeVerifier(state, verifier) {
 }
 
 /**
- * Get a code verifier by state parameter
+ * Get a code verifier by state parameter. Each verifier can only be retrieved once.
  * @param {string} state - The state parameter used in OAuth flow
- * @returns {Promise<Object|null>} - The code verifier object or null if not found
+ * @returns {Promise<Object|null>} - The code verifier object or null if not found or expired
  */
 export async function getCodeVerifier(state) {
   try {
@@ -52,16 +62,17 @@ export async function getCodeVerifier(state) {
       }
     });
 
-    if (verifier) {
-      // Delete it after retrieval to prevent reuse
-      await prisma.codeVerifier.delete({
-        where: {
-          id: verifier.id
-        }
-      });
-    }
+    if (!verifier) return null;
 
-    return verifier;
+    // Delete it after retrieval to prevent reuse; a concurrent callback that
+    // deleted it first wins
+    const { count } = await prisma.codeVerifier.deleteMany({
+      where: {
+        id: verifier.id
+      }
+    });
+
+    return count > 0 ? verifier : null;
   } catch (error) {
     console.error('Error retrieving code verifier:', error);
     return null;
@@ -69,17 +80,21 @@ export async function getCodeVerifier(state) {
 }
 
 /**
- * Store a customer access token in the database
+ * Store a customer access token in the database.
+ * Tokens are encrypted before they are written.
+ * @param {string} shop - The shop domain that owns the conversation
  * @param {string} conversationId - The conversation ID to associate with the token
  * @param {string} accessToken - The access token to store
  * @param {Date} expiresAt - When the token expires
+ * @param {string} refreshToken - The refresh token; an existing one is kept when omitted
+ * @param {string} shopId - The numeric Shopify shop ID; an existing one is kept when omitted
  * @returns {Promise<Object>} - The saved customer token
  */
-export async function storeCustomerToken(conversationId, accessToken, expiresAt) {
+export async function storeCustomerToken(shop, conversationId, accessToken, expiresAt, refreshToken = null, shopId = null) {
   try {
     // Check if a token already exists for this conversation
     const existingToken = await prisma.customerToken.findFirst({
-      where: { conversationId }
+      where: { shop, conversationId }
     });
 
     if (existingToken) {
@@ -87,7 +102,9 @@ export async function storeCustomerToken(conversationId, accessToken, expiresAt)
       return await prisma.customerToken.update({
         where: { id: existingToken.id },
         data: {
-          accessToken,
+          accessToken: encryptToken(accessToken),
+          ...(refreshToken ? { refreshToken: encryptToken(refreshToken) } : {}),
+          ...(shopId ? { shopId } : {}),
           expiresAt,
           updatedAt: new Date()
         }
@@ -98,8 +115,11 @@ export async function storeCustomerToken(conversationId, accessToken, expiresAt)
     return await prisma.customerToken.create({
       data: {
         id: `ct_${Date.now()}`,
+        shop,
         conversationId,
-        accessToken,
+        accessToken: encryptToken(accessToken),
+        refreshToken: encryptToken(refreshToken),
+        shopId,
         expiresAt,
         createdAt: new Date(),
         updatedAt: new Date()
@@ -112,39 +132,75 @@ export async function storeCustomerToken(conversationId, accessToken, expiresAt)
 }
 
 /**
- * Get a customer access token by conversation ID
+ * Get a customer access token by conversation ID, with its tokens decrypted
+ * @param {string} shop - The shop domain that owns the conversation
  * @param {string} conversationId - The conversation ID
+ * @param {Object} options - Lookup options
+ * @param {boolean} options.includeExpired - Also return expired tokens, e.g. to refresh them
  * @returns {Promise<Object|null>} - The customer token or null if not found/expired
  */
-export async function getCustomerToken(conversationId) {
+export async function getCustomerToken(shop, conversationId, { includeExpired = false } = {}) {
   try {
     const token = await prisma.customerToken.findFirst({
       where: {
+        shop,
         conversationId,
-        expiresAt: {
-          gt: new Date() // Only return non-expired tokens
-        }
+        // Only return non-expired tokens unless asked otherwise
+        ...(includeExpired ? {} : { expiresAt: { gt: new Date() } })
       }
     });
 
-    return token;
+    if (!token) return null;
+
+    const accessToken = decryptToken(token.accessToken);
+    if (!accessToken) return null;
+
+    return {
+      ...token,
+      accessToken,
+      refreshToken: decryptToken(token.refreshToken)
+    };
   } catch (error) {
     console.error('Error retrieving customer token:', error);
     return null;
   }
 }
 
+/**
+ * Delete the customer tokens stored for a conversation
+ * @param {string} shop - The shop domain that owns the conversation
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<number>} - The number of deleted tokens
+ */
+export async function deleteCustomerTokens(shop, conversationId) {
+  try {
+    const { count } = await prisma.customerToken.deleteMany({
+      where: { shop, conversationId }
+    });
+    return count;
+  } catch (error) {
+    console.error('Error deleting customer tokens:', error);
+    throw error;
+  }
+}
+
 /**
  * Create or update a conversation in the database
+ * @param {string} shop - The shop domain that owns the conversation
  * @param {string} conversationId - The conversation ID
  * @returns {Promise<Object>} - The created or updated conversation
+ * @throws {Error} - If the conversation belongs to another shop
  */
-export async function createOrUpdateConversation(conversationId) {
+export async function createOrUpdateConversation(shop, conversationId) {
   try {
     const existingConversation = await prisma.conversation.findUnique({
       where: { id: conversationId }
     });
 
+    if (existingConversation && existingConversation.shop !== shop) {
+      throw new Error(`Conversation ${conversationId} does not belong to ${shop}`);
+    }
+
     if (existingConversation) {
       return await prisma.conversation.update({
         where: { id: conversationId },
@@ -156,7 +212,8 @@ export async function createOrUpdateConversation(conversationId) {
 
     return await prisma.conversation.create({
       data: {
-        id: conversationId
+        id: conversationId,
+        shop
       }
     });
   } catch (error) {
@@ -167,22 +224,27 @@ export async function createOrUpdateConversation(conversationId) {
 
 /**
  * Save a message to the database
+ * @param {string} shop - The shop domain that owns the conversation
  * @param {string} conversationId - The conversation ID
  * @param {string} role - The message role (user or assistant)
  * @param {string} content - The message content
+ * @param {Object} options - Additional options
+ * @param {string} options.status - "complete" (default) or "cancelled" for replies stopped by the customer
  * @returns {Promise<Object>} - The saved message
  */
-export async function saveMessage(conversationId, role, content) {
+export async function saveMessage(shop, conversationId, role, content, { status = "complete" } = {}) {
   try {
-    // Ensure the conversation exists
-    await createOrUpdateConversation(conversationId);
+    // Ensure the conversation exists and belongs to the shop
+    await createOrUpdateConversation(shop, conversationId);
 
     // Create the message
     return await prisma.message.create({
       data: {
+        shop,
         conversationId,
         role,
-        content
+        content,
+        status
       }
     });
   } catch (error) {
@@ -193,13 +255,20 @@ export async function saveMessage(conversationId, role, content) {
 
 /**
  * Get conversation history
+ * @param {string} shop - The shop domain that owns the conversation
  * @param {string} conversationId - The conversation ID
+ * @param {Object} options - Query options
+ * @param {Date} options.after - Only include messages created after this time (optional)
  * @returns {Promise<Array>} - Array of messages in the conversation
  */
-export async function getConversationHistory(conversationId) {
+export async function getConversationHistory(shop, conversationId, { after } = {}) {
   try {
     const messages = await prisma.message.findMany({
-      where: { conversationId },
+      where: {
+        shop,
+        conversationId,
+        ...(after ? { createdAt: { gt: after } } : {})
+      },
       orderBy: { createdAt: 'asc' }
     });
 
@@ -210,29 +279,156 @@ export async function getConversationHistory(conversationId) {
   }
 }
 
+/**
+ * Get the rolling summary of a conversation's earlier messages
+ * @param {string} shop - The shop domain that owns the conversation
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<Object|null>} - The summary and the creation time of the last message it covers, or null
+ */
+export async function getConversationSummary(shop, conversationId) {
+  try {
+    return await prisma.conversation.findFirst({
+      where: { id: conversationId, shop },
+      select: { summary: true, summarizedThrough: true }
+    });
+  } catch (error) {
+    console.error('Error retrieving conversation summary:', error);
+    return null;
+  }
+}
+
+/**
+ * Save the rolling summary of a conversation's earlier messages
+ * @param {string} shop - The shop domain that owns the conversation
+ * @param {string} conversationId - The conversation ID
+ * @param {string} summary - The summary text
+ * @param {Date} summarizedThrough - Creation time of the last message the summary covers
+ * @returns {Promise<boolean>} - True if the summary was saved
+ */
+export async function saveConversationSummary(shop, conversationId, summary, summarizedThrough) {
+  try {
+    const { count } = await prisma.conversation.updateMany({
+      where: { id: conversationId, shop },
+      data: { summary, summarizedThrough }
+    });
+
+    return count > 0;
+  } catch (error) {
+    console.error('Error saving conversation summary:', error);
+    return false;
+  }
+}
+
+/**
+ * List conversations for the admin dashboard, newest activity first
+ * @param {string} shop - The shop domain
+ * @param {Object} options - Query options
+ * @param {string} options.search - Text to match against the conversation ID or message content
+ * @param {Date} options.from - Only include conversations started on or after this date
+ * @param {Date} options.to - Only include conversations started before this date
+ * @param {number} options.page - The 1-based page number
+ * @param {number} options.pageSize - Conversations per page
+ * @returns {Promise<Object>} - The page of conversations, each with its first user message and message count, and the total count
+ */
+export async function listConversations(shop, { search, from, to, page = 1, pageSize = 20 } = {}) {
+  try {
+    const where = { shop };
+
+    if (search) {
+      where.OR = [
+        { id: { contains: search } },
+        { messages: { some: { content: { contains: search } } } }
+      ];
+    }
+
+    if (from || to) {
+      where.createdAt = {
+        ...(from ? { gte: from } : {}),
+        ...(to ? { lt: to } : {})
+      };
+    }
+
+    const [total, conversations] = await prisma.$transaction([
+      prisma.conversation.count({ where }),
+      prisma.conversation.findMany({
+        where,
+        orderBy: { updatedAt: 'desc' },
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+        include: {
+          _count: { select: { messages: true } },
+          messages: {
+            where: { role: 'user' },
+            orderBy: { createdAt: 'asc' },
+            take: 1
+          }
+        }
+      })
+    ]);
+
+    return { conversations, total };
+  } catch (error) {
+    console.error('Error listing conversations:', error);
+    return { conversations: [], total: 0 };
+  }
+}
+
+/**
+ * Get a conversation with all of its messages
+ * @param {string} shop - The shop domain
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<Object|null>} - The conversation or null if not found
+ */
+export async function getConversation(shop, conversationId) {
+  try {
+    return await prisma.conversation.findFirst({
+      where: { id: conversationId, shop },
+      include: {
+        messages: { orderBy: { createdAt: 'asc' } }
+      }
+    });
+  } catch (error) {
+    console.error('Error retrieving conversation:', error);
+    return null;
+  }
+}
+
 /**
  * Store customer account URLs for a conversation
+ * @param {string} shop - The shop domain that owns the conversation
  * @param {string} conversationId - The conversation ID
  * @param {string} mcpApiUrl - The customer account MCP URL
  * @param {string} authorizationUrl - The customer account authorization URL
  * @param {string} tokenUrl - The customer account token URL
+ * @param {string} revocationUrl - The customer account token revocation URL
  * @returns {Promise<Object>} - The saved urls object
  */
-export async function storeCustomerAccountUrls({conversationId, mcpApiUrl, authorizationUrl, tokenUrl}) {
+export async function storeCustomerAccountUrls({shop, conversationId, mcpApiUrl, authorizationUrl, tokenUrl, revocationUrl}) {
   try {
+    const existingUrls = await prisma.customerAccountUrls.findUnique({
+      where: { conversationId }
+    });
+
+    if (existingUrls && existingUrls.shop !== shop) {
+      throw new Error(`Conversation ${conversationId} does not belong to ${shop}`);
+    }
+
     return await prisma.customerAccountUrls.upsert({
       where: { conversationId },
       create: {
+        shop,
         conversationId,
         mcpApiUrl,
         authorizationUrl,
         tokenUrl,
+        revocationUrl,
         updatedAt: new Date(),
       },
       update: {
         mcpApiUrl,
         authorizationUrl,
         tokenUrl,
+        revocationUrl,
         updatedAt: new Date(),
       },
     });
@@ -244,16 +440,687 @@ export async function storeCustomerAccountUrls({conversationId, mcpApiUrl, autho
 
 /**
  * Get customer account URLs for a conversation
+ * @param {string} shop - The shop domain that owns the conversation
  * @param {string} conversationId - The conversation ID
  * @returns {Promise<Object|null>} - The customer account URLs or null if not found
  */
-export async function getCustomerAccountUrls(conversationId) {
+export async function getCustomerAccountUrls(shop, conversationId) {
   try {
-    return await prisma.customerAccountUrls.findUnique({
-      where: { conversationId }
+    return await prisma.customerAccountUrls.findFirst({
+      where: { shop, conversationId }
     });
   } catch (error) {
     console.error('Error retrieving customer account URLs:', error);
     return null;
   }
 }
+
+/**
+ * Check whether a shop has installed the app
+ * @param {string} shop - The shop domain
+ * @returns {Promise<boolean>} - True if the shop has a stored session
+ */
+export async function isShopInstalled(shop) {
+  try {
+    const session = await prisma.session.findFirst({
+      where: { shop },
+      select: { id: true }
+    });
+    return Boolean(session);
+  } catch (error) {
+    console.error('Error checking shop installation:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the third-party MCP servers registered by a shop
+ * @param {string} shop - The shop domain
+ * @param {Object} options - Query options
+ * @param {boolean} options.enabledOnly - Only return enabled servers
+ * @returns {Promise<Array>} - Array of MCP servers with parsed headers
+ */
+export async function getMcpServers(shop, { enabledOnly = false } = {}) {
+  try {
+    const servers = await prisma.mcpServer.findMany({
+      where: {
+        shop,
+        ...(enabledOnly ? { enabled: true } : {})
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    return servers.map((server) => ({
+      ...server,
+      headers: parseHeaders(server.headers)
+    }));
+  } catch (error) {
+    console.error('Error retrieving MCP servers:', error);
+    return [];
+  }
+}
+
+/**
+ * Create or update a third-party MCP server for a shop
+ * @param {Object} server - The server to save
+ * @param {string} server.id - The server ID (omit to create)
+ * @param {string} server.shop - The shop domain
+ * @param {string} server.name - The tool namespace
+ * @param {string} server.url - The MCP endpoint URL
+ * @param {Object} server.headers - HTTP headers sent with every request
+ * @param {boolean} server.enabled - Whether the server's tools are offered to the model
+ * @returns {Promise<Object>} - The saved MCP server with parsed headers
+ */
+export async function saveMcpServer({ id, shop, name, url, headers = {}, enabled = true }) {
+  try {
+    const data = {
+      name,
+      url,
+      // Headers usually carry API keys, so they are encrypted at rest
+      headers: encryptToken(JSON.stringify(headers)),
+      enabled
+    };
+
+    let server;
+    if (id) {
+      // Scope the update to the shop so one store cannot edit another's servers
+      await prisma.mcpServer.updateMany({
+        where: { id, shop },
+        data
+      });
+      server = await prisma.mcpServer.findFirst({ where: { id, shop } });
+    } else {
+      server = await prisma.mcpServer.create({
+        data: {
+          ...data,
+          shop
+        }
+      });
+    }
+
+    return server && { ...server, headers: parseHeaders(server.headers) };
+  } catch (error) {
+    console.error('Error saving MCP server:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a third-party MCP server
+ * @param {string} shop - The shop domain
+ * @param {string} id - The server ID
+ * @returns {Promise<number>} - Number of deleted servers
+ */
+export async function deleteMcpServer(shop, id) {
+  try {
+    const result = await prisma.mcpServer.deleteMany({
+      where: { id, shop }
+    });
+    return result.count;
+  } catch (error) {
+    console.error('Error deleting MCP server:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save the token usage of a model call
+ * @param {string} shop - The shop domain
+ * @param {string} conversationId - The conversation ID
+ * @param {Object} usage - The usage record
+ * @param {string} usage.provider - The provider name
+ * @param {string} usage.model - The model that served the call
+ * @param {string} usage.purpose - "chat" or "summary"
+ * @param {number} usage.inputTokens - Uncached input tokens
+ * @param {number} usage.outputTokens - Output tokens
+ * @param {number} usage.cacheCreationInputTokens - Input tokens written to the prompt cache
+ * @param {number} usage.cacheReadInputTokens - Input tokens read from the prompt cache
+ * @param {number|null} usage.costUsd - Estimated cost, or null if the model has no price
+ * @returns {Promise<Object|null>} - The saved record, or null if it could not be saved
+ */
+export async function saveTokenUsage(shop, conversationId, usage) {
+  try {
+    return await prisma.tokenUsage.create({
+      data: {
+        shop,
+        conversationId,
+        ...usage
+      }
+    });
+  } catch (error) {
+    console.error('Error saving token usage:', error);
+    return null;
+  }
+}
+
+/**
+ * Roll up a shop's token usage and cost
+ * @param {string} shop - The shop domain
+ * @param {Object} options - Query options
+ * @param {Date} options.from - Only include usage on or after this date
+ * @param {Date} options.to - Only include usage before this date
+ * @param {number} options.conversationLimit - How many of the most expensive conversations to list
+ * @returns {Promise<Object>} - Totals, totals per model and the most expensive conversations
+ */
+export async function getUsageRollup(shop, { from, to, conversationLimit = 10 } = {}) {
+  const where = { shop };
+
+  if (from || to) {
+    where.createdAt = {
+      ...(from ? { gte: from } : {}),
+      ...(to ? { lt: to } : {})
+    };
+  }
+
+  const sums = {
+    inputTokens: true,
+    outputTokens: true,
+    cacheCreationInputTokens: true,
+    cacheReadInputTokens: true,
+    costUsd: true
+  };
+
+  try {
+    const [totals, byModel, byConversation] = await prisma.$transaction([
+      prisma.tokenUsage.aggregate({ where, _sum: sums, _count: { _all: true } }),
+      prisma.tokenUsage.groupBy({
+        by: ['model'],
+        where,
+        _sum: sums,
+        _count: { _all: true },
+        orderBy: { model: 'asc' }
+      }),
+      prisma.tokenUsage.groupBy({
+        by: ['conversationId'],
+        where,
+        _sum: sums,
+        _count: { _all: true },
+        orderBy: { _sum: { costUsd: 'desc' } },
+        take: conversationLimit
+      })
+    ]);
+
+    return { totals, byModel, byConversation };
+  } catch (error) {
+    console.error('Error rolling up token usage:', error);
+    return { totals: null, byModel: [], byConversation: [] };
+  }
+}
+
+/**
+ * Sum a shop's token usage since a point in time
+ * @param {string} shop - The shop domain
+ * @param {Date} since - Only count usage on or after this time
+ * @returns {Promise<number>} - Input, cached input and output tokens combined
+ */
+export async function sumTokenUsage(shop, since) {
+  const { _sum } = await prisma.tokenUsage.aggregate({
+    where: { shop, createdAt: { gte: since } },
+    _sum: {
+      inputTokens: true,
+      outputTokens: true,
+      cacheCreationInputTokens: true,
+      cacheReadInputTokens: true
+    }
+  });
+
+  return (_sum.inputTokens || 0) + (_sum.outputTokens || 0) +
+    (_sum.cacheCreationInputTokens || 0) + (_sum.cacheReadInputTokens || 0);
+}
+
+/**
+ * Get the message count of a rate limit window
+ * @param {string} key - The rate limit key
+ * @param {Date} windowStart - The start of the window
+ * @returns {Promise<number>} - The count, 0 if the window has none
+ */
+export async function getRateLimitCount(key, windowStart) {
+  const counter = await prisma.rateLimitCount.findUnique({
+    where: { key_windowStart: { key, windowStart } }
+  });
+
+  return counter?.count || 0;
+}
+
+/**
+ * Add a message to a rate limit window
+ * @param {string} key - The rate limit key
+ * @param {Date} windowStart - The start of the window
+ * @param {Date} expiresAt - When the count can be deleted
+ * @returns {Promise<number>} - The window's new count
+ */
+export async function incrementRateLimitCount(key, windowStart, expiresAt) {
+  const counter = await prisma.rateLimitCount.upsert({
+    where: { key_windowStart: { key, windowStart } },
+    create: { key, windowStart, expiresAt, count: 1 },
+    update: { count: { increment: 1 } }
+  });
+
+  return counter.count;
+}
+
+/**
+ * Delete rate limit counts whose windows are over
+ * @param {Date} now - The current time
+ * @returns {Promise<number>} - Number of deleted counts
+ */
+export async function deleteExpiredRateLimitCounts(now) {
+  try {
+    const result = await prisma.rateLimitCount.deleteMany({
+      where: { expiresAt: { lt: now } }
+    });
+    return result.count;
+  } catch (error) {
+    console.error('Error deleting expired rate limit counts:', error);
+    return 0;
+  }
+}
+
+/**
+ * List a shop's prompts with their live version
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Array>} - Prompts ordered by name, each with its latest version in `versions`
+ */
+export async function listPrompts(shop) {
+  try {
+    return await prisma.prompt.findMany({
+      where: { shop },
+      orderBy: { name: 'asc' },
+      include: {
+        versions: { orderBy: { version: 'desc' }, take: 1 }
+      }
+    });
+  } catch (error) {
+    console.error('Error listing prompts:', error);
+    return [];
+  }
+}
+
+/**
+ * Get a prompt with its version history
+ * @param {string} shop - The shop domain
+ * @param {string} key - The prompt key
+ * @returns {Promise<Object|null>} - The prompt with versions newest first, or null if not found
+ */
+export async function getPrompt(shop, key) {
+  try {
+    return await prisma.prompt.findUnique({
+      where: { shop_key: { shop, key } },
+      include: {
+        versions: { orderBy: { version: 'desc' } }
+      }
+    });
+  } catch (error) {
+    console.error('Error retrieving prompt:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the live version of a prompt
+ * @param {string} shop - The shop domain
+ * @param {string} key - The prompt key
+ * @returns {Promise<Object|null>} - The latest version, or null if the shop has no such prompt
+ */
+export async function getLatestPromptVersion(shop, key) {
+  return prisma.promptVersion.findFirst({
+    where: { prompt: { shop, key } },
+    orderBy: { version: 'desc' }
+  });
+}
+
+/**
+ * Create a prompt with its first version
+ * @param {string} shop - The shop domain
+ * @param {Object} prompt - The prompt
+ * @param {string} prompt.key - The key the theme block references
+ * @param {string} prompt.name - The display name
+ * @param {string} prompt.description - What the prompt is for
+ * @param {string} prompt.content - The content of version 1
+ * @param {string} prompt.note - The note of version 1
+ * @returns {Promise<Object>} - The created prompt
+ */
+export async function createPrompt(shop, { key, name, description = '', content, note = '' }) {
+  try {
+    return await prisma.prompt.create({
+      data: {
+        shop,
+        key,
+        name,
+        description,
+        versions: {
+          create: { version: 1, content, note }
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error creating prompt:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save a prompt's details and unpublished draft
+ * @param {string} shop - The shop domain
+ * @param {string} key - The prompt key
+ * @param {Object} changes - The fields to change
+ * @param {string} changes.name - The display name (optional)
+ * @param {string} changes.description - What the prompt is for (optional)
+ * @param {string|null} changes.draftContent - The draft, or null to discard it (optional)
+ * @returns {Promise<boolean>} - True if the prompt was found and updated
+ */
+export async function updatePrompt(shop, key, { name, description, draftContent }) {
+  try {
+    const { count } = await prisma.prompt.updateMany({
+      where: { shop, key },
+      data: {
+        ...(name !== undefined ? { name } : {}),
+        ...(description !== undefined ? { description } : {}),
+        ...(draftContent !== undefined ? { draftContent } : {})
+      }
+    });
+    return count > 0;
+  } catch (error) {
+    console.error('Error updating prompt:', error);
+    throw error;
+  }
+}
+
+/**
+ * Publish new content as the prompt's next version and discard its draft
+ * @param {string} shop - The shop domain
+ * @param {string} key - The prompt key
+ * @param {string} content - The content to publish
+ * @param {string} note - What changed
+ * @returns {Promise<Object|null>} - The new version, or null if the prompt was not found
+ */
+export async function publishPromptVersion(shop, key, content, note = '') {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const prompt = await tx.prompt.findUnique({
+        where: { shop_key: { shop, key } },
+        include: { versions: { orderBy: { version: 'desc' }, take: 1 } }
+      });
+      if (!prompt) return null;
+
+      const version = await tx.promptVersion.create({
+        data: {
+          promptId: prompt.id,
+          version: (prompt.versions[0]?.version || 0) + 1,
+          content,
+          note
+        }
+      });
+
+      await tx.prompt.update({
+        where: { id: prompt.id },
+        data: { draftContent: null }
+      });
+
+      return version;
+    });
+  } catch (error) {
+    console.error('Error publishing prompt version:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a prompt and its versions
+ * @param {string} shop - The shop domain
+ * @param {string} key - The prompt key
+ * @returns {Promise<number>} - Number of deleted prompts
+ */
+export async function deletePrompt(shop, key) {
+  try {
+    const result = await prisma.prompt.deleteMany({
+      where: { shop, key }
+    });
+    return result.count;
+  } catch (error) {
+    console.error('Error deleting prompt:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a shop's knowledge profile
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object|null>} - The profile with parsed policies, or null if the shop has none
+ */
+export async function getKnowledgeProfile(shop) {
+  const profile = await prisma.knowledgeProfile.findUnique({
+    where: { shop }
+  });
+
+  return profile ? { ...profile, policies: parsePolicies(profile.policies) } : null;
+}
+
+/**
+ * Create or update a shop's knowledge profile
+ * @param {string} shop - The shop domain
+ * @param {Object} changes - The fields to change
+ * @param {string} changes.shopName - The store name (optional)
+ * @param {string} changes.currency - The store currency code (optional)
+ * @param {string} changes.brandVoice - Notes on tone and wording (optional)
+ * @param {Array} changes.policies - Policies with type, title, body and url (optional)
+ * @param {Date} changes.policiesSyncedAt - When the policies were synced (optional)
+ * @returns {Promise<Object>} - The saved profile with parsed policies
+ */
+export async function saveKnowledgeProfile(shop, { policies, ...changes }) {
+  try {
+    const data = {
+      ...changes,
+      ...(policies !== undefined ? { policies: JSON.stringify(policies) } : {})
+    };
+
+    const profile = await prisma.knowledgeProfile.upsert({
+      where: { shop },
+      create: { shop, ...data },
+      update: data
+    });
+
+    return { ...profile, policies: parsePolicies(profile.policies) };
+  } catch (error) {
+    console.error('Error saving knowledge profile:', error);
+    throw error;
+  }
+}
+
+/**
+ * List a shop's FAQ entries, oldest first
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Array>} - The FAQ entries
+ */
+export async function listFaqEntries(shop) {
+  return prisma.faqEntry.findMany({
+    where: { shop },
+    orderBy: { createdAt: 'asc' }
+  });
+}
+
+/**
+ * Add an FAQ entry
+ * @param {string} shop - The shop domain
+ * @param {Object} entry - The entry
+ * @param {string} entry.question - The question
+ * @param {string} entry.answer - The answer
+ * @returns {Promise<Object>} - The created entry
+ */
+export async function createFaqEntry(shop, { question, answer }) {
+  try {
+    return await prisma.faqEntry.create({
+      data: { shop, question, answer }
+    });
+  } catch (error) {
+    console.error('Error creating FAQ entry:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete an FAQ entry
+ * @param {string} shop - The shop domain
+ * @param {string} id - The entry ID
+ * @returns {Promise<number>} - Number of deleted entries
+ */
+export async function deleteFaqEntry(shop, id) {
+  try {
+    const result = await prisma.faqEntry.deleteMany({
+      where: { id, shop }
+    });
+    return result.count;
+  } catch (error) {
+    console.error('Error deleting FAQ entry:', error);
+    throw error;
+  }
+}
+
+/**
+ * List a shop's knowledge documents without their content, newest first
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Array>} - The documents with their chunk counts
+ */
+export async function listKnowledgeDocuments(shop) {
+  return prisma.knowledgeDocument.findMany({
+    where: { shop },
+    select: {
+      id: true,
+      title: true,
+      format: true,
+      sourceName: true,
+      url: true,
+      embeddingModel: true,
+      createdAt: true,
+      updatedAt: true,
+      _count: { select: { chunks: true } }
+    },
+    orderBy: { updatedAt: 'desc' }
+  });
+}
+
+/**
+ * Get a knowledge document with its content
+ * @param {string} shop - The shop domain
+ * @param {string} id - The document ID
+ * @returns {Promise<Object|null>} - The document, or null if not found
+ */
+export async function getKnowledgeDocument(shop, id) {
+  return prisma.knowledgeDocument.findFirst({
+    where: { id, shop }
+  });
+}
+
+/**
+ * Create or replace a knowledge document and its chunks
+ * @param {string} shop - The shop domain
+ * @param {Object} document - The document
+ * @param {string} document.id - The ID of the document to replace (optional)
+ * @param {string} document.title - The title shown in citations
+ * @param {string} document.format - "markdown", "html", "pdf" or "text"
+ * @param {string} document.sourceName - The uploaded file name (optional)
+ * @param {string} document.url - The page linked from citations (optional)
+ * @param {string} document.content - The extracted text
+ * @param {string} document.embeddingModel - The embedder that indexed the chunks
+ * @param {Array} chunks - Chunks with position, heading, text and embedding bytes
+ * @returns {Promise<Object>} - The saved document
+ */
+export async function saveKnowledgeDocument(shop, { id, ...document }, chunks) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const saved = id
+        ? await tx.knowledgeDocument.update({ where: { id, shop }, data: document })
+        : await tx.knowledgeDocument.create({ data: { shop, ...document } });
+
+      await tx.knowledgeChunk.deleteMany({ where: { documentId: saved.id } });
+      await tx.knowledgeChunk.createMany({
+        data: chunks.map((chunk) => ({ ...chunk, documentId: saved.id, shop }))
+      });
+
+      return saved;
+    });
+  } catch (error) {
+    console.error('Error saving knowledge document:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a knowledge document and its chunks
+ * @param {string} shop - The shop domain
+ * @param {string} id - The document ID
+ * @returns {Promise<number>} - Number of deleted documents
+ */
+export async function deleteKnowledgeDocument(shop, id) {
+  try {
+    const result = await prisma.knowledgeDocument.deleteMany({
+      where: { id, shop }
+    });
+    return result.count;
+  } catch (error) {
+    console.error('Error deleting knowledge document:', error);
+    throw error;
+  }
+}
+
+/**
+ * Count a shop's knowledge documents indexed by an embedder
+ * @param {string} shop - The shop domain
+ * @param {string} embeddingModel - The embedder ID
+ * @returns {Promise<number>} - The number of searchable documents
+ */
+export async function countKnowledgeDocuments(shop, embeddingModel) {
+  return prisma.knowledgeDocument.count({
+    where: { shop, embeddingModel }
+  });
+}
+
+/**
+ * Get the chunks a shop's documents were split into by an embedder
+ * @param {string} shop - The shop domain
+ * @param {string} embeddingModel - The embedder ID
+ * @returns {Promise<Array>} - The chunks with their document's title and url
+ */
+export async function getKnowledgeChunks(shop, embeddingModel) {
+  return prisma.knowledgeChunk.findMany({
+    where: { shop, document: { embeddingModel } },
+    select: {
+      id: true,
+      documentId: true,
+      position: true,
+      heading: true,
+      text: true,
+      embedding: true,
+      document: { select: { title: true, url: true } }
+    }
+  });
+}
+
+/**
+ * Decrypt and parse JSON-encoded headers, ignoring malformed values.
+ * Headers saved before encryption are plain JSON and are parsed as they are.
+ * @param {string} value - The stored headers
+ * @returns {Object} - The headers object
+ */
+function parseHeaders(value) {
+  try {
+    const headers = JSON.parse(decryptToken(value) || '{}');
+    return headers && typeof headers === 'object' ? headers : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Parse JSON-encoded policies, ignoring malformed values
+ * @param {string} value - The stored policies
+ * @returns {Array} - The policies
+ */
+function parsePolicies(value) {
+  try {
+    const policies = JSON.parse(value || '[]');
+    return Array.isArray(policies) ? policies : [];
+  } catch (error) {
+    return [];
+  }
+}
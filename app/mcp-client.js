@@ -1,9 +1,28 @@
 import { generateAuthUrl } from "./auth.server";
-import { getCustomerToken } from "./db.server";
+import { getCustomerAccessToken } from "./services/customer-token.server";
+
+/**
+ * MCP protocol revision requested during the initialize handshake
+ */
+const MCP_PROTOCOL_VERSION = "2025-06-18";
+
+/**
+ * Client identity reported to MCP servers
+ */
+const CLIENT_INFO = {
+  name: "shop-chat-agent",
+  version: "1.0.0"
+};
+
+/**
+ * Separator between a third-party server's namespace and its tool names
+ */
+const NAMESPACE_SEPARATOR = "__";
 
 /**
  * Client for interacting with Model Context Protocol (MCP) API endpoints.
- * Manages connections to both customer and storefront MCP endpoints, and handles tool invocation.
+ * Manages connections to the customer, storefront and merchant-registered MCP endpoints,
+ * and handles tool invocation.
  */
 class MCPClient {
   /**
@@ -12,11 +31,21 @@ class MCPClient {
    * @param {string} hostUrl - The base URL for the shop
    * @param {string} conversationId - ID for the current conversation
    * @param {string} shopId - ID of the Shopify shop
+   * @param {string} customerMcpEndpoint - Customer account MCP endpoint (optional)
+   * @param {Object} options - Additional options
+   * @param {string} options.shop - Shop domain that owns the conversation
+   * @param {string} options.returnOrigin - Storefront origin notified when a customer signs in (optional)
+   * @param {Function} options.fetch - Fetch implementation, e.g. the in-process mock MCP server (optional)
+   * @param {Function} options.onNotification - Receives server notifications such as progress or log messages (optional)
+   * @param {AbortSignal} options.signal - Aborts tool calls when the customer cancels the turn (optional)
    */
-  constructor(hostUrl, conversationId, shopId, customerMcpEndpoint) {
+  constructor(hostUrl, conversationId, shopId, customerMcpEndpoint, options = {}) {
     this.tools = [];
     this.customerTools = [];
     this.storefrontTools = [];
+    this.externalTools = [];
+    // Namespaced tool name -> { server, toolName } for merchant-registered servers
+    this.externalToolRoutes = new Map();
     // TODO: Make this dynamic, for that first we need to allow access of mcp tools on password proteted demo stores.
     this.storefrontMcpEndpoint = `${hostUrl}/api/mcp`;
 
@@ -25,6 +54,14 @@ class MCPClient {
     this.customerAccessToken = "";
     this.conversationId = conversationId;
     this.shopId = shopId;
+    this.shop = options.shop || "";
+    this.returnOrigin = options.returnOrigin || "";
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.onNotification = options.onNotification || null;
+    this.signal = options.signal || null;
+    // Initialized sessions keyed by endpoint
+    this.sessions = new Map();
+    this.nextRequestId = 1;
   }
 
   /**
@@ -38,15 +75,7 @@ class MCPClient {
     try {
       console.log(`Connecting to MCP server at ${this.customerMcpEndpoint}`);
 
-      if (this.conversationId) {
-        const dbToken = await getCustomerToken(this.conversationId);
-
-        if (dbToken && dbToken.accessToken) {
-          this.customerAccessToken = dbToken.accessToken;
-        } else {
-          console.log("No token in database for conversation:", this.conversationId);
-        }
-      }
+      await this.loadCustomerToken();
 
       // If we still don't have a token, we'll connect without one
       // and tools that require auth will prompt for it later
@@ -55,15 +84,7 @@ class MCPClient {
         "Authorization": this.customerAccessToken || ""
       };
 
-      const response = await this._makeJsonRpcRequest(
-        this.customerMcpEndpoint,
-        "tools/list",
-        {},
-        headers
-      );
-
-      // Extract tools from the JSON-RPC response format
-      const toolsData = response.result && response.result.tools ? response.result.tools : [];
+      const toolsData = await this._listTools(this.customerMcpEndpoint, headers);
       const customerTools = this._formatToolsData(toolsData);
 
       this.customerTools = customerTools;
@@ -76,6 +97,26 @@ class MCPClient {
     }
   }
 
+  /**
+   * Loads the customer access token stored for this conversation, if any.
+   *
+   * @returns {Promise<boolean>} True if the customer is signed in
+   */
+  async loadCustomerToken() {
+    if (!this.customerAccessToken && this.conversationId) {
+      // Refreshes the stored token if it is about to expire
+      const accessToken = await getCustomerAccessToken(this.shop, this.conversationId);
+
+      if (accessToken) {
+        this.customerAccessToken = accessToken;
+      } else {
+        console.log("No token in database for conversation:", this.conversationId);
+      }
+    }
+
+    return Boolean(this.customerAccessToken);
+  }
+
   /**
    * Connects to the storefront MCP server and retrieves available tools.
    *
@@ -90,15 +131,7 @@ class MCPClient {
         "Content-Type": "application/json"
       };
 
-      const response = await this._makeJsonRpcRequest(
-        this.storefrontMcpEndpoint,
-        "tools/list",
-        {},
-        headers
-      );
-
-      // Extract tools from the JSON-RPC response format
-      const toolsData = response.result && response.result.tools ? response.result.tools : [];
+      const toolsData = await this._listTools(this.storefrontMcpEndpoint, headers);
       const storefrontTools = this._formatToolsData(toolsData);
 
       this.storefrontTools = storefrontTools;
@@ -111,21 +144,111 @@ class MCPClient {
     }
   }
 
+  /**
+   * Connects to merchant-registered MCP servers and retrieves their tools.
+   * Tool names are prefixed with the server's namespace to avoid collisions.
+   * Servers that fail to respond are skipped.
+   *
+   * @param {Array<Object>} servers - Servers with name, url and headers
+   * @returns {Promise<Array>} Array of available namespaced tools
+   */
+  async connectToExternalServers(servers) {
+    const results = await Promise.allSettled(
+      servers.map((server) => this._connectToExternalServer(server))
+    );
+
+    const externalTools = [];
+    results.forEach((result, index) => {
+      if (result.status === "fulfilled") {
+        externalTools.push(...result.value);
+      } else {
+        console.warn(`Failed to connect to MCP server ${servers[index].name}:`, result.reason?.message);
+      }
+    });
+
+    this.externalTools = [...this.externalTools, ...externalTools];
+    this.tools = [...this.tools, ...externalTools];
+
+    return externalTools;
+  }
+
+  /**
+   * Discovers the tools of every server in parallel.
+   * A server that fails to respond only drops its own tools.
+   *
+   * @param {Array<Object>} externalServers - Merchant-registered servers with name, url and headers
+   * @returns {Promise<Object>} The tool catalog and whether every server responded
+   */
+  async discoverTools(externalServers = []) {
+    const results = await Promise.allSettled([
+      this.connectToStorefrontServer(),
+      this.connectToCustomerServer(),
+      this.connectToExternalServers(externalServers)
+    ]);
+
+    const failed = results.filter((result) => result.status === "rejected");
+    failed.forEach((result) => {
+      console.warn("Failed to connect to MCP server, continuing without its tools:", result.reason?.message);
+    });
+
+    // Keep a stable tool order regardless of which server answered first
+    this.tools = [...this.storefrontTools, ...this.customerTools, ...this.externalTools];
+
+    return {
+      catalog: this.getToolCatalog(),
+      complete: failed.length === 0
+    };
+  }
+
+  /**
+   * Gets a snapshot of the discovered tools and their routing.
+   *
+   * @returns {Object} The tool catalog
+   */
+  getToolCatalog() {
+    return {
+      storefrontTools: this.storefrontTools,
+      customerTools: this.customerTools,
+      externalTools: this.externalTools,
+      externalToolRoutes: [...this.externalToolRoutes.entries()]
+    };
+  }
+
+  /**
+   * Uses a previously discovered tool catalog instead of listing tools again.
+   *
+   * @param {Object} catalog - A catalog returned by getToolCatalog
+   */
+  useToolCatalog(catalog) {
+    this.storefrontTools = catalog.storefrontTools;
+    this.customerTools = catalog.customerTools;
+    this.externalTools = catalog.externalTools;
+    this.externalToolRoutes = new Map(catalog.externalToolRoutes);
+    this.tools = [...this.storefrontTools, ...this.customerTools, ...this.externalTools];
+  }
+
   /**
    * Dispatches a tool call to the appropriate MCP server based on the tool name.
    *
    * @param {string} toolName - Name of the tool to call
    * @param {Object} toolArgs - Arguments to pass to the tool
-   * @returns {Promise<Object>} Result from the tool call
-   * @throws {Error} If tool is not found or call fails
+   * @returns {Promise<Object>} Result from the tool call, or a tool_not_found error
+   * @throws {Error} If the call fails
    */
   async callTool(toolName, toolArgs) {
-    if (this.customerTools.some(tool => tool.name === toolName)) {
+    if (this.externalToolRoutes.has(toolName)) {
+      return this.callExternalTool(toolName, toolArgs);
+    } else if (this.customerTools.some(tool => tool.name === toolName)) {
       return this.callCustomerTool(toolName, toolArgs);
     } else if (this.storefrontTools.some(tool => tool.name === toolName)) {
       return this.callStorefrontTool(toolName, toolArgs);
     } else {
-      throw new Error(`Tool ${toolName} not found`);
+      return {
+        error: {
+          type: "tool_not_found",
+          data: `Tool ${toolName} not found`
+        }
+      };
     }
   }
 
@@ -134,8 +257,7 @@ class MCPClient {
    *
    * @param {string} toolName - Name of the storefront tool to call
    * @param {Object} toolArgs - Arguments to pass to the tool
-   * @returns {Promise<Object>} Result from the tool call
-   * @throws {Error} If the tool call fails
+   * @returns {Promise<Object>} Result from the tool call or a tool error
    */
   async callStorefrontTool(toolName, toolArgs) {
     try {
@@ -155,10 +277,64 @@ class MCPClient {
         headers
       );
 
+      if (response.error) {
+        return this._toolCallError(toolName, response.error);
+      }
+
       return response.result || response;
     } catch (error) {
+      // A cancelled turn ends the tool call instead of reporting it to the model
+      if (this.signal?.aborted) throw error;
+
       console.error(`Error calling tool ${toolName}:`, error);
-      throw error;
+      return {
+        error: {
+          type: "internal_error",
+          data: `Error calling tool ${toolName}: ${error.message}`
+        }
+      };
+    }
+  }
+
+  /**
+   * Calls a namespaced tool on a merchant-registered MCP server.
+   *
+   * @param {string} toolName - Namespaced name of the tool to call
+   * @param {Object} toolArgs - Arguments to pass to the tool
+   * @returns {Promise<Object>} Result from the tool call or a tool error
+   */
+  async callExternalTool(toolName, toolArgs) {
+    const { server, toolName: remoteToolName } = this.externalToolRoutes.get(toolName);
+
+    try {
+      console.log(`Calling ${server.name} tool`, remoteToolName, toolArgs);
+
+      const response = await this._makeJsonRpcRequest(
+        server.url,
+        "tools/call",
+        {
+          name: remoteToolName,
+          arguments: toolArgs,
+        },
+        { ...server.headers }
+      );
+
+      if (response.error) {
+        return this._toolCallError(toolName, response.error);
+      }
+
+      return response.result || response;
+    } catch (error) {
+      // A cancelled turn ends the tool call instead of reporting it to the model
+      if (this.signal?.aborted) throw error;
+
+      console.error(`Error calling tool ${toolName}:`, error);
+      return {
+        error: {
+          type: "internal_error",
+          data: `Error calling tool ${toolName}: ${error.message}`
+        }
+      };
     }
   }
 
@@ -175,51 +351,48 @@ class MCPClient {
     try {
       console.log("Calling customer tool", toolName, toolArgs);
       // First try to get a token from the database for this conversation
-      let accessToken = this.customerAccessToken;
-
-      if (!accessToken || accessToken === "") {
-        const dbToken = await getCustomerToken(this.conversationId);
-
-        if (dbToken && dbToken.accessToken) {
-          accessToken = dbToken.accessToken;
-          this.customerAccessToken = accessToken; // Store it for later use
-        } else {
-          console.log("No token in database for conversation:", this.conversationId);
-        }
-      }
-
-      const headers = {
-        "Content-Type": "application/json",
-        "Authorization": accessToken
-      };
+      await this.loadCustomerToken();
 
       try {
-        const response = await this._makeJsonRpcRequest(
-          this.customerMcpEndpoint,
-          "tools/call",
-          {
-            name: toolName,
-            arguments: toolArgs,
-          },
-          headers
-        );
-
-        return response.result || response;
+        return await this._callCustomerToolOnce(toolName, toolArgs);
       } catch (error) {
-        // Handle 401 specifically to trigger authentication
+        // Handle 401 specifically: refresh the token once, then ask the customer to sign in
         if (error.status === 401) {
+          const refreshedToken = this.customerAccessToken
+            ? await getCustomerAccessToken(this.shop, this.conversationId, { forceRefresh: true })
+            : null;
+
+          if (refreshedToken) {
+            console.log("Customer token refreshed after 401, retrying", toolName);
+            this.customerAccessToken = refreshedToken;
+            // The session was initialized with the old token
+            this.sessions.delete(this.customerMcpEndpoint);
+
+            try {
+              return await this._callCustomerToolOnce(toolName, toolArgs);
+            } catch (retryError) {
+              if (retryError.status !== 401) throw retryError;
+            }
+          }
+
           console.log("Unauthorized, generating authorization URL for customer");
+          this.customerAccessToken = "";
+          this.sessions.delete(this.customerMcpEndpoint);
 
           try {
             // Generate auth URL
-            const authResponse = await generateAuthUrl(this.conversationId, this.shopId);
+            const authResponse = await generateAuthUrl(this.shop, this.conversationId, this.shopId, {
+              returnOrigin: this.returnOrigin
+            });
             console.log("Auth URL generated successfully:", authResponse);
 
-            // Instead of retrying, return the auth URL for the front-end
+            // Instead of retrying, return the auth URL for the front-end; the widget shows
+            // the sign-in prompt, so the model only needs to know the customer must sign in
             return {
               error: {
                 type: "auth_required",
-                data: `You need to authorize the app to access your customer data. [Click here to authorize](${authResponse.url})`
+                data: "The customer is not signed in. A sign-in button has been shown to them; ask them to sign in to their account, and their request will continue automatically afterwards.",
+                authUrl: authResponse.url
               }
             };
           } catch (authError) {
@@ -237,6 +410,9 @@ class MCPClient {
         throw error;
       }
     } catch (error) {
+      // A cancelled turn ends the tool call instead of reporting it to the model
+      if (this.signal?.aborted) throw error;
+
       console.error(`Error calling tool ${toolName}:`, error);
       return {
         error: {
@@ -247,27 +423,340 @@ class MCPClient {
     }
   }
 
+  /**
+   * Calls a tool on the customer MCP server with the current access token.
+   *
+   * @private
+   * @param {string} toolName - Name of the customer tool to call
+   * @param {Object} toolArgs - Arguments to pass to the tool
+   * @returns {Promise<Object>} Result from the tool call
+   * @throws {Error} If the request fails, e.g. with a 401
+   */
+  async _callCustomerToolOnce(toolName, toolArgs) {
+    const headers = {
+      "Content-Type": "application/json",
+      "Authorization": this.customerAccessToken
+    };
+
+    const response = await this._makeJsonRpcRequest(
+      this.customerMcpEndpoint,
+      "tools/call",
+      {
+        name: toolName,
+        arguments: toolArgs,
+      },
+      headers
+    );
+
+    if (response.error) {
+      return this._toolCallError(toolName, response.error);
+    }
+
+    return response.result || response;
+  }
+
+  /**
+   * Ends all MCP sessions opened by this client.
+   * Servers that do not allow clients to terminate sessions are ignored.
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    const sessions = [...this.sessions.entries()];
+    this.sessions.clear();
+
+    await Promise.all(sessions.map(async ([endpoint, pendingSession]) => {
+      try {
+        const session = await pendingSession;
+        if (!session.sessionId) return;
+
+        await this.fetch(endpoint, {
+          method: "DELETE",
+          headers: {
+            ...session.headers,
+            "Mcp-Session-Id": session.sessionId,
+            "MCP-Protocol-Version": session.protocolVersion
+          }
+        });
+      } catch (error) {
+        console.warn(`Failed to close MCP session for ${endpoint}:`, error.message);
+      }
+    }));
+  }
+
+  /**
+   * Lists the tools of one merchant-registered server and registers their routes.
+   *
+   * @private
+   * @param {Object} server - Server with name, url and headers
+   * @returns {Promise<Array>} Formatted, namespaced tools
+   * @throws {Error} If the server cannot be reached
+   */
+  async _connectToExternalServer(server) {
+    console.log(`Connecting to MCP server ${server.name} at ${server.url}`);
+
+    const toolsData = await this._listTools(server.url, { ...server.headers });
+
+    return this._formatToolsData(toolsData).map((tool) => {
+      const namespacedName = this._namespaceToolName(server.name, tool.name);
+      this.externalToolRoutes.set(namespacedName, { server, toolName: tool.name });
+
+      return {
+        ...tool,
+        name: namespacedName,
+        description: `[${server.name}] ${tool.description || ""}`.trim()
+      };
+    });
+  }
+
+  /**
+   * Converts a JSON-RPC error from tools/call into a tool error.
+   * Unknown tools are reported as tool_not_found so callers can refresh their catalog.
+   *
+   * @private
+   * @param {string} toolName - Name of the tool that was called
+   * @param {Object} rpcError - The JSON-RPC error object
+   * @returns {Object} The tool error
+   */
+  _toolCallError(toolName, rpcError) {
+    const isUnknownTool = rpcError.code === -32602 && /not found|unknown tool/i.test(rpcError.message || "");
+
+    return {
+      error: {
+        type: isUnknownTool ? "tool_not_found" : "tool_error",
+        data: `Error calling tool ${toolName}: ${rpcError.message}`
+      }
+    };
+  }
+
+  /**
+   * Builds a tool name that is unique across servers and valid for LLM tool schemas.
+   *
+   * @private
+   * @param {string} namespace - The server namespace
+   * @param {string} toolName - The tool name on the server
+   * @returns {string} The namespaced tool name
+   */
+  _namespaceToolName(namespace, toolName) {
+    return `${namespace}${NAMESPACE_SEPARATOR}${toolName}`
+      .replace(/[^a-zA-Z0-9_-]/g, "_")
+      .slice(0, 64);
+  }
+
+  /**
+   * Lists every tool on an MCP server, following pagination cursors.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object} headers - HTTP headers for the request
+   * @returns {Promise<Array>} Raw tool definitions
+   * @throws {Error} If the request fails
+   */
+  async _listTools(endpoint, headers) {
+    const tools = [];
+    let cursor;
+
+    do {
+      const response = await this._makeJsonRpcRequest(
+        endpoint,
+        "tools/list",
+        cursor ? { cursor } : {},
+        headers
+      );
+
+      if (response.error) {
+        throw new Error(`tools/list failed: ${response.error.message}`);
+      }
+
+      // Extract tools from the JSON-RPC response format
+      tools.push(...(response.result?.tools || []));
+      cursor = response.result?.nextCursor;
+    } while (cursor);
+
+    return tools;
+  }
+
   /**
    * Makes a JSON-RPC request to the specified endpoint.
+   * Performs the initialize handshake on first use and reuses the resulting session.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {string} method - The JSON-RPC method to call
+   * @param {Object} params - Parameters for the method
+   * @param {Object} headers - HTTP headers for the request
+   * @param {AbortSignal} signal - Aborts the request (defaults to the client's signal)
+   * @returns {Promise<Object>} Parsed JSON-RPC response
+   * @throws {Error} If the request fails or is aborted
+   */
+  async _makeJsonRpcRequest(endpoint, method, params, headers, signal = this.signal) {
+    signal?.throwIfAborted();
+    const session = await this._getSession(endpoint, headers);
+
+    try {
+      return await this._sendRequest(endpoint, method, params, headers, session, signal);
+    } catch (error) {
+      // A 404 for a known session means the server expired it; start a new one once
+      if (error.status === 404 && session.sessionId) {
+        console.log(`MCP session expired for ${endpoint}, re-initializing`);
+        this.sessions.delete(endpoint);
+        const freshSession = await this._getSession(endpoint, headers);
+        return this._sendRequest(endpoint, method, params, headers, freshSession, signal);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the session for an endpoint, initializing it if needed.
+   * Concurrent callers share the same pending handshake.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object} headers - HTTP headers for the request
+   * @returns {Promise<Object>} The session
+   */
+  async _getSession(endpoint, headers) {
+    if (!this.sessions.has(endpoint)) {
+      const pendingSession = this._initialize(endpoint, headers);
+      this.sessions.set(endpoint, pendingSession);
+
+      // Do not cache failed handshakes
+      pendingSession.catch(() => {
+        if (this.sessions.get(endpoint) === pendingSession) {
+          this.sessions.delete(endpoint);
+        }
+      });
+    }
+
+    return this.sessions.get(endpoint);
+  }
+
+  /**
+   * Performs the MCP initialize handshake with capability negotiation.
+   * Servers that predate the lifecycle are used without a session.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object} headers - HTTP headers for the request
+   * @returns {Promise<Object>} The negotiated session
+   * @throws {Error} If the server rejects the client, e.g. with a 401
+   */
+  async _initialize(endpoint, headers) {
+    const legacySession = {
+      sessionId: null,
+      protocolVersion: MCP_PROTOCOL_VERSION,
+      capabilities: {},
+      headers
+    };
+
+    let response;
+    try {
+      response = await this._postMessage(endpoint, {
+        jsonrpc: "2.0",
+        id: this.nextRequestId++,
+        method: "initialize",
+        params: {
+          protocolVersion: MCP_PROTOCOL_VERSION,
+          capabilities: {},
+          clientInfo: CLIENT_INFO
+        }
+      }, headers, legacySession);
+    } catch (error) {
+      if (error.status && error.status !== 401 && error.status < 500) {
+        console.warn(`MCP server at ${endpoint} does not support initialize, continuing without a session`);
+        return legacySession;
+      }
+      throw error;
+    }
+
+    const { message, sessionId } = response;
+
+    if (!message || message.error) {
+      console.warn(`MCP initialize failed for ${endpoint}, continuing without a session:`, message?.error?.message);
+      return legacySession;
+    }
+
+    const session = {
+      sessionId,
+      protocolVersion: message.result.protocolVersion || MCP_PROTOCOL_VERSION,
+      capabilities: message.result.capabilities || {},
+      serverInfo: message.result.serverInfo,
+      headers
+    };
+
+    console.log(`Initialized MCP session with ${session.serverInfo?.name || endpoint} (protocol ${session.protocolVersion})`);
+
+    await this._postMessage(endpoint, {
+      jsonrpc: "2.0",
+      method: "notifications/initialized"
+    }, headers, session);
+
+    return session;
+  }
+
+  /**
+   * Sends a JSON-RPC request with a fresh request id.
    *
    * @private
    * @param {string} endpoint - The endpoint URL
    * @param {string} method - The JSON-RPC method to call
    * @param {Object} params - Parameters for the method
    * @param {Object} headers - HTTP headers for the request
-   * @returns {Promise<Object>} Parsed JSON response
+   * @param {Object} session - The session to send the request in
+   * @param {AbortSignal} signal - Aborts the request (optional)
+   * @returns {Promise<Object>} Parsed JSON-RPC response
+   * @throws {Error} If the request fails
+   */
+  async _sendRequest(endpoint, method, params, headers, session, signal) {
+    const { message } = await this._postMessage(endpoint, {
+      jsonrpc: "2.0",
+      method: method,
+      id: this.nextRequestId++,
+      params: params
+    }, headers, session, signal);
+
+    if (!message) {
+      throw new Error(`No response received for ${method}`);
+    }
+
+    return message;
+  }
+
+  /**
+   * Posts a JSON-RPC message and reads the reply, which may be plain JSON
+   * or a server-sent event stream.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object} payload - The JSON-RPC message
+   * @param {Object} headers - HTTP headers for the request
+   * @param {Object} session - The session to send the message in
+   * @param {AbortSignal} signal - Aborts the request and the streamed reply (optional)
+   * @returns {Promise<Object>} The response message (null for notifications) and session id
    * @throws {Error} If the request fails
    */
-  async _makeJsonRpcRequest(endpoint, method, params, headers) {
-    const response = await fetch(endpoint, {
+  async _postMessage(endpoint, payload, headers, session, signal) {
+    const requestHeaders = {
+      ...headers,
+      "Content-Type": "application/json",
+      "Accept": "application/json, text/event-stream"
+    };
+
+    if (session.sessionId) {
+      requestHeaders["Mcp-Session-Id"] = session.sessionId;
+    }
+
+    if (payload.method !== "initialize") {
+      requestHeaders["MCP-Protocol-Version"] = session.protocolVersion;
+    }
+
+    const response = await this.fetch(endpoint, {
       method: "POST",
-      headers: headers,
-      body: JSON.stringify({
-        jsonrpc: "2.0",
-        method: method,
-        id: 1,
-        params: params
-      }),
+      headers: requestHeaders,
+      body: JSON.stringify(payload),
+      signal
     });
 
     if (!response.ok) {
@@ -277,7 +766,108 @@ class MCPClient {
       throw errorObj;
     }
 
-    return await response.json();
+    const sessionId = response.headers.get("Mcp-Session-Id") || session.sessionId;
+
+    // Notifications are acknowledged without a body
+    if (payload.id === undefined || response.status === 202) {
+      return { message: null, sessionId };
+    }
+
+    const contentType = response.headers.get("Content-Type") || "";
+    const message = contentType.includes("text/event-stream")
+      ? await this._readEventStream(endpoint, response, payload.id, headers, session)
+      : await response.json();
+
+    return { message, sessionId };
+  }
+
+  /**
+   * Reads a streamed response until the reply for the given request arrives.
+   * Notifications and server requests received on the way are dispatched.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Response} response - The streaming HTTP response
+   * @param {number} requestId - The id of the request awaiting a reply
+   * @param {Object} headers - HTTP headers for replies to server requests
+   * @param {Object} session - The session the stream belongs to
+   * @returns {Promise<Object|null>} The JSON-RPC response, or null if the stream ended first
+   */
+  async _readEventStream(endpoint, response, requestId, headers, session) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    try {
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return null;
+
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = events.pop() || "";
+
+        for (const event of events) {
+          const data = event
+            .split(/\r?\n/)
+            .filter((line) => line.startsWith("data:"))
+            .map((line) => line.slice(5).trimStart())
+            .join("\n");
+
+          if (!data) continue;
+
+          let message;
+          try {
+            message = JSON.parse(data);
+          } catch (error) {
+            console.error("Error parsing MCP stream message:", error, data);
+            continue;
+          }
+
+          if (message.id === requestId && (message.result !== undefined || message.error !== undefined)) {
+            return message;
+          }
+
+          await this._handleServerMessage(endpoint, message, headers, session);
+        }
+      }
+    } finally {
+      reader.cancel().catch(() => {});
+    }
+  }
+
+  /**
+   * Handles notifications and requests sent by the server.
+   * Only `ping` is supported because the client declares no capabilities.
+   *
+   * @private
+   * @param {string} endpoint - The endpoint URL
+   * @param {Object} message - The JSON-RPC message from the server
+   * @param {Object} headers - HTTP headers for the reply
+   * @param {Object} session - The session the message belongs to
+   * @returns {Promise<void>}
+   */
+  async _handleServerMessage(endpoint, message, headers, session) {
+    if (!message.method) return;
+
+    if (message.id === undefined) {
+      if (this.onNotification) {
+        this.onNotification({ endpoint, method: message.method, params: message.params });
+      } else {
+        console.log(`MCP notification from ${endpoint}:`, message.method);
+      }
+      return;
+    }
+
+    const reply = message.method === "ping"
+      ? { jsonrpc: "2.0", id: message.id, result: {} }
+      : { jsonrpc: "2.0", id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } };
+
+    try {
+      await this._postMessage(endpoint, reply, headers, session);
+    } catch (error) {
+      console.warn(`Failed to reply to MCP server request ${message.method}:`, error.message);
+    }
   }
 
   /**
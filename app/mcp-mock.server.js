@@ -0,0 +1,345 @@
+import storefrontFixture from "./fixtures/mcp/storefront.json";
+import customerFixture from "./fixtures/mcp/customer.json";
+
+/**
+ * In-process stand-in for the storefront and customer account MCP servers.
+ * Serves the initialize handshake, `tools/list` and `tools/call` from JSON fixtures
+ * through a fetch-compatible function, so MCPClient and customer account discovery
+ * work without a real store.
+ *
+ * @param {Object} options - Server options
+ * @param {Object} options.storefront - Storefront fixture (tools, products, policies)
+ * @param {Object} options.customer - Customer fixture (tools, orders)
+ * @returns {Object} Server with a `fetch` function and a `reset` helper
+ */
+export function createMockMcpServer({
+  storefront = storefrontFixture,
+  customer = customerFixture
+} = {}) {
+  const carts = new Map();
+  const sessions = new Set();
+
+  /**
+   * Handles a request the same way the live endpoints would
+   *
+   * @param {string|Request|URL} input - The request URL
+   * @param {Object} init - Fetch options
+   * @returns {Promise<Response>} The mock response
+   */
+  const mockFetch = async (input, init = {}) => {
+    const url = new URL(typeof input === "string" ? input : input.url || input.href);
+
+    if (url.pathname === "/.well-known/customer-account-api") {
+      return Response.json({ mcp_api: `${url.origin}/customer/api/mcp` });
+    }
+
+    if (url.pathname === "/.well-known/openid-configuration") {
+      return Response.json({
+        issuer: url.origin,
+        authorization_endpoint: `${url.origin}/authentication/oauth/authorize`,
+        token_endpoint: `${url.origin}/authentication/oauth/token`
+      });
+    }
+
+    if (url.pathname !== "/api/mcp" && url.pathname !== "/customer/api/mcp") {
+      return new Response("Not found", { status: 404 });
+    }
+
+    const headers = new Headers(init.headers || {});
+    const sessionId = headers.get("Mcp-Session-Id");
+
+    if (init.method === "DELETE") {
+      sessions.delete(sessionId);
+      return new Response(null, { status: 204 });
+    }
+
+    let rpc;
+    try {
+      rpc = JSON.parse(init.body || "{}");
+    } catch (error) {
+      return jsonRpcError(null, -32700, "Parse error");
+    }
+
+    if (rpc.method === "initialize") {
+      return handleInitialize(rpc);
+    }
+
+    // Requests for unknown sessions get a 404 so clients re-initialize
+    if (sessionId && !sessions.has(sessionId)) {
+      return new Response("Session not found", { status: 404 });
+    }
+
+    // Notifications and replies to server requests are acknowledged without a body
+    if (rpc.id === undefined || !rpc.method) {
+      return new Response(null, { status: 202 });
+    }
+
+    if (url.pathname === "/customer/api/mcp") {
+      return handleCustomerRequest(rpc, headers);
+    }
+
+    return handleStorefrontRequest(rpc);
+  };
+
+  /**
+   * Handles the initialize handshake and opens a session
+   *
+   * @private
+   * @param {Object} rpc - The JSON-RPC request
+   * @returns {Response} JSON-RPC response with an Mcp-Session-Id header
+   */
+  const handleInitialize = (rpc) => {
+    const sessionId = `mock-session-${sessions.size + 1}-${Date.now()}`;
+    sessions.add(sessionId);
+
+    return Response.json({
+      jsonrpc: "2.0",
+      id: rpc.id,
+      result: {
+        protocolVersion: rpc.params?.protocolVersion,
+        capabilities: { tools: { listChanged: false } },
+        serverInfo: { name: "mock-mcp-server", version: "1.0.0" }
+      }
+    }, {
+      headers: { "Mcp-Session-Id": sessionId }
+    });
+  };
+
+  /**
+   * Handles a JSON-RPC request to the storefront server
+   *
+   * @private
+   * @param {Object} rpc - The JSON-RPC request
+   * @returns {Response} JSON-RPC response
+   */
+  const handleStorefrontRequest = (rpc) => {
+    if (rpc.method === "tools/list") {
+      return jsonRpcResult(rpc.id, { tools: storefront.tools });
+    }
+
+    if (rpc.method !== "tools/call") {
+      return jsonRpcError(rpc.id, -32601, `Method not found: ${rpc.method}`);
+    }
+
+    const { name, arguments: args = {} } = rpc.params || {};
+
+    switch (name) {
+      case "search_shop_catalog":
+        return jsonRpcResult(rpc.id, textResult({ products: searchProducts(args.query) }));
+      case "search_shop_policies_and_faqs":
+        return jsonRpcResult(rpc.id, textResult(searchPolicies(args.query)));
+      case "get_cart": {
+        const cart = carts.get(args.cart_id);
+        return cart
+          ? jsonRpcResult(rpc.id, textResult({ cart }))
+          : jsonRpcResult(rpc.id, errorResult(`Cart ${args.cart_id} not found`));
+      }
+      case "update_cart":
+        return jsonRpcResult(rpc.id, textResult({ cart: updateCart(args) }));
+      default:
+        return jsonRpcError(rpc.id, -32602, `Tool ${name} not found`);
+    }
+  };
+
+  /**
+   * Handles a JSON-RPC request to the customer account server.
+   * Tool calls without an Authorization header get a 401, like the live endpoint.
+   *
+   * @private
+   * @param {Object} rpc - The JSON-RPC request
+   * @param {Headers} headers - Request headers
+   * @returns {Response} JSON-RPC response
+   */
+  const handleCustomerRequest = (rpc, headers) => {
+    if (rpc.method === "tools/list") {
+      return jsonRpcResult(rpc.id, { tools: customer.tools });
+    }
+
+    if (rpc.method !== "tools/call") {
+      return jsonRpcError(rpc.id, -32601, `Method not found: ${rpc.method}`);
+    }
+
+    if (!headers.get("Authorization")) {
+      return new Response(JSON.stringify({ error: "Unauthorized" }), {
+        status: 401,
+        headers: { "Content-Type": "application/json" }
+      });
+    }
+
+    const { name, arguments: args = {} } = rpc.params || {};
+
+    switch (name) {
+      case "get_most_recent_order_status":
+        return jsonRpcResult(rpc.id, textResult({ order: customer.orders[0] || null }));
+      case "get_order_status": {
+        const order = customer.orders.find((candidate) =>
+          candidate.id === args.order_id || candidate.name === args.order_id || candidate.name === `#${args.order_id}`
+        );
+        return order
+          ? jsonRpcResult(rpc.id, textResult({ order }))
+          : jsonRpcResult(rpc.id, errorResult(`Order ${args.order_id} not found`));
+      }
+      default:
+        return jsonRpcError(rpc.id, -32602, `Tool ${name} not found`);
+    }
+  };
+
+  /**
+   * Finds products whose title, description or tags match any query word
+   *
+   * @private
+   * @param {string} query - The search query
+   * @returns {Array} Matching products
+   */
+  const searchProducts = (query = "") => {
+    const words = query.toLowerCase().split(/\W+/).filter((word) => word.length > 2);
+
+    return storefront.products
+      .filter((product) => {
+        const haystack = [product.title, product.description, ...(product.tags || [])].join(" ").toLowerCase();
+        return words.length === 0 || words.some((word) => haystack.includes(word.replace(/s$/, "")));
+      })
+      .map((product) => ({
+        ...product,
+        url: `https://mock-store.myshopify.com/products/${product.handle}`
+      }));
+  };
+
+  /**
+   * Finds policy and FAQ entries matching the query
+   *
+   * @private
+   * @param {string} query - The question
+   * @returns {Array} Matching entries, or all entries if nothing matches
+   */
+  const searchPolicies = (query = "") => {
+    const words = query.toLowerCase().split(/\W+/).filter((word) => word.length > 3);
+    const matches = storefront.policies.filter((entry) =>
+      words.some((word) => `${entry.question} ${entry.answer}`.toLowerCase().includes(word))
+    );
+
+    return matches.length > 0 ? matches : storefront.policies;
+  };
+
+  /**
+   * Creates or updates an in-memory cart
+   *
+   * @private
+   * @param {Object} args - update_cart arguments
+   * @returns {Object} The updated cart
+   */
+  const updateCart = ({ cart_id: cartId, lines = [] }) => {
+    const cart = carts.get(cartId) || {
+      id: `gid://shopify/Cart/mock-${carts.size + 1}`,
+      lines: []
+    };
+
+    for (const line of lines) {
+      const existing = cart.lines.find((candidate) =>
+        candidate.id === line.line_item_id || candidate.merchandise.id === line.merchandise_id
+      );
+
+      if (existing) {
+        existing.quantity = line.quantity;
+        continue;
+      }
+
+      const product = storefront.products.find((candidate) => candidate.variant_id === line.merchandise_id);
+      cart.lines.push({
+        id: `gid://shopify/CartLine/mock-${cart.lines.length + 1}`,
+        quantity: line.quantity,
+        merchandise: {
+          id: line.merchandise_id,
+          title: product?.title || "Unknown item",
+          price: product?.price_range?.min || "0.00"
+        }
+      });
+    }
+
+    cart.lines = cart.lines.filter((line) => line.quantity > 0);
+    cart.checkout_url = `https://mock-store.myshopify.com/cart/c/${encodeURIComponent(cart.id)}`;
+    carts.set(cart.id, cart);
+
+    return cart;
+  };
+
+  return {
+    fetch: mockFetch,
+    reset: () => {
+      carts.clear();
+      sessions.clear();
+    }
+  };
+}
+
+/**
+ * Shared instance so carts survive across chat requests in the same process
+ */
+let sharedServer;
+
+/**
+ * Gets the shared in-process mock MCP server
+ *
+ * @returns {Object} The mock server
+ */
+export function getMockMcpServer() {
+  if (!sharedServer) {
+    sharedServer = createMockMcpServer();
+  }
+
+  return sharedServer;
+}
+
+/**
+ * Wraps a value as an MCP text tool result
+ *
+ * @param {Object} data - The data to return
+ * @returns {Object} MCP tool result
+ */
+function textResult(data) {
+  return {
+    content: [{ type: "text", text: JSON.stringify(data) }],
+    isError: false
+  };
+}
+
+/**
+ * Wraps a message as an MCP tool error result
+ *
+ * @param {string} message - The error message
+ * @returns {Object} MCP tool result
+ */
+function errorResult(message) {
+  return {
+    content: [{ type: "text", text: message }],
+    isError: true
+  };
+}
+
+/**
+ * Builds a JSON-RPC success response
+ *
+ * @param {number|string} id - The request id
+ * @param {Object} result - The result payload
+ * @returns {Response} The HTTP response
+ */
+function jsonRpcResult(id, result) {
+  return Response.json({ jsonrpc: "2.0", id, result });
+}
+
+/**
+ * Builds a JSON-RPC error response
+ *
+ * @param {number|string|null} id - The request id
+ * @param {number} code - The JSON-RPC error code
+ * @param {string} message - The error message
+ * @returns {Response} The HTTP response
+ */
+function jsonRpcError(id, code, message) {
+  return Response.json({ jsonrpc: "2.0", id, error: { code, message } });
+}
+
+export default {
+  createMockMcpServer,
+  getMockMcpServer
+};
@@ -1,53 +1,79 @@
+import { useLoaderData } from "react-router";
+import { authenticate } from "../shopify.server";
+import { listConversations } from "../db.server";
+import { getMessagePreview } from "../services/transcript.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  const [recent, lastWeek] = await Promise.all([
+    listConversations(session.shop, { pageSize: 5 }),
+    listConversations(session.shop, { from: weekAgo, pageSize: 1 })
+  ]);
+
+  return {
+    totalConversations: recent.total,
+    lastWeekConversations: lastWeek.total,
+    recentConversations: recent.conversations.map((conversation) => ({
+      id: conversation.id,
+      updatedAt: conversation.updatedAt,
+      preview: conversation.messages[0]
+        ? getMessagePreview(conversation.messages[0].content, 80)
+        : ""
+    }))
+  };
+};
+
 export default function Index() {
+  const { totalConversations, lastWeekConversations, recentConversations } = useLoaderData();
+
   return (
     <s-page>
-      <ui-title-bar title="Shop chat agent reference app" />
+      <ui-title-bar title="Shop chat agent" />
 
-      <s-section>
-        <s-stack gap="base">
-          <s-heading>Congrats on creating a new Shopify app 🎉</s-heading>
+      <s-section heading="Recent conversations">
+        {recentConversations.length === 0 ? (
           <s-paragraph>
-            This is a reference app that adds a chat agent on your storefront,
-            which is powered via claude and can connect shopify mcp platform.
+            No conversations yet. Enable the chat bubble in your theme editor
+            and they will show up here.
           </s-paragraph>
-        </s-stack>
+        ) : (
+          <s-stack gap="base">
+            {recentConversations.map((conversation) => (
+              <s-stack key={conversation.id} direction="inline" gap="base" justifyContent="space-between">
+                <s-link href={`/app/conversations/${encodeURIComponent(conversation.id)}`}>
+                  {conversation.preview || "(no customer message)"}
+                </s-link>
+                <s-text color="subdued">
+                  {new Date(conversation.updatedAt).toLocaleString(undefined, {
+                    dateStyle: "medium",
+                    timeStyle: "short"
+                  })}
+                </s-text>
+              </s-stack>
+            ))}
+            <s-link href="/app/conversations">View all conversations</s-link>
+          </s-stack>
+        )}
       </s-section>
 
-      <s-section heading="App template specs" slot="aside">
+      <s-section heading="Activity" slot="aside">
         <s-paragraph>
-          <s-text>Framework: </s-text>
-          <s-link href="https://reactrouter.com/" target="_blank">
-            React Router
-          </s-link>
+          <s-text type="strong">{lastWeekConversations}</s-text>
+          <s-text> conversations in the last 7 days</s-text>
         </s-paragraph>
         <s-paragraph>
-          <s-text>Interface: </s-text>
-          <s-link
-            href="https://shopify.dev/docs/api/app-home/using-polaris-components"
-            target="_blank"
-          >
-            Polaris web components
-          </s-link>
-        </s-paragraph>
-        <s-paragraph>
-          <s-text>API: </s-text>
-          <s-link
-            href="https://shopify.dev/docs/api/admin-graphql"
-            target="_blank"
-          >
-            GraphQL
-          </s-link>
-        </s-paragraph>
-        <s-paragraph>
-          <s-text>Database: </s-text>
-          <s-link href="https://www.prisma.io/" target="_blank">
-            Prisma
-          </s-link>
+          <s-text type="strong">{totalConversations}</s-text>
+          <s-text> conversations in total</s-text>
         </s-paragraph>
       </s-section>
 
       <s-section heading="Next steps" slot="aside">
-        <s-text>Enable the theme extension in your theme editor.</s-text>
+        <s-paragraph>Enable the theme extension in your theme editor.</s-paragraph>
+        <s-paragraph>
+          Connect extra tools on the <s-link href="/app/mcp-servers">MCP servers</s-link> page.
+        </s-paragraph>
       </s-section>
     </s-page>
   );
@@ -0,0 +1,154 @@
+import { useLoaderData } from "react-router";
+import { authenticate } from "../shopify.server";
+import { getConversation } from "../db.server";
+import { buildTranscript } from "../services/transcript.server";
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  const conversation = await getConversation(session.shop, params.id);
+  if (!conversation) {
+    throw new Response("Conversation not found", { status: 404 });
+  }
+
+  return {
+    conversation: {
+      id: conversation.id,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt
+    },
+    transcript: buildTranscript(conversation.messages)
+  };
+};
+
+export default function ConversationDetail() {
+  const { conversation, transcript } = useLoaderData();
+
+  return (
+    <s-page heading="Conversation">
+      <s-link slot="breadcrumb-actions" href="/app/conversations">Conversations</s-link>
+
+      <s-section heading="Transcript">
+        {transcript.length === 0 ? (
+          <s-paragraph>This conversation has no messages.</s-paragraph>
+        ) : (
+          <s-stack gap="base">
+            {transcript.map((entry) =>
+              entry.blocks.map((block, index) =>
+                renderTranscriptBlock(entry, block, `${entry.id}-${index}`)
+              )
+            )}
+          </s-stack>
+        )}
+      </s-section>
+
+      <s-section heading="Details" slot="aside">
+        <s-paragraph>
+          <s-text type="strong">ID: </s-text>
+          <s-text>{conversation.id}</s-text>
+        </s-paragraph>
+        <s-paragraph>
+          <s-text type="strong">Started: </s-text>
+          <s-text>{formatDate(conversation.createdAt)}</s-text>
+        </s-paragraph>
+        <s-paragraph>
+          <s-text type="strong">Last activity: </s-text>
+          <s-text>{formatDate(conversation.updatedAt)}</s-text>
+        </s-paragraph>
+      </s-section>
+    </s-page>
+  );
+}
+
+/**
+ * Renders one content block of a message
+ * @param {Object} entry - The transcript entry with role, createdAt and cancelled
+ * @param {Object} block - The decoded content block
+ * @param {string} key - React key for the block
+ * @returns {JSX.Element} - The rendered block
+ */
+function renderTranscriptBlock({ role, createdAt, cancelled }, block, key) {
+  switch (block.type) {
+    case "text":
+      return (
+        <s-box
+          key={key}
+          padding="base"
+          borderRadius="base"
+          background={role === "assistant" ? "subdued" : "base"}
+          border="base"
+        >
+          <s-stack gap="small-200">
+            <s-stack direction="inline" gap="small-200" alignItems="center">
+              <s-text color="subdued">
+                {role === "assistant" ? "Assistant" : "Customer"} · {formatDate(createdAt)}
+              </s-text>
+              {cancelled && <s-badge tone="warning">Stopped by customer</s-badge>}
+            </s-stack>
+            <pre style={textStyle}>{block.text}</pre>
+          </s-stack>
+        </s-box>
+      );
+
+    case "tool_use":
+      return (
+        <s-box key={key} padding="base" borderRadius="base" border="base" background="subdued">
+          <s-stack gap="small-200">
+            <s-stack direction="inline" gap="small-200" alignItems="center">
+              <s-badge tone="info">Tool call</s-badge>
+              <s-text type="strong">{block.name}</s-text>
+            </s-stack>
+            <pre style={codeStyle}>{block.input}</pre>
+          </s-stack>
+        </s-box>
+      );
+
+    case "tool_result":
+      return (
+        <s-box key={key} padding="base" borderRadius="base" border="base" background="subdued">
+          <s-stack gap="small-200">
+            <s-stack direction="inline" gap="small-200" alignItems="center">
+              <s-badge tone={block.isError ? "critical" : "success"}>
+                {block.isError ? "Tool error" : "Tool result"}
+              </s-badge>
+              <s-text type="strong">{block.name}</s-text>
+            </s-stack>
+            <pre style={codeStyle}>{block.output}</pre>
+          </s-stack>
+        </s-box>
+      );
+
+    default:
+      return (
+        <s-box key={key} padding="base" borderRadius="base" border="base">
+          <pre style={codeStyle}>{block.output}</pre>
+        </s-box>
+      );
+  }
+}
+
+/**
+ * Keeps line breaks in messages and indentation in tool payloads while wrapping long lines
+ */
+const codeStyle = {
+  margin: 0,
+  whiteSpace: "pre-wrap",
+  wordBreak: "break-word"
+};
+
+const textStyle = {
+  ...codeStyle,
+  fontFamily: "inherit"
+};
+
+/**
+ * Format a timestamp for display
+ * @param {string|Date} value - The timestamp
+ * @returns {string} - The formatted date and time
+ */
+function formatDate(value) {
+  return new Date(value).toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short"
+  });
+}
@@ -0,0 +1,159 @@
+import { Form, useLoaderData, useNavigation } from "react-router";
+import { authenticate } from "../shopify.server";
+import { listConversations } from "../db.server";
+import { getMessagePreview } from "../services/transcript.server";
+
+const PAGE_SIZE = 20;
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const url = new URL(request.url);
+  const search = (url.searchParams.get("q") || "").trim();
+  const from = url.searchParams.get("from") || "";
+  const to = url.searchParams.get("to") || "";
+  const page = Math.max(1, parseInt(url.searchParams.get("page") || "1", 10) || 1);
+
+  const { conversations, total } = await listConversations(session.shop, {
+    search,
+    from: parseDate(from),
+    // Include the whole "to" day
+    to: parseDate(to, 1),
+    page,
+    pageSize: PAGE_SIZE
+  });
+
+  return {
+    filters: { search, from, to },
+    page,
+    pageCount: Math.max(1, Math.ceil(total / PAGE_SIZE)),
+    total,
+    conversations: conversations.map((conversation) => ({
+      id: conversation.id,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      messageCount: conversation._count.messages,
+      preview: conversation.messages[0]
+        ? getMessagePreview(conversation.messages[0].content)
+        : ""
+    }))
+  };
+};
+
+export default function Conversations() {
+  const { filters, page, pageCount, total, conversations } = useLoaderData();
+  const navigation = useNavigation();
+  const isLoading = navigation.state === "loading";
+
+  return (
+    <s-page heading="Conversations">
+      <s-section>
+        <Form method="get">
+          <s-stack direction="inline" gap="base" alignItems="end">
+            <s-search-field
+              name="q"
+              label="Search"
+              placeholder="Message text or conversation ID"
+              defaultValue={filters.search}
+            />
+            <s-date-field name="from" label="Started from" defaultValue={filters.from} />
+            <s-date-field name="to" label="Started to" defaultValue={filters.to} />
+            <s-button type="submit">Filter</s-button>
+            {(filters.search || filters.from || filters.to) && (
+              <s-button href="/app/conversations" variant="tertiary">Clear</s-button>
+            )}
+          </s-stack>
+        </Form>
+      </s-section>
+
+      <s-section padding="none">
+        {conversations.length === 0 ? (
+          <s-box padding="base">
+            <s-paragraph>No conversations match these filters.</s-paragraph>
+          </s-box>
+        ) : (
+          <s-table loading={isLoading || undefined}>
+            <s-table-header-row>
+              <s-table-header listSlot="primary">First message</s-table-header>
+              <s-table-header listSlot="secondary">Last activity</s-table-header>
+              <s-table-header format="numeric">Messages</s-table-header>
+              <s-table-header>Conversation ID</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {conversations.map((conversation) => (
+                <s-table-row key={conversation.id}>
+                  <s-table-cell>
+                    <s-link href={`/app/conversations/${encodeURIComponent(conversation.id)}`}>
+                      {conversation.preview || "(no customer message)"}
+                    </s-link>
+                  </s-table-cell>
+                  <s-table-cell>{formatDate(conversation.updatedAt)}</s-table-cell>
+                  <s-table-cell>{conversation.messageCount}</s-table-cell>
+                  <s-table-cell>{conversation.id}</s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+
+      <s-stack direction="inline" gap="base" justifyContent="space-between" alignItems="center">
+        <s-text color="subdued">
+          {total} conversation{total === 1 ? "" : "s"} · page {page} of {pageCount}
+        </s-text>
+        <s-stack direction="inline" gap="small-200">
+          <s-button href={getPageHref(filters, page - 1)} disabled={page <= 1 || undefined}>
+            Previous
+          </s-button>
+          <s-button href={getPageHref(filters, page + 1)} disabled={page >= pageCount || undefined}>
+            Next
+          </s-button>
+        </s-stack>
+      </s-stack>
+    </s-page>
+  );
+}
+
+/**
+ * Parse a YYYY-MM-DD filter value as a UTC date
+ * @param {string} value - The date field value
+ * @param {number} offsetDays - Days to add to the date
+ * @returns {Date|undefined} - The date, or undefined if the value is empty or invalid
+ */
+function parseDate(value, offsetDays = 0) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return undefined;
+
+  const date = new Date(`${value}T00:00:00.000Z`);
+  if (Number.isNaN(date.getTime())) return undefined;
+
+  date.setUTCDate(date.getUTCDate() + offsetDays);
+  return date;
+}
+
+/**
+ * Build the link to another page, keeping the current filters
+ * @param {Object} filters - The active filters
+ * @param {number} page - The page to link to
+ * @returns {string} - The page URL
+ */
+function getPageHref(filters, page) {
+  const params = new URLSearchParams();
+  if (filters.search) params.set("q", filters.search);
+  if (filters.from) params.set("from", filters.from);
+  if (filters.to) params.set("to", filters.to);
+  params.set("page", String(Math.max(1, page)));
+
+  return `/app/conversations?${params}`;
+}
+
+/**
+ * Format a timestamp for display
+ * @param {string|Date} value - The timestamp
+ * @returns {string} - The formatted date and time
+ */
+function formatDate(value) {
+  return new Date(value).toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short"
+  });
+}
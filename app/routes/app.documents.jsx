@@ -0,0 +1,297 @@
+import { Form, useActionData, useLoaderData, useNavigation } from "react-router";
+import { authenticate } from "../shopify.server";
+import { listKnowledgeDocuments, deleteKnowledgeDocument } from "../db.server";
+import {
+  detectDocumentFormat,
+  isPdfFile,
+  extractPdfText,
+  decodeTextFile,
+  extractDocumentText,
+  indexDocument,
+  reindexDocument
+} from "../services/documents.server";
+import { getEmbedder } from "../services/embeddings.server";
+import AppConfig from "../services/config.server";
+
+/**
+ * Formats offered for pasted documents, or to override the detected format of a text file
+ */
+const FORMAT_LABELS = {
+  markdown: "Markdown",
+  html: "HTML",
+  pdf: "PDF",
+  text: "Plain text"
+};
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const embedderId = getEmbedder().id;
+  const documents = await listKnowledgeDocuments(session.shop);
+
+  return {
+    documents: documents.map((document) => ({
+      id: document.id,
+      title: document.title,
+      format: document.format,
+      sourceName: document.sourceName,
+      url: document.url,
+      chunkCount: document._count.chunks,
+      // Chunks indexed by another embedder are not searched until the document is re-indexed
+      stale: document.embeddingModel !== embedderId,
+      updatedAt: document.updatedAt
+    })),
+    embedderId,
+    maxUploadBytes: AppConfig.documents.maxUploadBytes
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  switch (intent) {
+    case "upload": {
+      const file = formData.get("file");
+      const hasFile = file && typeof file === "object" && file.size > 0;
+      const pasted = String(formData.get("content") || "");
+      const url = String(formData.get("url") || "").trim();
+      const errors = {};
+
+      let format = String(formData.get("format") || "");
+      let title = String(formData.get("title") || "").trim();
+      let fileText = null;
+
+      if (hasFile) {
+        title = title || file.name.replace(/\.[^.]+$/, "");
+
+        if (file.size > AppConfig.documents.maxUploadBytes) {
+          errors.file = `Upload a file smaller than ${formatBytes(AppConfig.documents.maxUploadBytes)}`;
+        } else {
+          const bytes = new Uint8Array(await file.arrayBuffer());
+
+          // The contents decide how a file is read, whatever its name or the picked format
+          if (isPdfFile(bytes)) {
+            format = "pdf";
+            try {
+              fileText = await extractPdfText(bytes);
+              if (!fileText) {
+                errors.file = "This PDF has no text to index. Scanned PDFs need text recognition first";
+              }
+            } catch (error) {
+              console.error("Error reading PDF:", error);
+              errors.file = "This PDF could not be read";
+            }
+          } else {
+            format = format || detectDocumentFormat(file.name);
+            fileText = decodeTextFile(bytes);
+            if (!format || fileText === null || file.name.toLowerCase().endsWith(".pdf")) {
+              errors.file = "Upload a PDF, Markdown, HTML or text file";
+            }
+          }
+        }
+      } else if (!pasted.trim()) {
+        errors.file = "Upload a file or paste the document's text";
+      } else if (new TextEncoder().encode(pasted).length > AppConfig.documents.maxUploadBytes) {
+        errors.content = `Paste less than ${formatBytes(AppConfig.documents.maxUploadBytes)} of text`;
+      }
+
+      if (!title) {
+        errors.title = "Enter a title";
+      }
+
+      if (url && !/^https?:\/\//i.test(url)) {
+        errors.url = "Enter a URL starting with https://";
+      }
+
+      if (Object.keys(errors).length > 0) {
+        return { errors };
+      }
+
+      format = FORMAT_LABELS[format] ? format : "text";
+      const content = extractDocumentText(hasFile ? fileText : pasted, format);
+
+      try {
+        const document = await indexDocument(session.shop, {
+          title,
+          format,
+          sourceName: hasFile ? file.name : "",
+          url,
+          content
+        });
+        return { added: { title: document.title, chunkCount: document.chunkCount } };
+      } catch (error) {
+        console.error("Error indexing knowledge document:", error);
+        return { errors: { file: `The document could not be indexed: ${error.message}` } };
+      }
+    }
+
+    case "reindex":
+      try {
+        await reindexDocument(session.shop, String(formData.get("id") || ""));
+        return { reindexed: true };
+      } catch (error) {
+        console.error("Error re-indexing knowledge document:", error);
+        return { errors: { documents: `The document could not be re-indexed: ${error.message}` } };
+      }
+
+    case "delete":
+      await deleteKnowledgeDocument(session.shop, String(formData.get("id") || ""));
+      return null;
+
+    default:
+      return new Response("Unknown intent", { status: 400 });
+  }
+};
+
+export default function Documents() {
+  const { documents, embedderId, maxUploadBytes } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const isUploading = navigation.state === "submitting" && navigation.formData?.get("intent") === "upload";
+  const errors = actionData?.errors || {};
+
+  return (
+    <s-page heading="Documents">
+      <s-section heading="Knowledge documents" padding="none">
+        <s-box padding="base">
+          <s-stack gap="base">
+            <s-paragraph>
+              The assistant searches these documents with the{" "}
+              <s-text type="strong">search_store_knowledge</s-text> tool and cites them in its
+              replies. Use them for size guides, care instructions and long FAQ pages.
+            </s-paragraph>
+            {errors.documents && <s-banner tone="critical">{errors.documents}</s-banner>}
+            {actionData?.reindexed && <s-banner tone="success">Document re-indexed.</s-banner>}
+            {documents.some((document) => document.stale) && (
+              <s-banner tone="warning">
+                Some documents were indexed with another embedder and are not searched. Re-index them
+                to use {embedderId}.
+              </s-banner>
+            )}
+          </s-stack>
+        </s-box>
+
+        {documents.length === 0 ? (
+          <s-box padding="base">
+            <s-paragraph color="subdued">No documents yet.</s-paragraph>
+          </s-box>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header listSlot="primary">Title</s-table-header>
+              <s-table-header>Format</s-table-header>
+              <s-table-header format="numeric">Chunks</s-table-header>
+              <s-table-header listSlot="secondary">Updated</s-table-header>
+              <s-table-header>Actions</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {documents.map((document) => (
+                <s-table-row key={document.id}>
+                  <s-table-cell>
+                    <s-stack direction="inline" gap="small-200">
+                      {document.url
+                        ? <s-link href={document.url} target="_blank">{document.title}</s-link>
+                        : <s-text>{document.title}</s-text>}
+                      {document.stale && <s-badge tone="warning">Not searched</s-badge>}
+                    </s-stack>
+                  </s-table-cell>
+                  <s-table-cell>{FORMAT_LABELS[document.format] || document.format}</s-table-cell>
+                  <s-table-cell>{document.chunkCount}</s-table-cell>
+                  <s-table-cell>{formatDate(document.updatedAt)}</s-table-cell>
+                  <s-table-cell>
+                    <s-stack direction="inline" gap="small-200">
+                      <Form method="post">
+                        <input type="hidden" name="intent" value="reindex" />
+                        <input type="hidden" name="id" value={document.id} />
+                        <s-button type="submit" variant="tertiary">Re-index</s-button>
+                      </Form>
+                      <Form method="post">
+                        <input type="hidden" name="intent" value="delete" />
+                        <input type="hidden" name="id" value={document.id} />
+                        <s-button type="submit" variant="tertiary" tone="critical">Delete</s-button>
+                      </Form>
+                    </s-stack>
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+
+      <s-section heading="Add a document">
+        {actionData?.added && (
+          <s-banner tone="success">
+            Added {actionData.added.title} in {actionData.added.chunkCount} chunks.
+          </s-banner>
+        )}
+        <Form method="post" encType="multipart/form-data">
+          <input type="hidden" name="intent" value="upload" />
+          <s-stack gap="base">
+            <s-text-field
+              name="title"
+              label="Title"
+              placeholder="Size guide"
+              details="Shown in citations. Defaults to the file name."
+              error={errors.title}
+            />
+            <s-text-field
+              name="url"
+              label="Page URL"
+              placeholder="https://example.com/pages/size-guide"
+              details="Optional. Citations link to it."
+              error={errors.url}
+            />
+            <s-stack gap="small-200">
+              <s-text type="strong">File</s-text>
+              <input type="file" name="file" accept=".pdf,.md,.markdown,.html,.htm,.txt" />
+              <s-text color="subdued">
+                PDF, Markdown, HTML or text, up to {formatBytes(maxUploadBytes)}.
+              </s-text>
+              {errors.file && <s-text tone="critical">{errors.file}</s-text>}
+            </s-stack>
+            <s-text-area
+              name="content"
+              label="Or paste the text"
+              details="Pick PDF as the format for text copied out of a PDF."
+              error={errors.content}
+              rows={8}
+            />
+            <s-select name="format" label="Format">
+              <s-option value="">Detect from the file name</s-option>
+              {Object.entries(FORMAT_LABELS).map(([value, label]) => (
+                <s-option key={value} value={value}>{label}</s-option>
+              ))}
+            </s-select>
+            <s-button type="submit" variant="primary" loading={isUploading || undefined}>
+              Add document
+            </s-button>
+          </s-stack>
+        </Form>
+      </s-section>
+    </s-page>
+  );
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - The byte count
+ * @returns {string} - The size in KB or MB
+ */
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${Math.round(bytes / (1024 * 1024))} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+/**
+ * Format a timestamp for display
+ * @param {string|Date} value - The timestamp
+ * @returns {string} - The formatted date and time
+ */
+function formatDate(value) {
+  return new Date(value).toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short"
+  });
+}
@@ -16,6 +16,12 @@ export default function App() {
     <AppProvider embedded apiKey={apiKey}>
       <s-app-nav>
         <s-link href="/app">Home</s-link>
+        <s-link href="/app/conversations">Conversations</s-link>
+        <s-link href="/app/prompts">Prompts</s-link>
+        <s-link href="/app/knowledge">Knowledge</s-link>
+        <s-link href="/app/documents">Documents</s-link>
+        <s-link href="/app/usage">Usage</s-link>
+        <s-link href="/app/mcp-servers">MCP servers</s-link>
       </s-app-nav>
       <Outlet />
     </AppProvider>
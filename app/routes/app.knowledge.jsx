@@ -0,0 +1,271 @@
+import { Form, useActionData, useLoaderData, useNavigation } from "react-router";
+import { authenticate } from "../shopify.server";
+import {
+  getKnowledgeProfile,
+  saveKnowledgeProfile,
+  listFaqEntries,
+  createFaqEntry,
+  deleteFaqEntry
+} from "../db.server";
+import { syncStoreKnowledge, formatStoreKnowledge } from "../services/knowledge.server";
+import AppConfig from "../services/config.server";
+
+export const loader = async ({ request }) => {
+  const { session, admin } = await authenticate.admin(request);
+
+  let profile = await getKnowledgeProfile(session.shop);
+  let syncError = null;
+
+  // Pull the policies the first time the page is opened
+  if (!profile?.policiesSyncedAt) {
+    try {
+      profile = await syncStoreKnowledge(session.shop, admin);
+    } catch (error) {
+      console.error("Error syncing store knowledge:", error);
+      syncError = "The store policies could not be loaded. Try syncing again.";
+    }
+  }
+
+  const faqEntries = await listFaqEntries(session.shop);
+
+  return {
+    profile: {
+      shopName: profile?.shopName || "",
+      currency: profile?.currency || "",
+      brandVoice: profile?.brandVoice || "",
+      policies: profile?.policies || [],
+      policiesSyncedAt: profile?.policiesSyncedAt || null
+    },
+    faqEntries: faqEntries.map((entry) => ({
+      id: entry.id,
+      question: entry.question,
+      answer: entry.answer
+    })),
+    maxFaqEntries: AppConfig.knowledge.maxFaqEntries,
+    knowledgeText: formatStoreKnowledge(profile, faqEntries.slice(0, AppConfig.knowledge.maxFaqEntries)),
+    syncError
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session, admin } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  switch (intent) {
+    case "sync":
+      try {
+        await syncStoreKnowledge(session.shop, admin);
+        return { synced: true };
+      } catch (error) {
+        console.error("Error syncing store knowledge:", error);
+        return { errors: { sync: "The store policies could not be loaded. Try again later." } };
+      }
+
+    case "saveBrandVoice":
+      await saveKnowledgeProfile(session.shop, {
+        brandVoice: String(formData.get("brandVoice") || "").trim()
+      });
+      return { brandVoiceSaved: true };
+
+    case "addFaq": {
+      const question = String(formData.get("question") || "").trim();
+      const answer = String(formData.get("answer") || "").trim();
+      const errors = {};
+
+      if (!question) {
+        errors.question = "Enter a question";
+      }
+
+      if (!answer) {
+        errors.answer = "Enter the answer";
+      }
+
+      if (Object.keys(errors).length > 0) {
+        return { errors };
+      }
+
+      await createFaqEntry(session.shop, { question, answer });
+      return { faqAdded: true };
+    }
+
+    case "deleteFaq":
+      await deleteFaqEntry(session.shop, String(formData.get("id") || ""));
+      return null;
+
+    default:
+      return new Response("Unknown intent", { status: 400 });
+  }
+};
+
+export default function Knowledge() {
+  const { profile, faqEntries, maxFaqEntries, knowledgeText, syncError } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submittingIntent = navigation.state === "submitting" ? navigation.formData?.get("intent") : null;
+  const errors = actionData?.errors || {};
+
+  return (
+    <s-page heading="Knowledge">
+      <s-section heading="Store details">
+        {(errors.sync || (syncError && !actionData?.synced)) && (
+          <s-banner tone="critical">{errors.sync || syncError}</s-banner>
+        )}
+        {actionData?.synced && <s-banner tone="success">Store details and policies are up to date.</s-banner>}
+
+        <s-stack gap="base">
+          <s-paragraph>
+            The assistant knows your store as <s-text type="strong">{profile.shopName || "your store"}</s-text>
+            {profile.currency && <> and quotes prices in <s-text type="strong">{profile.currency}</s-text></>}.
+            Prompts can use the <s-text type="strong">{"{{shop_name}}"}</s-text>,{" "}
+            <s-text type="strong">{"{{currency}}"}</s-text> and{" "}
+            <s-text type="strong">{"{{store_knowledge}}"}</s-text> variables.
+          </s-paragraph>
+          <Form method="post">
+            <input type="hidden" name="intent" value="sync" />
+            <s-stack direction="inline" gap="base" alignItems="center">
+              <s-button type="submit" loading={submittingIntent === "sync" || undefined}>
+                Sync from Shopify
+              </s-button>
+              <s-text color="subdued">
+                {profile.policiesSyncedAt ? `Last synced ${formatDate(profile.policiesSyncedAt)}` : "Never synced"}
+              </s-text>
+            </s-stack>
+          </Form>
+        </s-stack>
+      </s-section>
+
+      <s-section heading="Policies">
+        {profile.policies.length === 0 ? (
+          <s-paragraph color="subdued">
+            No shipping, refund or contact policies found. Add them in Settings › Policies, then sync.
+          </s-paragraph>
+        ) : (
+          <s-stack gap="base">
+            {profile.policies.map((policy) => (
+              <s-box key={policy.type} padding="base" borderRadius="base" background="subdued">
+                <s-stack gap="small-200">
+                  <s-link href={policy.url} target="_blank">{policy.title}</s-link>
+                  <s-text color="subdued">{truncate(policy.body, 240)}</s-text>
+                </s-stack>
+              </s-box>
+            ))}
+          </s-stack>
+        )}
+      </s-section>
+
+      <s-section heading="Brand voice">
+        {actionData?.brandVoiceSaved && <s-banner tone="success">Brand voice saved.</s-banner>}
+        <Form method="post">
+          <input type="hidden" name="intent" value="saveBrandVoice" />
+          <s-stack gap="base">
+            <s-text-area
+              name="brandVoice"
+              label="How the assistant should sound"
+              placeholder="Warm and concise. Call customers 'friend'. Never use slang."
+              defaultValue={profile.brandVoice}
+              rows={4}
+            />
+            <s-button type="submit" loading={submittingIntent === "saveBrandVoice" || undefined}>
+              Save brand voice
+            </s-button>
+          </s-stack>
+        </Form>
+      </s-section>
+
+      <s-section heading="FAQ" padding="none">
+        {faqEntries.length > maxFaqEntries && (
+          <s-box padding="base">
+            <s-banner tone="warning">
+              Only the first {maxFaqEntries} entries are given to the assistant.
+            </s-banner>
+          </s-box>
+        )}
+        {faqEntries.length > 0 && (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header listSlot="primary">Question</s-table-header>
+              <s-table-header listSlot="secondary">Answer</s-table-header>
+              <s-table-header>Actions</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {faqEntries.map((entry) => (
+                <s-table-row key={entry.id}>
+                  <s-table-cell>{entry.question}</s-table-cell>
+                  <s-table-cell>{entry.answer}</s-table-cell>
+                  <s-table-cell>
+                    <Form method="post">
+                      <input type="hidden" name="intent" value="deleteFaq" />
+                      <input type="hidden" name="id" value={entry.id} />
+                      <s-button type="submit" variant="tertiary" tone="critical">Delete</s-button>
+                    </Form>
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+
+        <s-box padding="base">
+          <Form method="post">
+            <input type="hidden" name="intent" value="addFaq" />
+            <s-stack gap="base">
+              <s-text-field
+                // Clear the fields after an entry is added
+                key={faqEntries.length}
+                name="question"
+                label="Question"
+                placeholder="Do you offer gift wrapping?"
+                error={errors.question}
+                required
+              />
+              <s-text-area
+                key={`answer-${faqEntries.length}`}
+                name="answer"
+                label="Answer"
+                error={errors.answer}
+                rows={3}
+                required
+              />
+              <s-button type="submit" loading={submittingIntent === "addFaq" || undefined}>
+                Add question
+              </s-button>
+            </s-stack>
+          </Form>
+        </s-box>
+      </s-section>
+
+      <s-section heading="What the assistant sees" slot="aside">
+        {knowledgeText ? (
+          <s-box padding="small" borderRadius="base" background="subdued">
+            <pre style={{ whiteSpace: "pre-wrap", margin: 0 }}>{knowledgeText}</pre>
+          </s-box>
+        ) : (
+          <s-paragraph color="subdued">Nothing yet. Sync your policies or add FAQ entries.</s-paragraph>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
+
+/**
+ * Shorten text for display
+ * @param {string} text - The text
+ * @param {number} maxLength - The most characters to show
+ * @returns {string} - The text, cut with an ellipsis if it was longer
+ */
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+}
+
+/**
+ * Format a timestamp for display
+ * @param {string|Date} value - The timestamp
+ * @returns {string} - The formatted date and time
+ */
+function formatDate(value) {
+  return new Date(value).toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short"
+  });
+}
@@ -0,0 +1,225 @@
+import { Form, useActionData, useLoaderData, useNavigation } from "react-router";
+import { authenticate } from "../shopify.server";
+import { getMcpServers, saveMcpServer, deleteMcpServer } from "../db.server";
+import { invalidateToolCatalog } from "../services/tool-catalog.server";
+
+/**
+ * Namespaces become tool name prefixes, so they must be short and URL-safe
+ */
+const NAMESPACE_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const servers = await getMcpServers(session.shop);
+
+  // Header values usually hold credentials, so only their names leave the server
+  return {
+    servers: servers.map((server) => ({
+      id: server.id,
+      name: server.name,
+      url: server.url,
+      enabled: server.enabled,
+      headerNames: Object.keys(server.headers)
+    }))
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  switch (intent) {
+    case "create": {
+      const name = String(formData.get("name") || "").trim().toLowerCase();
+      const url = String(formData.get("url") || "").trim();
+      const errors = {};
+
+      if (!NAMESPACE_PATTERN.test(name)) {
+        errors.name = "Use up to 32 lowercase letters, numbers, dashes or underscores";
+      }
+
+      if (!isValidServerUrl(url)) {
+        errors.url = "Enter an https:// URL for the MCP endpoint";
+      }
+
+      const headers = parseHeaderLines(String(formData.get("headers") || ""));
+      if (!headers) {
+        errors.headers = "Write one header per line, e.g. Authorization: Bearer abc123";
+      }
+
+      const existing = await getMcpServers(session.shop);
+      if (existing.some((server) => server.name === name)) {
+        errors.name = "Another server already uses this namespace";
+      }
+
+      if (Object.keys(errors).length > 0) {
+        return { errors };
+      }
+
+      await saveMcpServer({ shop: session.shop, name, url, headers });
+      invalidateToolCatalog(session.shop);
+      return { saved: name };
+    }
+
+    case "toggle": {
+      const servers = await getMcpServers(session.shop);
+      const server = servers.find((candidate) => candidate.id === formData.get("id"));
+
+      if (server) {
+        await saveMcpServer({ ...server, enabled: !server.enabled });
+        invalidateToolCatalog(session.shop);
+      }
+      return null;
+    }
+
+    case "delete":
+      await deleteMcpServer(session.shop, String(formData.get("id")));
+      invalidateToolCatalog(session.shop);
+      return null;
+
+    default:
+      return new Response("Unknown intent", { status: 400 });
+  }
+};
+
+export default function McpServers() {
+  const { servers } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const isSubmitting = navigation.state === "submitting";
+  const errors = actionData?.errors || {};
+
+  return (
+    <s-page heading="MCP servers">
+      <s-section heading="Registered servers">
+        <s-paragraph>
+          Tools from these servers are offered to the chat agent alongside
+          Shopify&apos;s storefront and customer account tools. Each tool name
+          is prefixed with the server namespace, e.g. <s-text type="strong">reviews__get_reviews</s-text>.
+        </s-paragraph>
+
+        {servers.length === 0 ? (
+          <s-paragraph>No servers registered yet.</s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header listSlot="primary">Namespace</s-table-header>
+              <s-table-header>Endpoint</s-table-header>
+              <s-table-header>Headers</s-table-header>
+              <s-table-header>Status</s-table-header>
+              <s-table-header>Actions</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {servers.map((server) => (
+                <s-table-row key={server.id}>
+                  <s-table-cell>{server.name}</s-table-cell>
+                  <s-table-cell>{server.url}</s-table-cell>
+                  <s-table-cell>
+                    {server.headerNames.length > 0 ? server.headerNames.join(", ") : "None"}
+                  </s-table-cell>
+                  <s-table-cell>
+                    <s-badge tone={server.enabled ? "success" : "neutral"}>
+                      {server.enabled ? "Enabled" : "Disabled"}
+                    </s-badge>
+                  </s-table-cell>
+                  <s-table-cell>
+                    <s-stack direction="inline" gap="small-200">
+                      <Form method="post">
+                        <input type="hidden" name="intent" value="toggle" />
+                        <input type="hidden" name="id" value={server.id} />
+                        <s-button type="submit" variant="tertiary">
+                          {server.enabled ? "Disable" : "Enable"}
+                        </s-button>
+                      </Form>
+                      <Form method="post">
+                        <input type="hidden" name="intent" value="delete" />
+                        <input type="hidden" name="id" value={server.id} />
+                        <s-button type="submit" variant="tertiary" tone="critical">
+                          Remove
+                        </s-button>
+                      </Form>
+                    </s-stack>
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+
+      <s-section heading="Add a server">
+        {actionData?.saved && (
+          <s-banner tone="success">Registered {actionData.saved}.</s-banner>
+        )}
+
+        <Form method="post">
+          <input type="hidden" name="intent" value="create" />
+          <s-stack gap="base">
+            <s-text-field
+              name="name"
+              label="Namespace"
+              placeholder="reviews"
+              details="Prefixed to every tool name from this server"
+              error={errors.name}
+              required
+            />
+            <s-url-field
+              name="url"
+              label="MCP endpoint URL"
+              placeholder="https://reviews.example.com/mcp"
+              error={errors.url}
+              required
+            />
+            <s-text-area
+              name="headers"
+              label="Request headers"
+              placeholder="Authorization: Bearer abc123"
+              details="One header per line. Values are stored with the server and never shown again."
+              error={errors.headers}
+              rows={3}
+            />
+            <s-button type="submit" variant="primary" loading={isSubmitting || undefined}>
+              Add server
+            </s-button>
+          </s-stack>
+        </Form>
+      </s-section>
+    </s-page>
+  );
+}
+
+/**
+ * Check that an MCP endpoint URL is usable from the server
+ * @param {string} value - The URL entered by the merchant
+ * @returns {boolean} - True for https URLs, or http URLs on localhost
+ */
+function isValidServerUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "https:" ||
+      (url.protocol === "http:" && ["localhost", "127.0.0.1"].includes(url.hostname));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parse "Name: value" lines into a headers object
+ * @param {string} value - The raw textarea value
+ * @returns {Object|null} - The headers, or null if a line is malformed
+ */
+function parseHeaderLines(value) {
+  const headers = {};
+
+  for (const line of value.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+
+    const separator = line.indexOf(":");
+    if (separator <= 0) return null;
+
+    headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+  }
+
+  return headers;
+}
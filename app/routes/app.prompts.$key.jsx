@@ -0,0 +1,359 @@
+import { useEffect, useState } from "react";
+import { Form, useActionData, useFetcher, useLoaderData, useNavigation } from "react-router";
+import { authenticate } from "../shopify.server";
+import { getPrompt, updatePrompt, publishPromptVersion, deletePrompt } from "../db.server";
+import { getSeedPrompts } from "../services/prompt.server";
+import { createClaudeService } from "../services/claude.server";
+import { recordTokenUsage } from "../services/usage.server";
+
+/**
+ * Most preview messages sent back to the model, so a long preview stays cheap
+ */
+const MAX_PREVIEW_MESSAGES = 20;
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  const prompt = await getPrompt(session.shop, params.key);
+  if (!prompt) {
+    throw new Response("Prompt not found", { status: 404 });
+  }
+
+  return {
+    prompt: {
+      key: prompt.key,
+      name: prompt.name,
+      description: prompt.description,
+      draftContent: prompt.draftContent,
+      bundled: getSeedPrompts().some((seed) => seed.key === prompt.key)
+    },
+    versions: prompt.versions.map((version) => ({
+      id: version.id,
+      version: version.version,
+      note: version.note,
+      createdAt: version.createdAt
+    }))
+  };
+};
+
+export const action = async ({ request, params }) => {
+  const { session, redirect } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  const prompt = await getPrompt(session.shop, params.key);
+  if (!prompt) {
+    throw new Response("Prompt not found", { status: 404 });
+  }
+  const liveContent = prompt.versions[0]?.content || "";
+
+  switch (intent) {
+    case "save": {
+      const name = String(formData.get("name") || "").trim();
+      const content = String(formData.get("content") || "");
+
+      const errors = {};
+
+      if (!name) {
+        errors.name = "Enter a name";
+      }
+
+      if (!content.trim()) {
+        errors.content = "Enter the prompt";
+      }
+
+      if (Object.keys(errors).length > 0) {
+        return { errors };
+      }
+
+      await updatePrompt(session.shop, prompt.key, {
+        name,
+        description: String(formData.get("description") || "").trim(),
+        // A draft equal to the live version is no draft
+        draftContent: content === liveContent ? null : content
+      });
+      return { saved: true };
+    }
+
+    case "publish": {
+      if (prompt.draftContent === null) {
+        return { errors: { content: "Save a draft with changes before publishing" } };
+      }
+
+      const version = await publishPromptVersion(
+        session.shop,
+        prompt.key,
+        prompt.draftContent,
+        String(formData.get("note") || "").trim()
+      );
+      return { published: version.version };
+    }
+
+    case "discard":
+      await updatePrompt(session.shop, prompt.key, { draftContent: null });
+      return null;
+
+    case "restore": {
+      const restored = prompt.versions.find((version) => version.id === formData.get("versionId"));
+      if (!restored) {
+        return { errors: { versions: "That version no longer exists" } };
+      }
+
+      // Restoring publishes the old content again, so the history stays complete
+      const version = await publishPromptVersion(
+        session.shop,
+        prompt.key,
+        restored.content,
+        `Restored version ${restored.version}`
+      );
+      return { published: version.version };
+    }
+
+    case "preview":
+      return { preview: await runPreview(session.shop, prompt, formData) };
+
+    case "delete":
+      if (getSeedPrompts().some((seed) => seed.key === prompt.key)) {
+        return { errors: { versions: "Bundled prompts cannot be deleted" } };
+      }
+
+      await deletePrompt(session.shop, prompt.key);
+      return redirect("/app/prompts");
+
+    default:
+      return new Response("Unknown intent", { status: 400 });
+  }
+};
+
+export default function PromptEditor() {
+  const { prompt, versions } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const previewFetcher = useFetcher();
+  const [previewMessages, setPreviewMessages] = useState([]);
+
+  const isSubmitting = navigation.state === "submitting";
+  const errors = actionData?.errors || {};
+  const live = versions[0];
+  const hasDraft = prompt.draftContent !== null;
+
+  useEffect(() => {
+    if (previewFetcher.data?.preview) {
+      setPreviewMessages(previewFetcher.data.preview.messages);
+    }
+  }, [previewFetcher.data]);
+
+  return (
+    <s-page heading={prompt.name}>
+      <s-link slot="breadcrumb-actions" href="/app/prompts">Prompts</s-link>
+
+      <s-section heading="Edit">
+        {actionData?.saved && <s-banner tone="success">Draft saved. Try it in the preview, then publish it.</s-banner>}
+        {actionData?.published && <s-banner tone="success">Version {actionData.published} is live.</s-banner>}
+
+        <Form method="post">
+          <input type="hidden" name="intent" value="save" />
+          <s-stack gap="base">
+            <s-text-field name="name" label="Name" defaultValue={prompt.name} error={errors.name} required />
+            <s-text-field name="description" label="Description" defaultValue={prompt.description} />
+            <s-text-area
+              // Remount with the new content after publishing, restoring or discarding
+              key={`${live?.version}-${hasDraft}`}
+              name="content"
+              label="System prompt"
+              defaultValue={hasDraft ? prompt.draftContent : live?.content}
+              error={errors.content}
+              rows={16}
+              required
+            />
+            <s-stack direction="inline" gap="base" alignItems="center">
+              <s-button type="submit" loading={isSubmitting || undefined}>Save draft</s-button>
+              {hasDraft && <s-badge tone="attention">Unpublished draft</s-badge>}
+            </s-stack>
+          </s-stack>
+        </Form>
+
+        {hasDraft && (
+          <s-stack direction="inline" gap="base" alignItems="end">
+            <Form method="post">
+              <input type="hidden" name="intent" value="publish" />
+              <s-stack direction="inline" gap="base" alignItems="end">
+                <s-text-field name="note" label="What changed" placeholder="Shorter replies" />
+                <s-button type="submit" variant="primary" loading={isSubmitting || undefined}>
+                  Publish draft
+                </s-button>
+              </s-stack>
+            </Form>
+            <Form method="post">
+              <input type="hidden" name="intent" value="discard" />
+              <s-button type="submit" variant="tertiary">Discard draft</s-button>
+            </Form>
+          </s-stack>
+        )}
+      </s-section>
+
+      <s-section heading="Preview">
+        <s-paragraph color="subdued">
+          Chat with the {hasDraft ? "saved draft" : "live version"}. Preview replies do not call
+          store tools and are not saved as conversations.
+        </s-paragraph>
+
+        <s-stack gap="small">
+          {previewMessages.map((message, index) => (
+            <s-box
+              key={index}
+              padding="small"
+              borderRadius="base"
+              background={message.role === "user" ? "subdued" : "base"}
+            >
+              <s-text type="strong">{message.role === "user" ? "Customer" : "Assistant"}: </s-text>
+              <s-text>{message.text}</s-text>
+            </s-box>
+          ))}
+          {previewFetcher.data?.preview?.error && (
+            <s-banner tone="critical">{previewFetcher.data.preview.error}</s-banner>
+          )}
+        </s-stack>
+
+        <previewFetcher.Form method="post">
+          <input type="hidden" name="intent" value="preview" />
+          <input type="hidden" name="messages" value={JSON.stringify(previewMessages)} />
+          <s-stack direction="inline" gap="base" alignItems="end">
+            <s-text-field
+              key={previewMessages.length}
+              name="message"
+              label="Customer message"
+              placeholder="Do you ship to Canada?"
+              required
+            />
+            <s-button type="submit" loading={previewFetcher.state !== "idle" || undefined}>Send</s-button>
+            {previewMessages.length > 0 && (
+              <s-button variant="tertiary" onClick={() => setPreviewMessages([])}>Start over</s-button>
+            )}
+          </s-stack>
+        </previewFetcher.Form>
+      </s-section>
+
+      <s-section heading="Version history" padding="none">
+        {errors.versions && (
+          <s-box padding="base">
+            <s-banner tone="critical">{errors.versions}</s-banner>
+          </s-box>
+        )}
+        <s-table>
+          <s-table-header-row>
+            <s-table-header listSlot="primary">Version</s-table-header>
+            <s-table-header listSlot="secondary">Published</s-table-header>
+            <s-table-header>Note</s-table-header>
+            <s-table-header>Actions</s-table-header>
+          </s-table-header-row>
+          <s-table-body>
+            {versions.map((version) => (
+              <s-table-row key={version.id}>
+                <s-table-cell>
+                  <s-stack direction="inline" gap="small-200">
+                    <s-text>{version.version}</s-text>
+                    {version.id === live.id && <s-badge tone="success">Live</s-badge>}
+                  </s-stack>
+                </s-table-cell>
+                <s-table-cell>{formatDate(version.createdAt)}</s-table-cell>
+                <s-table-cell>{version.note}</s-table-cell>
+                <s-table-cell>
+                  {version.id !== live.id && (
+                    <Form method="post">
+                      <input type="hidden" name="intent" value="restore" />
+                      <input type="hidden" name="versionId" value={version.id} />
+                      <s-button type="submit" variant="tertiary">Restore</s-button>
+                    </Form>
+                  )}
+                </s-table-cell>
+              </s-table-row>
+            ))}
+          </s-table-body>
+        </s-table>
+      </s-section>
+
+      <s-section heading="Use this prompt" slot="aside">
+        <s-paragraph>
+          In the theme editor, enter <s-text type="strong">{prompt.key}</s-text> as the chat
+          block&apos;s Custom prompt ID.
+        </s-paragraph>
+        {!prompt.bundled && (
+          <Form method="post">
+            <input type="hidden" name="intent" value="delete" />
+            <s-button type="submit" variant="tertiary" tone="critical">Delete prompt</s-button>
+          </Form>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
+
+/**
+ * Sends the preview conversation to the model with the prompt's draft, or its live version
+ * @param {string} shop - The shop domain
+ * @param {Object} prompt - The prompt with its versions
+ * @param {FormData} formData - The preview form with the earlier `messages` and the new `message`
+ * @returns {Promise<Object>} The preview `messages` including the reply, or an `error`
+ */
+async function runPreview(shop, prompt, formData) {
+  const message = String(formData.get("message") || "").trim();
+  let messages = [];
+
+  try {
+    const parsed = JSON.parse(String(formData.get("messages") || "[]"));
+    messages = Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    messages = [];
+  }
+
+  if (!message) {
+    return { messages, error: "Enter a customer message" };
+  }
+
+  messages = [...messages, { role: "user", text: message }].slice(-MAX_PREVIEW_MESSAGES);
+  // Model APIs expect the history to start with a customer message, which trimming can cut off
+  messages = messages.slice(messages.findIndex((entry) => entry.role === "user"));
+
+  try {
+    const claudeService = createClaudeService({ shop });
+    const reply = await claudeService.streamConversation({
+      messages: messages.map((entry) => ({
+        role: entry.role === "assistant" ? "assistant" : "user",
+        content: [{ type: "text", text: String(entry.text || "") }]
+      })),
+      systemPrompt: prompt.draftContent ?? prompt.versions[0]?.content
+    }, {});
+
+    await recordTokenUsage({
+      shop,
+      conversationId: `preview:${prompt.key}`,
+      provider: claudeService.providerName,
+      model: reply.model,
+      usage: reply.usage,
+      purpose: "preview"
+    });
+
+    const text = reply.content
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("");
+
+    return { messages: [...messages, { role: "assistant", text }] };
+  } catch (error) {
+    console.error("Error previewing prompt:", error);
+    return { messages, error: "The model could not answer. Check the provider settings and try again." };
+  }
+}
+
+/**
+ * Format a timestamp for display
+ * @param {string|Date} value - The timestamp
+ * @returns {string} - The formatted date and time
+ */
+function formatDate(value) {
+  return new Date(value).toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short"
+  });
+}
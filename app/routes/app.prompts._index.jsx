@@ -0,0 +1,139 @@
+import { Form, useActionData, useLoaderData, useNavigation } from "react-router";
+import { authenticate } from "../shopify.server";
+import { listPrompts, getPrompt, createPrompt } from "../db.server";
+import { PROMPT_KEY_PATTERN, ensureSeedPrompts, resolveSystemPrompt } from "../services/prompt.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  // The bundled prompts become the shop's first editable prompts
+  await ensureSeedPrompts(session.shop);
+  const prompts = await listPrompts(session.shop);
+
+  return {
+    prompts: prompts.map((prompt) => ({
+      key: prompt.key,
+      name: prompt.name,
+      description: prompt.description,
+      version: prompt.versions[0]?.version || 0,
+      hasDraft: prompt.draftContent !== null,
+      updatedAt: prompt.updatedAt
+    }))
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session, redirect } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  const key = String(formData.get("key") || "").trim();
+  const name = String(formData.get("name") || "").trim();
+  const copyFrom = String(formData.get("copyFrom") || "");
+  const errors = {};
+
+  if (!PROMPT_KEY_PATTERN.test(key)) {
+    errors.key = "Use up to 64 letters, numbers, dashes or underscores";
+  } else if (await getPrompt(session.shop, key)) {
+    errors.key = "Another prompt already uses this ID";
+  }
+
+  if (!name) {
+    errors.name = "Enter a name";
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { errors };
+  }
+
+  await createPrompt(session.shop, {
+    key,
+    name,
+    description: String(formData.get("description") || "").trim(),
+    content: await resolveSystemPrompt(session.shop, copyFrom),
+    note: copyFrom ? `Copied from ${copyFrom}` : ""
+  });
+
+  return redirect(`/app/prompts/${encodeURIComponent(key)}`);
+};
+
+export default function Prompts() {
+  const { prompts } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const isSubmitting = navigation.state === "submitting";
+  const errors = actionData?.errors || {};
+
+  return (
+    <s-page heading="Prompts">
+      <s-section heading="System prompts">
+        <s-paragraph>
+          The system prompt sets the assistant&apos;s tone and rules. Pick one in the theme
+          editor: the chat block&apos;s <s-text type="strong">Custom prompt ID</s-text> setting
+          takes the ID shown here. Changes go live when you publish them.
+        </s-paragraph>
+
+        <s-table>
+          <s-table-header-row>
+            <s-table-header listSlot="primary">Name</s-table-header>
+            <s-table-header>Prompt ID</s-table-header>
+            <s-table-header format="numeric">Live version</s-table-header>
+            <s-table-header>Status</s-table-header>
+            <s-table-header listSlot="secondary">Last change</s-table-header>
+          </s-table-header-row>
+          <s-table-body>
+            {prompts.map((prompt) => (
+              <s-table-row key={prompt.key}>
+                <s-table-cell>
+                  <s-link href={`/app/prompts/${encodeURIComponent(prompt.key)}`}>{prompt.name}</s-link>
+                </s-table-cell>
+                <s-table-cell>{prompt.key}</s-table-cell>
+                <s-table-cell>{prompt.version}</s-table-cell>
+                <s-table-cell>
+                  {prompt.hasDraft && <s-badge tone="attention">Unpublished draft</s-badge>}
+                </s-table-cell>
+                <s-table-cell>{formatDate(prompt.updatedAt)}</s-table-cell>
+              </s-table-row>
+            ))}
+          </s-table-body>
+        </s-table>
+      </s-section>
+
+      <s-section heading="New prompt">
+        <Form method="post">
+          <s-stack gap="base">
+            <s-text-field name="name" label="Name" placeholder="Holiday sale" error={errors.name} required />
+            <s-text-field
+              name="key"
+              label="Prompt ID"
+              placeholder="holiday-sale"
+              details="Entered in the theme editor to use this prompt; it cannot be changed later"
+              error={errors.key}
+              required
+            />
+            <s-text-field name="description" label="Description" />
+            <s-select name="copyFrom" label="Start from">
+              {prompts.map((prompt) => (
+                <s-option key={prompt.key} value={prompt.key}>{prompt.name}</s-option>
+              ))}
+            </s-select>
+            <s-button type="submit" variant="primary" loading={isSubmitting || undefined}>
+              Create prompt
+            </s-button>
+          </s-stack>
+        </Form>
+      </s-section>
+    </s-page>
+  );
+}
+
+/**
+ * Format a timestamp for display
+ * @param {string|Date} value - The timestamp
+ * @returns {string} - The formatted date and time
+ */
+function formatDate(value) {
+  return new Date(value).toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short"
+  });
+}
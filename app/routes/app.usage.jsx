@@ -0,0 +1,240 @@
+import { Form, useLoaderData } from "react-router";
+import { authenticate } from "../shopify.server";
+import { getUsageRollup } from "../db.server";
+import { getMonthlyBudgetStatus } from "../services/usage.server";
+
+const DEFAULT_RANGE_DAYS = 30;
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const url = new URL(request.url);
+  const to = url.searchParams.get("to") || formatDateValue(new Date());
+  const from = url.searchParams.get("from") ||
+    formatDateValue(new Date(Date.now() - (DEFAULT_RANGE_DAYS - 1) * 24 * 60 * 60 * 1000));
+
+  const [{ totals, byModel, byConversation }, budget] = await Promise.all([
+    getUsageRollup(session.shop, {
+      from: parseDate(from),
+      // Include the whole "to" day
+      to: parseDate(to, 1)
+    }),
+    getMonthlyBudgetStatus(session.shop)
+  ]);
+
+  return {
+    filters: { from, to },
+    budget,
+    totals: toUsageRow(totals),
+    models: byModel.map((row) => ({ model: row.model, ...toUsageRow(row) })),
+    conversations: byConversation.map((row) => ({ conversationId: row.conversationId, ...toUsageRow(row) }))
+  };
+};
+
+export default function Usage() {
+  const { filters, budget, totals, models, conversations } = useLoaderData();
+
+  const cachedTokens = totals.cacheReadInputTokens;
+  const promptTokens = totals.inputTokens + totals.cacheCreationInputTokens + cachedTokens;
+  const figures = [
+    { label: "Estimated cost", value: formatCost(totals.costUsd) },
+    { label: "Model calls", value: formatNumber(totals.calls) },
+    { label: "Input tokens", value: formatNumber(promptTokens) },
+    { label: "Output tokens", value: formatNumber(totals.outputTokens) },
+    {
+      label: "Read from prompt cache",
+      value: promptTokens > 0 ? `${Math.round((cachedTokens / promptTokens) * 100)}%` : "–"
+    }
+  ];
+
+  return (
+    <s-page heading="Usage">
+      <s-section>
+        <Form method="get">
+          <s-stack direction="inline" gap="base" alignItems="end">
+            <s-date-field name="from" label="From" defaultValue={filters.from} />
+            <s-date-field name="to" label="To" defaultValue={filters.to} />
+            <s-button type="submit">Show</s-button>
+          </s-stack>
+        </Form>
+      </s-section>
+
+      <s-section heading="Monthly budget">
+        {budget.budget > 0 ? (
+          <s-stack gap="small-200">
+            {budget.exceeded && (
+              <s-banner tone="critical">
+                The budget is used up. The chat refuses new messages until {formatDate(budget.resetsAt)}.
+              </s-banner>
+            )}
+            <s-paragraph>
+              {formatNumber(budget.used)} of {formatNumber(budget.budget)} tokens used this month
+              ({Math.min(100, Math.round((budget.used / budget.budget) * 100))}%). The budget resets
+              on {formatDate(budget.resetsAt)}.
+            </s-paragraph>
+          </s-stack>
+        ) : (
+          <s-paragraph>
+            {formatNumber(budget.used)} tokens used this month. This shop has no monthly token budget.
+          </s-paragraph>
+        )}
+      </s-section>
+
+      <s-section heading="Totals">
+        <s-stack direction="inline" gap="large">
+          {figures.map((figure) => (
+            <s-stack key={figure.label} gap="small-200">
+              <s-text color="subdued">{figure.label}</s-text>
+              <s-heading>{figure.value}</s-heading>
+            </s-stack>
+          ))}
+        </s-stack>
+        <s-paragraph color="subdued">
+          Costs are estimated from the prices in the app configuration. Calls to models without a
+          price count towards the tokens but not the cost.
+        </s-paragraph>
+      </s-section>
+
+      <s-section heading="By model" padding="none">
+        {models.length === 0 ? (
+          <s-box padding="base">
+            <s-paragraph>No model calls in this period.</s-paragraph>
+          </s-box>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header listSlot="primary">Model</s-table-header>
+              <s-table-header format="numeric">Calls</s-table-header>
+              <s-table-header format="numeric">Input tokens</s-table-header>
+              <s-table-header format="numeric">Read from prompt cache</s-table-header>
+              <s-table-header format="numeric">Output tokens</s-table-header>
+              <s-table-header format="currency" listSlot="secondary">Estimated cost</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {models.map((row) => (
+                <s-table-row key={row.model}>
+                  <s-table-cell>{row.model}</s-table-cell>
+                  <s-table-cell>{formatNumber(row.calls)}</s-table-cell>
+                  <s-table-cell>
+                    {formatNumber(row.inputTokens + row.cacheCreationInputTokens + row.cacheReadInputTokens)}
+                  </s-table-cell>
+                  <s-table-cell>{formatNumber(row.cacheReadInputTokens)}</s-table-cell>
+                  <s-table-cell>{formatNumber(row.outputTokens)}</s-table-cell>
+                  <s-table-cell>{formatCost(row.costUsd)}</s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+
+      <s-section heading="Most expensive conversations" padding="none">
+        {conversations.length === 0 ? (
+          <s-box padding="base">
+            <s-paragraph>No conversations in this period.</s-paragraph>
+          </s-box>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header listSlot="primary">Conversation ID</s-table-header>
+              <s-table-header format="numeric">Calls</s-table-header>
+              <s-table-header format="numeric">Input tokens</s-table-header>
+              <s-table-header format="numeric">Output tokens</s-table-header>
+              <s-table-header format="currency" listSlot="secondary">Estimated cost</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {conversations.map((row) => (
+                <s-table-row key={row.conversationId}>
+                  <s-table-cell>
+                    <s-link href={`/app/conversations/${encodeURIComponent(row.conversationId)}`}>
+                      {row.conversationId}
+                    </s-link>
+                  </s-table-cell>
+                  <s-table-cell>{formatNumber(row.calls)}</s-table-cell>
+                  <s-table-cell>
+                    {formatNumber(row.inputTokens + row.cacheCreationInputTokens + row.cacheReadInputTokens)}
+                  </s-table-cell>
+                  <s-table-cell>{formatNumber(row.outputTokens)}</s-table-cell>
+                  <s-table-cell>{formatCost(row.costUsd)}</s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
+
+/**
+ * Flatten an aggregate row of token usage
+ * @param {Object|null} row - The aggregate with _sum and _count
+ * @returns {Object} - Call count, token sums and cost
+ */
+function toUsageRow(row) {
+  return {
+    calls: row?._count?._all || 0,
+    inputTokens: row?._sum?.inputTokens || 0,
+    outputTokens: row?._sum?.outputTokens || 0,
+    cacheCreationInputTokens: row?._sum?.cacheCreationInputTokens || 0,
+    cacheReadInputTokens: row?._sum?.cacheReadInputTokens || 0,
+    costUsd: row?._sum?.costUsd || 0
+  };
+}
+
+/**
+ * Parse a YYYY-MM-DD filter value as a UTC date
+ * @param {string} value - The date field value
+ * @param {number} offsetDays - Days to add to the date
+ * @returns {Date|undefined} - The date, or undefined if the value is empty or invalid
+ */
+function parseDate(value, offsetDays = 0) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return undefined;
+
+  const date = new Date(`${value}T00:00:00.000Z`);
+  if (Number.isNaN(date.getTime())) return undefined;
+
+  date.setUTCDate(date.getUTCDate() + offsetDays);
+  return date;
+}
+
+/**
+ * Format a date as a YYYY-MM-DD field value
+ * @param {Date} date - The date
+ * @returns {string} - The UTC date
+ */
+function formatDateValue(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Format a date for display
+ * @param {string|Date} value - The date
+ * @returns {string} - The formatted date
+ */
+function formatDate(value) {
+  return new Date(value).toLocaleDateString(undefined, { dateStyle: "medium", timeZone: "UTC" });
+}
+
+/**
+ * Format a token or call count
+ * @param {number} value - The count
+ * @returns {string} - The formatted count
+ */
+function formatNumber(value) {
+  return new Intl.NumberFormat().format(value);
+}
+
+/**
+ * Format an estimated cost in US dollars, keeping cents of a cent visible
+ * @param {number} value - The cost in USD
+ * @returns {string} - The formatted cost
+ */
+function formatCost(value) {
+  return new Intl.NumberFormat(undefined, {
+    style: "currency",
+    currency: "USD",
+    minimumFractionDigits: 2,
+    maximumFractionDigits: value > 0 && value < 1 ? 4 : 2
+  }).format(value);
+}
@@ -1,4 +1,12 @@
-import { getCodeVerifier, storeCustomerToken, getCustomerAccountUrls } from "../db.server";
+import { getCodeVerifier } from "../db.server";
+import { getRedirectUri, getTokenUrl } from "../auth.server";
+import { saveTokenResponse } from "../services/customer-token.server";
+import { publishAuthResult } from "../services/auth-events.server";
+
+/**
+ * Message type posted to the chat widget when the auth flow ends
+ */
+const AUTH_MESSAGE_TYPE = "shop_ai_auth";
 
 /**
  * Handle OAuth callback from Shopify Customer API
@@ -7,136 +15,104 @@ export async function loader({ request }) {
   const url = new URL(request.url);
   const code = url.searchParams.get("code");
   const state = url.searchParams.get("state");
-  const [conversationId, shopId] = state.split("-");
+  const error = url.searchParams.get("error");
+
+  if (!state) {
+    return renderAuthPage({
+      status: 400,
+      title: "Sign-in failed",
+      message: "This sign-in link is not valid. Return to the chat and try again."
+    });
+  }
+
+  // The auth flow stored with the state identifies the conversation and shop
+  const authFlow = await getCodeVerifier(state);
+  if (!authFlow || !authFlow.conversationId || !authFlow.shop) {
+    console.warn("Unknown or expired OAuth state");
+    return renderAuthPage({
+      status: 400,
+      title: "Sign-in expired",
+      message: "This sign-in link has expired or was already used. Return to the chat and try again."
+    });
+  }
+
+  if (error) {
+    console.log(`Customer auth ended with ${error} for conversation:`, authFlow.conversationId);
+    const denied = error === "access_denied";
+
+    return renderAuthPage({
+      status: denied ? 200 : 400,
+      title: denied ? "Sign-in cancelled" : "Sign-in failed",
+      message: denied
+        ? "You did not grant access to your account. You can keep chatting without signing in."
+        : "Something went wrong while signing in. Return to the chat and try again.",
+      authFlow,
+      result: denied ? "denied" : "error"
+    });
+  }
 
   if (!code) {
-    return new Response(JSON.stringify({ error: "Authorization code is missing" }), { status: 400 });
+    return renderAuthPage({
+      status: 400,
+      title: "Sign-in failed",
+      message: "The authorization code is missing. Return to the chat and try again.",
+      authFlow,
+      result: "error"
+    });
   }
 
   try {
     // Exchange code for access token
-    const tokenResponse = await exchangeCodeForToken(code, state);
-
-    // Store token in database
-    try {
-      // Calculate expiration date based on expires_in (seconds)
-      const expiresAt = new Date();
-      expiresAt.setSeconds(expiresAt.getSeconds() + tokenResponse.expires_in);
-
-      // Store in database with conversation ID
-      await storeCustomerToken(
-        conversationId,
-        tokenResponse.access_token,
-        expiresAt
-      );
-
-      console.log('Stored customer token in database for conversation:', conversationId);
-    } catch (error) {
-      console.error('Failed to store token in database:', error);
-      // Continue anyway to not disrupt user flow
-    }
+    const tokenResponse = await exchangeCodeForToken(code, authFlow);
 
-    // Instead of redirecting, return HTML that auto-closes the tab
-    return new Response(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>Authentication Successful</title>
-        <script>
-          window.onload = function() {
-            // Show success message briefly before closing
-            document.getElementById('message').style.display = 'block';
-            // Close the tab after a short delay
-            setTimeout(function() {
-              window.close();
-              // In case window.close() doesn't work (common in some browsers)
-              document.getElementById('fallback').style.display = 'block';
-            }, 1500);
-          }
-        </script>
-        <style>
-          body { font-family: system-ui, sans-serif; text-align: center; padding-top: 100px; }
-          #message { display: none; }
-          #fallback { display: none; margin-top: 20px; }
-          .success { color: green; font-size: 18px; }
-        </style>
-      </head>
-      <body>
-        <div id="message">
-          <h2>Authentication Successful!</h2>
-          <p class="success">You've been authenticated successfully</p>
-          <p>This window will close automatically.</p>
-        </div>
-        <div id="fallback">
-          <p>If this window didn't close automatically, you can close it and return to your conversation.</p>
-        </div>
-      </body>
-      </html>
-    `, {
-      headers: {
-        "Content-Type": "text/html"
-      }
+    // Store the access and refresh tokens with the conversation ID
+    await saveTokenResponse(authFlow.shop, authFlow.conversationId, tokenResponse, authFlow.shopId);
+    console.log('Stored customer token in database for conversation:', authFlow.conversationId);
+
+    return renderAuthPage({
+      title: "Authentication Successful!",
+      message: "You've been authenticated successfully. This window will close automatically.",
+      authFlow,
+      result: "authorized"
     });
   } catch (error) {
-    console.error("Error exchanging code for token:", error);
-    console.log("shopId", shopId);
-    return new Response(JSON.stringify({ error: "Failed to obtain access token" }), { status: 500 });
+    console.error("Error completing customer sign-in:", error);
+    return renderAuthPage({
+      status: 500,
+      title: "Sign-in failed",
+      message: "We couldn't complete the sign-in. Return to the chat and try again.",
+      authFlow,
+      result: "error"
+    });
   }
 }
 
 /**
  * Exchange authorization code for access token
  * @param {string} code - The authorization code
+ * @param {Object} authFlow - The stored auth flow with its PKCE verifier
  * @returns {Promise<Object>} - The token response
  */
-async function exchangeCodeForToken(code, state) {
+async function exchangeCodeForToken(code, authFlow) {
   const clientId = process.env.SHOPIFY_API_KEY;
-  const [conversationId, shopId] = state.split("-");
-  if (!clientId || !shopId) {
-    throw new Error("SHOPIFY_CLIENT_ID and SHOPIFY_SHOP_ID environment variables are required");
+  if (!clientId) {
+    throw new Error("SHOPIFY_API_KEY environment variable is required");
   }
 
-  const redirectUri = 'https://shopify-agent-003f.webgeeksolutions.com.au/api/auth/callback';
-
-  // Correct token URL format
-  const tokenUrl = await getTokenUrl(conversationId);
+  // Must match the redirect URI sent with the authorization request
+  const redirectUri = getRedirectUri();
 
-  if (!tokenUrl) {
-    throw new Error("Token URL not found");
-  }
-
-  // Get the code verifier that corresponds to this authorization request from database
-  let codeVerifier = "";
-  try {
-    const verifierRecord = await getCodeVerifier(state);
-    if (verifierRecord) {
-      codeVerifier = verifierRecord.verifier;
-    } else {
-      console.warn("Code verifier not found for state:", state);
-      // Proceed anyway, since we might be using an older flow without PKCE
-    }
-  } catch (error) {
-    console.error("Error retrieving code verifier:", error);
-    // Proceed anyway and attempt the token exchange
-  }
+  // Token endpoint from the shop's OpenID discovery data
+  const tokenUrl = await getTokenUrl(authFlow.shop, authFlow.conversationId, authFlow.shopId);
 
-  const requestBody = {
+  // Format the request as x-www-form-urlencoded instead of JSON
+  const formData = new URLSearchParams({
     grant_type: "authorization_code",
     client_id: clientId,
     code: code,
-    redirect_uri: redirectUri
-  };
-
-  // Add code_verifier if we have it
-  if (codeVerifier) {
-    requestBody.code_verifier = codeVerifier;
-  }
-
-  // Format the request as x-www-form-urlencoded instead of JSON
-  const formData = new URLSearchParams();
-  for (const [key, value] of Object.entries(requestBody)) {
-    formData.append(key, value);
-  }
+    redirect_uri: redirectUri,
+    code_verifier: authFlow.verifier
+  });
 
   const response = await fetch(tokenUrl, {
     method: "POST",
@@ -148,7 +124,7 @@ async function exchangeCodeForToken(code, state) {
 
   if (!response.ok) {
     console.log("Request id", response.headers.get("x-request-id"));
-    console.log("conversation_id", conversationId);
+    console.log("conversation_id", authFlow.conversationId);
     const errorText = await response.text();
     throw new Error(`Token exchange failed: ${response.status} ${errorText}`);
   }
@@ -157,11 +133,106 @@ async function exchangeCodeForToken(code, state) {
 }
 
 /**
- * Get the token URL from the customer account URL
- * @param {string} conversationId - The conversation ID
- * @returns {Promise<string|null>} - The token URL or null if not found
+ * Render the page shown in the auth popup.
+ * When the flow is known, the result is published to the widget's auth channel and
+ * posted to the chat widget that opened the popup.
+ * @param {Object} params - Page parameters
+ * @param {number} params.status - The HTTP status
+ * @param {string} params.title - The page heading
+ * @param {string} params.message - The message shown to the customer
+ * @param {Object} params.authFlow - The stored auth flow, if it was found
+ * @param {string} params.result - The result posted to the widget: authorized, denied or error
+ * @returns {Response} - The HTML response
+ */
+function renderAuthPage({ status = 200, title, message, authFlow = null, result = null }) {
+  // Open auth channels hear the result even when the popup has lost its opener
+  if (authFlow && result) {
+    publishAuthResult(authFlow.shop, authFlow.conversationId, result);
+  }
+
+  const notification = authFlow && result
+    ? {
+      targetOrigin: authFlow.returnOrigin || `https://${authFlow.shop}`,
+      message: {
+        type: AUTH_MESSAGE_TYPE,
+        status: result,
+        conversation_id: authFlow.conversationId
+      }
+    }
+    : null;
+
+  return new Response(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>${escapeHtml(title)}</title>
+        <script>
+          window.onload = function() {
+            var notification = ${serializeForScript(notification)};
+
+            // Tell the chat widget how the sign-in ended
+            if (notification && window.opener) {
+              try {
+                window.opener.postMessage(notification.message, notification.targetOrigin);
+              } catch (error) {
+                console.error('Failed to notify the chat window', error);
+              }
+            }
+
+            if (notification && notification.message.status === 'authorized') {
+              // Close the tab after a short delay
+              setTimeout(function() {
+                window.close();
+                // In case window.close() doesn't work (common in some browsers)
+                document.getElementById('fallback').style.display = 'block';
+              }, 1500);
+            } else {
+              document.getElementById('fallback').style.display = 'block';
+            }
+          }
+        </script>
+        <style>
+          body { font-family: system-ui, sans-serif; text-align: center; padding-top: 100px; }
+          #fallback { display: none; margin-top: 20px; }
+          .success { color: green; font-size: 18px; }
+        </style>
+      </head>
+      <body>
+        <div id="message">
+          <h2>${escapeHtml(title)}</h2>
+          <p${result === "authorized" ? ' class="success"' : ""}>${escapeHtml(message)}</p>
+        </div>
+        <div id="fallback">
+          <p>You can close this window and return to your conversation.</p>
+        </div>
+      </body>
+      </html>
+    `, {
+    status,
+    headers: {
+      "Content-Type": "text/html"
+    }
+  });
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} value - The text to escape
+ * @returns {string} - The escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Serialize a value for an inline script without allowing it to close the tag
+ * @param {*} value - The value to serialize
+ * @returns {string} - The JavaScript literal
  */
-async function getTokenUrl(conversationId) {
-  const urls = await getCustomerAccountUrls(conversationId);
-  return urls?.tokenUrl || 'https://accounts.shopify.com/oauth/token';
+function serializeForScript(value) {
+  return JSON.stringify(value).replace(/</g, "\\u003c");
 }
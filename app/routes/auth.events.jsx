@@ -0,0 +1,122 @@
+import { getCustomerToken } from "../db.server";
+import AppConfig from "../services/config.server";
+import { createSseStream, SSE_HEADERS } from "../services/streaming.server";
+import { subscribeToAuthResult } from "../services/auth-events.server";
+import { resolveStorefrontShop, getStorefrontCorsHeaders } from "../services/shop.server";
+import { verifyConversationToken, readConversationToken } from "../services/conversation-token.server";
+
+/**
+ * Auth channel for the chat widget
+ * Streams an auth_status event as soon as the customer's sign-in finishes. The channel
+ * closes with a "pending" status after a timeout; the widget reconnects until it gives up.
+ */
+export async function loader({ request }) {
+  const url = new URL(request.url);
+  const conversationId = url.searchParams.get("conversation_id");
+
+  if (!conversationId) {
+    return new Response(JSON.stringify({
+      status: "error",
+      message: "Missing conversation_id parameter"
+    }), {
+      status: 400,
+      headers: corsHeaders(request)
+    });
+  }
+
+  const shop = await resolveStorefrontShop(request);
+
+  if (!shop) {
+    return new Response(JSON.stringify({
+      status: "error",
+      message: "This shop could not be verified"
+    }), {
+      status: 403,
+      headers: corsHeaders(request)
+    });
+  }
+
+  if (!verifyConversationToken(shop, conversationId, readConversationToken(request))) {
+    return new Response(JSON.stringify({
+      status: "error",
+      message: "Conversation not found"
+    }), {
+      status: 404,
+      headers: corsHeaders(request)
+    });
+  }
+
+  const responseStream = createSseStream(async (stream) => {
+    const status = await waitForAuthResult(shop, conversationId, request.signal);
+    if (status) {
+      stream.sendMessage({ type: "auth_status", status });
+    }
+  });
+
+  return new Response(responseStream, {
+    headers: {
+      ...corsHeaders(request),
+      ...SSE_HEADERS
+    }
+  });
+}
+
+/**
+ * Wait until the customer's sign-in finishes, the channel times out or the client leaves
+ * @param {string} shop - The verified shop domain
+ * @param {string} conversationId - The conversation ID
+ * @param {AbortSignal} signal - Aborted when the client disconnects
+ * @returns {Promise<string|null>} authorized, denied, error or pending; null if the client left
+ */
+function waitForAuthResult(shop, conversationId, signal) {
+  return new Promise((resolve) => {
+    let timeout;
+    let checkInterval;
+    let unsubscribe = () => {};
+
+    const finish = (status) => {
+      clearTimeout(timeout);
+      clearInterval(checkInterval);
+      unsubscribe();
+      signal.removeEventListener("abort", onAbort);
+      resolve(status);
+    };
+    const onAbort = () => finish(null);
+
+    // Tokens stored by another instance only show up in the database
+    const checkToken = async () => {
+      const token = await getCustomerToken(shop, conversationId);
+      if (token) finish("authorized");
+    };
+
+    unsubscribe = subscribeToAuthResult(shop, conversationId, finish);
+    signal.addEventListener("abort", onAbort);
+    timeout = setTimeout(() => finish("pending"), AppConfig.customerAuth.channelTimeoutMs);
+    checkInterval = setInterval(checkToken, AppConfig.customerAuth.channelCheckIntervalMs);
+
+    // The customer may have signed in before the channel opened
+    checkToken();
+  });
+}
+
+/**
+ * Helper to add CORS headers to the response
+ */
+function corsHeaders(request) {
+  return getStorefrontCorsHeaders(request, {
+    methods: "GET, OPTIONS",
+    headers: "Content-Type, Accept, X-Shopify-Shop-Domain, X-Conversation-Token"
+  });
+}
+
+// Handle OPTIONS requests for CORS preflight
+export const action = async ({ request }) => {
+  if (request.method.toLowerCase() === "options") {
+    return new Response(null, {
+      status: 204,
+      headers: corsHeaders(request)
+    });
+  }
+
+  return new Response(JSON.stringify({ error: "Method not allowed" }), { status: 405 });
+};
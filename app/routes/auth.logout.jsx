@@ -0,0 +1,88 @@
+import { revokeCustomerTokens } from "../services/customer-token.server";
+import { resolveStorefrontShop, getStorefrontCorsHeaders } from "../services/shop.server";
+import { verifyConversationToken, readConversationToken } from "../services/conversation-token.server";
+
+/**
+ * API endpoint for signing a customer out of a conversation
+ * Revokes the customer's tokens with the shop and deletes them
+ */
+export const action = async ({ request }) => {
+  // Handle OPTIONS requests for CORS preflight
+  if (request.method.toLowerCase() === "options") {
+    return new Response(null, {
+      status: 204,
+      headers: corsHeaders(request)
+    });
+  }
+
+  if (request.method.toLowerCase() !== "post") {
+    return new Response(JSON.stringify({ error: "Method not allowed" }), {
+      status: 405,
+      headers: corsHeaders(request)
+    });
+  }
+
+  const url = new URL(request.url);
+  const conversationId = url.searchParams.get("conversation_id");
+
+  if (!conversationId) {
+    return new Response(JSON.stringify({
+      status: "error",
+      message: "Missing conversation_id parameter"
+    }), {
+      status: 400,
+      headers: corsHeaders(request)
+    });
+  }
+
+  const shop = await resolveStorefrontShop(request);
+
+  if (!shop) {
+    return new Response(JSON.stringify({
+      status: "error",
+      message: "This shop could not be verified"
+    }), {
+      status: 403,
+      headers: corsHeaders(request)
+    });
+  }
+
+  if (!verifyConversationToken(shop, conversationId, readConversationToken(request))) {
+    return new Response(JSON.stringify({
+      status: "error",
+      message: "Conversation not found"
+    }), {
+      status: 404,
+      headers: corsHeaders(request)
+    });
+  }
+
+  try {
+    await revokeCustomerTokens(shop, conversationId);
+
+    return new Response(JSON.stringify({
+      status: "unauthorized"
+    }), {
+      headers: corsHeaders(request)
+    });
+  } catch (error) {
+    console.error("Error signing customer out:", error);
+    return new Response(JSON.stringify({
+      status: "error",
+      message: "Failed to sign out"
+    }), {
+      status: 500,
+      headers: corsHeaders(request)
+    });
+  }
+};
+
+/**
+ * Helper to add CORS headers to the response
+ */
+function corsHeaders(request) {
+  return getStorefrontCorsHeaders(request, {
+    methods: "POST, OPTIONS",
+    headers: "Content-Type, Accept, X-Shopify-Shop-Domain, X-Conversation-Token"
+  });
+}
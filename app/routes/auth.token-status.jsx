@@ -1,4 +1,7 @@
 import { getCustomerToken } from "../db.server";
+import { getCustomerAccessToken } from "../services/customer-token.server";
+import { resolveStorefrontShop, getStorefrontCorsHeaders } from "../services/shop.server";
+import { verifyConversationToken, readConversationToken } from "../services/conversation-token.server";
 
 /**
  * API endpoint for checking if a customer token is available for a given conversation ID
@@ -19,9 +22,32 @@ export async function loader({ request }) {
     });
   }
 
+  const shop = await resolveStorefrontShop(request);
+
+  if (!shop) {
+    return new Response(JSON.stringify({
+      status: "error",
+      message: "This shop could not be verified"
+    }), {
+      status: 403,
+      headers: corsHeaders(request)
+    });
+  }
+
+  if (!verifyConversationToken(shop, conversationId, readConversationToken(request))) {
+    return new Response(JSON.stringify({
+      status: "error",
+      message: "Conversation not found"
+    }), {
+      status: 404,
+      headers: corsHeaders(request)
+    });
+  }
+
   try {
-    // Check if a token exists for this conversation ID
-    const token = await getCustomerToken(conversationId);
+    // Check if a token exists for this conversation ID, refreshing it if it is about to expire
+    const accessToken = await getCustomerAccessToken(shop, conversationId);
+    const token = accessToken ? await getCustomerToken(shop, conversationId) : null;
 
     if (token) {
       // Token exists and is valid
@@ -55,14 +81,10 @@ export async function loader({ request }) {
  * Helper to add CORS headers to the response
  */
 function corsHeaders(request) {
-  const origin = request.headers.get("Origin") || "*";
-
-  return {
-    "Access-Control-Allow-Origin": origin,
-    "Access-Control-Allow-Methods": "GET, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, Accept",
-    "Access-Control-Max-Age": "86400"
-  };
+  return getStorefrontCorsHeaders(request, {
+    methods: "GET, OPTIONS",
+    headers: "Content-Type, Accept, X-Shopify-Shop-Domain, X-Conversation-Token"
+  });
 }
 
 // Handle OPTIONS requests for CORS preflight
@@ -5,13 +5,27 @@
 console.log('[CHAT ROUTE] Module loaded');
 
 import MCPClient from "../mcp-client";
-import { saveMessage, getConversationHistory, storeCustomerAccountUrls, getCustomerAccountUrls as getCustomerAccountUrlsFromDb, getCustomerToken } from "../db.server";
-import { generateAuthUrl } from "../auth.server";
+import { getMockMcpServer } from "../mcp-mock.server";
+import { saveMessage, getConversationHistory, storeCustomerAccountUrls, getCustomerAccountUrls as getCustomerAccountUrlsFromDb } from "../db.server";
 import AppConfig from "../services/config.server";
-import { createSseStream } from "../services/streaming.server";
+import { createSseStream, SSE_HEADERS } from "../services/streaming.server";
+import { STREAM_SCHEMA_VERSION, validateStreamEvent } from "../services/stream-events.server";
+import { startStreamTurn, getStreamTurn, cancelStreamTurn, canResumeStreamTurn, followStreamTurn } from "../services/stream-turns.server";
 import { createClaudeService } from "../services/claude.server";
+import { buildConversationHistory } from "../services/history.server";
+import { recordTokenUsage, getMonthlyBudgetStatus } from "../services/usage.server";
+import { createRateLimiter, getClientIp } from "../services/rate-limit.server";
+import { STOP_REASONS } from "../services/llm.server";
 import { createToolService } from "../services/tool.server";
+import { loadToolCatalog, invalidateToolCatalog } from "../services/tool-catalog.server";
+import { createKnowledgeSearchTool } from "../services/documents.server";
+import { resolveStorefrontShop, getStorefrontCorsHeaders, getStorefrontOrigin } from "../services/shop.server";
+import { issueConversation, verifyConversationToken, readConversationToken } from "../services/conversation-token.server";
 
+/**
+ * Limits the messages per conversation, IP address and shop (AppConfig.rateLimits)
+ */
+const rateLimiter = createRateLimiter();
 
 /**
  * Rract Router loader function for handling GET requests
@@ -32,8 +46,13 @@ export async function loader({ request }) {
     return handleHistoryRequest(request, url.searchParams.get('conversation_id'));
   }
 
+  // Handle resume requests - matches /chat?resume=true&conversation_id=XYZ with Last-Event-ID
+  if (url.searchParams.has('resume') && url.searchParams.has('conversation_id')) {
+    return handleResumeRequest(request, url.searchParams.get('conversation_id'));
+  }
+
   // Handle SSE requests
-  if (!url.searchParams.has('history') && (request.headers.get("Accept") || "").includes("text/event-stream")) {
+  if (!url.searchParams.has('history') && !url.searchParams.has('resume') && (request.headers.get("Accept") || "").includes("text/event-stream")) {
     return handleChatRequest(request);
   }
 
@@ -45,9 +64,38 @@ export async function loader({ request }) {
  * React Router action function for handling POST requests
  */
 export async function action({ request }) {
+  const url = new URL(request.url);
+
+  // Handle cancel requests - matches POST /chat?cancel=true&conversation_id=XYZ
+  if (url.searchParams.has('cancel') && url.searchParams.has('conversation_id')) {
+    return handleCancelRequest(request, url.searchParams.get('conversation_id'));
+  }
+
   return handleChatRequest(request);
 }
 
+/**
+ * Handle cancel requests from the widget's stop button
+ * Stops the conversation's running turn; the turn saves its partial reply and ends with a cancelled event.
+ * @param {Request} request - The request object
+ * @param {string} conversationId - The conversation ID
+ * @returns {Response} JSON response telling whether a running turn was cancelled
+ */
+async function handleCancelRequest(request, conversationId) {
+  const shop = await resolveStorefrontShop(request);
+  if (!shop) {
+    return new Response(JSON.stringify({ error: AppConfig.errorMessages.shopNotVerified }), { status: 403, headers: getCorsHeaders(request) });
+  }
+
+  if (!verifyConversationToken(shop, conversationId, readConversationToken(request))) {
+    return new Response(JSON.stringify({ error: AppConfig.errorMessages.conversationNotFound }), { status: 404, headers: getCorsHeaders(request) });
+  }
+
+  const cancelled = cancelStreamTurn(shop, conversationId);
+
+  return new Response(JSON.stringify({ cancelled }), { headers: getCorsHeaders(request) });
+}
+
 /**
  * Handle history fetch requests
  * @param {Request} request - The request object
@@ -55,11 +103,58 @@ export async function action({ request }) {
  * @returns {Response} JSON response with chat history
  */
 async function handleHistoryRequest(request, conversationId) {
-  const messages = await getConversationHistory(conversationId);
+  const shop = await resolveStorefrontShop(request);
+  if (!shop) {
+    return new Response(JSON.stringify({ error: AppConfig.errorMessages.shopNotVerified }), { status: 403, headers: getCorsHeaders(request) });
+  }
+
+  // Only the shopper holding the conversation's token may read it
+  if (!verifyConversationToken(shop, conversationId, readConversationToken(request))) {
+    return new Response(JSON.stringify({ error: AppConfig.errorMessages.conversationNotFound }), { status: 404, headers: getCorsHeaders(request) });
+  }
+
+  const messages = await getConversationHistory(shop, conversationId);
 
   return new Response(JSON.stringify({ messages }), { headers: getCorsHeaders(request) });
 }
 
+/**
+ * Handle resume requests from clients whose stream dropped mid-turn
+ * Replays the events after Last-Event-ID, then follows the turn until it ends.
+ * @param {Request} request - The request object
+ * @param {string} conversationId - The conversation ID
+ * @returns {Response} Server-sent events stream, or 204 if the turn cannot be resumed
+ */
+async function handleResumeRequest(request, conversationId) {
+  const shop = await resolveStorefrontShop(request);
+  if (!shop) {
+    return new Response(JSON.stringify({ error: AppConfig.errorMessages.shopNotVerified }), { status: 403, headers: getCorsHeaders(request) });
+  }
+
+  if (!verifyConversationToken(shop, conversationId, readConversationToken(request))) {
+    return new Response(JSON.stringify({ error: AppConfig.errorMessages.conversationNotFound }), { status: 404, headers: getCorsHeaders(request) });
+  }
+
+  // The turn may have expired or run on another instance; the client reloads the history instead
+  const turn = getStreamTurn(shop, conversationId);
+  if (!turn) {
+    return new Response(null, { status: 204, headers: getCorsHeaders(request) });
+  }
+
+  const lastEventId = request.headers.get("Last-Event-ID");
+  if (!canResumeStreamTurn(turn, lastEventId)) {
+    return new Response(null, { status: 204, headers: getCorsHeaders(request) });
+  }
+
+  const responseStream = createSseStream(async (stream) => {
+    await followStreamTurn(turn, lastEventId, stream.sendEvent, request.signal);
+  });
+
+  return new Response(responseStream, {
+    headers: getSseHeaders(request)
+  });
+}
+
 /**
  * Handle chat requests (both GET and POST)
  * @param {Request} request - The request object
@@ -82,36 +177,75 @@ async function handleChatRequest(request) {
       );
     }
 
-    // Generate or use existing conversation ID
-    const conversationId =
-      (typeof body.conversation_id === "string" && body.conversation_id.trim()) ||
-      Date.now().toString();
+    // Every record is tied to the verified shop, never to a client-supplied id alone
+    const shop = await resolveStorefrontShop(request);
+    if (!shop) {
+      return new Response(
+        JSON.stringify({ error: AppConfig.errorMessages.shopNotVerified }),
+        { status: 403, headers: wantsSse ? getSseHeaders(request) : getCorsHeaders(request) }
+      );
+    }
+
+    // Continue a conversation only with its ownership token; otherwise issue a new one
+    const requestedConversationId =
+      typeof body.conversation_id === "string" ? body.conversation_id.trim() : "";
+    let conversationId, conversationToken;
+
+    if (requestedConversationId) {
+      conversationId = requestedConversationId;
+      conversationToken = readConversationToken(request);
+
+      if (!verifyConversationToken(shop, conversationId, conversationToken)) {
+        return new Response(
+          JSON.stringify({ error: AppConfig.errorMessages.conversationNotFound }),
+          { status: 404, headers: wantsSse ? getSseHeaders(request) : getCorsHeaders(request) }
+        );
+      }
+    } else {
+      ({ conversationId, conversationToken } = issueConversation(shop));
+    }
+
+    // Refuse the message before it is saved or sent to the model
+    const limits = await checkChatLimits(request, shop, conversationId, {
+      isNewConversation: !requestedConversationId
+    });
+    if (!limits.allowed) {
+      return createLimitedResponse(request, wantsSse, limits);
+    }
+
     const promptType =
       (typeof body.prompt_type === "string" && body.prompt_type) || AppConfig.api.defaultPromptType;
 
     if (wantsSse) {
       // Create a stream for the response
+      // Events are buffered per turn so a client that drops can resume with Last-Event-ID.
+      // Dropping does not stop the turn; the stop button, closing the widget or a new message does.
+      const turn = startStreamTurn(shop, conversationId);
       const responseStream = createSseStream(async (stream) => {
         await handleChatSession({
           request,
+          shop,
           userMessage,
           conversationId,
+          conversationToken,
           promptType,
           stream
         });
-      });
+      }, { turn, signal: turn.signal });
 
       return new Response(responseStream, {
         headers: getSseHeaders(request)
       });
     }
 
-    // JSON fallback (non-SSE clients)
-    const bufferedStream = createBufferedStream();
+    // JSON fallback (non-SSE clients); these cannot resume, so a disconnect cancels the turn
+    const bufferedStream = createBufferedStream({ signal: request.signal });
     await handleChatSession({
       request,
+      shop,
       userMessage,
       conversationId,
+      conversationToken,
       promptType,
       stream: bufferedStream
     });
@@ -121,6 +255,7 @@ async function handleChatRequest(request) {
     return new Response(
       JSON.stringify({
         conversation_id: conversationId,
+        conversation_token: conversationToken,
         message: result.text,
         products: result.products,
         events: result.events
@@ -139,249 +274,347 @@ async function handleChatRequest(request) {
 }
 
 /**
- * Detect if a user message requests account-level data
- * @param {string} message - The user's message
- * @returns {boolean} - True if account data is requested
+ * Checks the chat rate limits and the shop's monthly token budget.
+ * Messages are let through when the limits cannot be checked.
+ * @param {Request} request - The request object
+ * @param {string} shop - The verified shop domain
+ * @param {string} conversationId - The conversation ID
+ * @param {Object} options - Options
+ * @param {boolean} options.isNewConversation - Whether the message starts a new conversation
+ * @returns {Promise<Object>} `{ allowed: true }`, or the refused `scope` with `retryAfterMs`, `error` and `details`
  */
-function isAccountDataRequest(message) {
-  const accountKeywords = [
-    'my account', 'my orders', 'my order', 'order history', 'order status',
-    'tracking', 'track my order', 'my purchases', 'my profile', 'account info',
-    'customer info', 'my details', 'my information', 'login', 'sign in'
-  ];
-
-  const lowerMessage = message.toLowerCase();
-  return accountKeywords.some(keyword => lowerMessage.includes(keyword));
+async function checkChatLimits(request, shop, conversationId, { isNewConversation = false } = {}) {
+  try {
+    const ip = getClientIp(request);
+    const rateLimit = await rateLimiter.consume({
+      conversation: `${shop}|${conversationId}`,
+      ip,
+      shop,
+      // Starting a new conversation would otherwise escape the conversation limit
+      ipConversations: isNewConversation && ip,
+      shopConversations: isNewConversation && shop
+    });
+
+    if (!rateLimit.allowed) {
+      console.warn(`Rate limit exceeded for ${shop} (${rateLimit.scope})`);
+      return {
+        ...rateLimit,
+        error: AppConfig.errorMessages.rateLimitExceeded,
+        details: AppConfig.errorMessages.rateLimitDetails
+      };
+    }
+
+    const budget = await getMonthlyBudgetStatus(shop);
+    if (budget.exceeded) {
+      console.warn(`Monthly token budget of ${budget.budget} reached for ${shop}`);
+      return {
+        allowed: false,
+        scope: 'budget',
+        retryAfterMs: budget.resetsAt.getTime() - Date.now(),
+        error: AppConfig.errorMessages.budgetExceeded,
+        details: AppConfig.errorMessages.budgetDetails
+      };
+    }
+  } catch (error) {
+    console.error('Error checking chat limits, allowing the message:', error);
+  }
+
+  return { allowed: true };
 }
 
 /**
- * Check if customer is authenticated for account data access
- * @param {string} conversationId - The conversation ID
- * @returns {Promise<boolean>} - True if authenticated
+ * Creates the response for a refused message. SSE clients get a rate_limit_exceeded
+ * event, like a turn the model provider rate limited; JSON clients get a 429.
+ * @param {Request} request - The request object
+ * @param {boolean} wantsSse - Whether the client asked for server-sent events
+ * @param {Object} limits - The refusal from checkChatLimits
+ * @returns {Response} The response
  */
-async function isCustomerAuthenticated(conversationId) {
-  const token = await getCustomerToken(conversationId);
-  return token && token.accessToken;
+function createLimitedResponse(request, wantsSse, limits) {
+  const retryAfter = String(Math.max(1, Math.ceil(limits.retryAfterMs / 1000)));
+  const details = {
+    error: limits.error,
+    details: limits.details,
+    scope: limits.scope,
+    retry_after_ms: limits.retryAfterMs
+  };
+
+  if (wantsSse) {
+    const responseStream = createSseStream(async (stream) => {
+      stream.sendMessage({ type: 'rate_limit_exceeded', ...details });
+    });
+
+    return new Response(responseStream, {
+      headers: { ...getSseHeaders(request), "Retry-After": retryAfter }
+    });
+  }
+
+  return new Response(JSON.stringify(details), {
+    status: 429,
+    headers: { ...getCorsHeaders(request), "Retry-After": retryAfter }
+  });
 }
 
 /**
  * Handle a complete chat session
  * @param {Object} params - Session parameters
  * @param {Request} params.request - The request object
+ * @param {string} params.shop - The verified shop domain
  * @param {string} params.userMessage - The user's message
  * @param {string} params.conversationId - The conversation ID
+ * @param {string} params.conversationToken - The conversation's ownership token
  * @param {string} params.promptType - The prompt type
  * @param {Object} params.stream - Stream manager for sending responses
  */
 async function handleChatSession({
   request,
+  shop,
   userMessage,
   conversationId,
+  conversationToken,
   promptType,
   stream
 }) {
   console.log('[handleChatSession] Processing message:', userMessage);
   console.log('[handleChatSession] Conversation ID:', conversationId);
-  
-  // Phase 2: Detect account-level data requests and ensure authentication
-  const isAccountRequest = isAccountDataRequest(userMessage);
-  console.log('[handleChatSession] Is account data request:', isAccountRequest);
-  
-  if (isAccountRequest) {
-    console.log('[handleChatSession] Account data requested, checking authentication');
-    const isAuthenticated = await isCustomerAuthenticated(conversationId);
-    console.log('[handleChatSession] Is authenticated:', isAuthenticated);
-    
-    if (!isAuthenticated) {
-      console.log('[handleChatSession] Not authenticated, generating auth URL');
-      // Generate auth URL and prompt user to authorize
-      const shopId = request.headers.get("X-Shopify-Shop-Id");
-      console.log('[handleChatSession] Shop ID:', shopId);
-      
-      const authResponse = await generateAuthUrl(conversationId, shopId);
-      console.log('[handleChatSession] Auth response:', authResponse);
-
-      // Save the user message for later processing
-      await saveMessage(conversationId, 'user', userMessage);
-
-      // Send auth prompt to client as a regular message
-      const authMessage = `To access your account information, orders, and order tracking, I need you to authorize access to your customer data. [Click here to authorize](${authResponse.url})`;
-      
-      // Save the auth message
-      await saveMessage(conversationId, 'assistant', authMessage);
-      
-      // Send the message to client
-      stream.sendMessage({ type: 'id', conversation_id: conversationId });
-      stream.sendMessage({
-        type: 'chunk',
-        chunk: authMessage
-      });
-      stream.sendMessage({ type: 'message_complete' });
-      stream.sendMessage({ type: 'done' });
-      return;
-    }
-  }
+
+  // Aborted when the customer cancels the turn
+  const signal = stream.signal;
 
   // Initialize services
-  const claudeService = createClaudeService();
-  const toolService = createToolService();
+  const claudeService = createClaudeService({ shop });
+  const toolService = createToolService({ shop });
+  const knowledgeSearchTool = createKnowledgeSearchTool({ shop });
 
-  // Initialize MCP client
+  // Initialize MCP client, using the in-process mock server when configured
   const shopId = request.headers.get("X-Shopify-Shop-Id");
-  const shopDomain = request.headers.get("Origin") || "";
-  const customerAccountUrls = await getCustomerAccountUrls(shopDomain, conversationId);
-    const mcpApiUrl = customerAccountUrls?.mcpApiUrl;
+  const fetchImpl = AppConfig.mcp.useMock ? getMockMcpServer().fetch : fetch;
+  // Proxied requests carry no usable Origin; the permanent domain serves the same MCP endpoints
+  const shopDomain = `https://${shop}`;
+  const customerAccountUrls = await getCustomerAccountUrls(shop, shopDomain, conversationId, fetchImpl);
+  const mcpApiUrl = customerAccountUrls?.mcpApiUrl;
 
   const mcpClient = new MCPClient(
     shopDomain,
     conversationId,
     shopId,
     mcpApiUrl,
+    { shop, fetch: fetchImpl, returnOrigin: getStorefrontOrigin(request, shop), signal }
   );
 
   try {
     // Send conversation ID to client
-    stream.sendMessage({ type: 'id', conversation_id: conversationId });
-
-    // Connect to MCP servers and get available tools
-    let storefrontMcpTools = [], customerMcpTools = [];
+    stream.sendMessage({
+      type: 'id',
+      conversation_id: conversationId,
+      conversation_token: conversationToken,
+      schema_version: STREAM_SCHEMA_VERSION
+    });
 
+    // Get available tools, reusing the shop's cached catalog when possible
     try {
-      storefrontMcpTools = await mcpClient.connectToStorefrontServer();
-      customerMcpTools = await mcpClient.connectToCustomerServer();
+      const tools = await loadToolCatalog(mcpClient, shop);
+      console.log(`Loaded ${tools.length} MCP tools`);
+    } catch (error) {
+      console.warn('Failed to load MCP tools, continuing without tools:', error.message);
+    }
 
-      console.log(`Connected to MCP with ${storefrontMcpTools.length} tools`);
-      console.log(`Connected to customer MCP with ${customerMcpTools.length} tools`);
+    // Built-in tools are offered next to the MCP tools
+    let builtInTools = [];
+    try {
+      builtInTools = await knowledgeSearchTool.getTools();
     } catch (error) {
-      console.warn('Failed to connect to MCP servers, continuing without tools:', error.message);
+      console.warn('Failed to load the knowledge search tool, continuing without it:', error.message);
     }
 
     // Prepare conversation state
     let conversationHistory = [];
     let productsToDisplay = [];
+    // Text of the turn's replies, checked for citations of knowledge documents
+    let replyText = '';
 
     // Save user message to the database
-    await saveMessage(conversationId, 'user', userMessage);
-
-    // Fetch all messages from the database for this conversation
-    const dbMessages = await getConversationHistory(conversationId);
-
-    // Format messages for Claude API ensuring Anthropic content block shape
-    conversationHistory = dbMessages.map(dbMessage => {
-      let content;
-      try {
-        content = JSON.parse(dbMessage.content);
-      } catch (e) {
-        content = dbMessage.content;
-      }
+    await saveMessage(shop, conversationId, 'user', userMessage);
 
-      const role = dbMessage.role === "assistant" ? "assistant" : "user";
-
-      return {
-        role,
-        content: normalizeContent(content)
-      };
+    // Load the history within the token budget, folding older turns into the rolling summary
+    conversationHistory = await buildConversationHistory({
+      shop,
+      conversationId,
+      summarize: async ({ summary, messages }) => {
+        const result = await claudeService.summarizeConversation({ summary, messages, signal });
+        await recordTokenUsage({
+          shop,
+          conversationId,
+          provider: claudeService.providerName,
+          model: result.model,
+          usage: result.usage,
+          purpose: 'summary'
+        });
+        return result.summary;
+      },
+      signal
     });
 
     // Execute the conversation stream
     let finalMessage = { role: 'user', content: normalizeContent(userMessage) };
     let safetyCounter = 0;
     const maxTurns = 6;
+    // Text of the model turn in progress, saved if the customer cancels
+    let partialText = '';
 
-    while (finalMessage.stop_reason !== "end_turn" && safetyCounter < maxTurns) {
-      finalMessage = await claudeService.streamConversation(
-        {
-          messages: conversationHistory,
-          promptType,
-          tools: mcpClient.tools
-        },
-        {
-          // Handle text chunks
-          onText: (textDelta) => {
-            stream.sendMessage({
-              type: 'chunk',
-              chunk: textDelta
-            });
+    // Cancelling aborts the model stream and tool calls; the turn is then saved as cancelled
+    try {
+      while (finalMessage.stop_reason !== STOP_REASONS.endTurn && safetyCounter < maxTurns && !signal?.aborted) {
+        finalMessage = await claudeService.streamConversation(
+          {
+            messages: conversationHistory,
+            promptType,
+            tools: [...mcpClient.tools, ...builtInTools],
+            signal
           },
-
-          // Handle complete messages
-          onMessage: (message) => {
-            conversationHistory.push({
-              role: message.role,
-              content: message.content
-            });
-
-            saveMessage(conversationId, message.role, JSON.stringify(message.content))
-              .catch((error) => {
-                console.error("Error saving message to database:", error);
+          {
+            // Handle text chunks
+            onText: (textDelta) => {
+              partialText += textDelta;
+              stream.sendMessage({
+                type: 'chunk',
+                chunk: textDelta
+              });
+            },
+
+            // Handle complete messages
+            onMessage: (message) => {
+              partialText = '';
+              replyText += (message.content || [])
+                .filter((block) => block.type === 'text')
+                .map((block) => block.text)
+                .join('');
+              conversationHistory.push({
+                role: message.role,
+                content: message.content
               });
 
-            // Send a completion message
-            stream.sendMessage({ type: 'message_complete' });
-          },
+              saveMessage(shop, conversationId, message.role, JSON.stringify(message.content))
+                .catch((error) => {
+                  console.error("Error saving message to database:", error);
+                });
+
+              // Report and record token usage for the model turn when the provider returns it
+              if (message.usage) {
+                stream.sendMessage({
+                  type: 'usage',
+                  input_tokens: message.usage.input_tokens || 0,
+                  output_tokens: message.usage.output_tokens || 0,
+                  cache_creation_input_tokens: message.usage.cache_creation_input_tokens || 0,
+                  cache_read_input_tokens: message.usage.cache_read_input_tokens || 0,
+                  model: message.model
+                });
+
+                recordTokenUsage({
+                  shop,
+                  conversationId,
+                  provider: claudeService.providerName,
+                  model: message.model,
+                  usage: message.usage
+                });
+              }
+
+              // Send a completion message
+              stream.sendMessage({ type: 'message_complete' });
+            },
+
+            // Handle tool use requests
+            onToolUse: async (content) => {
+              const toolName = content.name;
+              const toolArgs = content.input;
+              const toolUseId = content.id;
 
-          // Handle tool use requests
-          onToolUse: async (content) => {
-            const toolName = content.name;
-            const toolArgs = content.input;
-            const toolUseId = content.id;
-
-            const toolUseMessage = `Calling tool: ${toolName} with arguments: ${JSON.stringify(toolArgs)}`;
-
-            stream.sendMessage({
-              type: 'tool_use',
-              tool_use_message: toolUseMessage
-            });
-
-            // Call the tool
-            const toolUseResponse = await mcpClient.callTool(toolName, toolArgs);
-
-            // Handle tool response based on success/error
-            if (toolUseResponse.error) {
-              await toolService.handleToolError(
-                toolUseResponse,
-                toolName,
-                toolUseId,
-                conversationHistory,
-                stream.sendMessage,
-                conversationId
-              );
-            } else {
-              await toolService.handleToolSuccess(
-                toolUseResponse,
-                toolName,
-                toolUseId,
-                conversationHistory,
-                productsToDisplay,
-                conversationId
-              );
-            }
+              stream.sendMessage({
+                type: 'tool_call_started',
+                id: toolUseId,
+                name: toolName,
+                args: toolArgs || {}
+              });
 
-            // Signal new message to client
-            stream.sendMessage({ type: 'new_message' });
-          },
+              // Call the tool
+              const startedAt = Date.now();
+              const toolUseResponse = knowledgeSearchTool.handles(toolName)
+                ? await knowledgeSearchTool.callTool(toolArgs)
+                : await mcpClient.callTool(toolName, toolArgs);
+              const durationMs = Date.now() - startedAt;
+
+              // The cached catalog is stale; rediscover so the next turn sees current tools
+              if (toolUseResponse.error?.type === "tool_not_found") {
+                invalidateToolCatalog(shop);
+                await loadToolCatalog(mcpClient, shop).catch((error) => {
+                  console.warn('Failed to refresh MCP tools:', error.message);
+                });
+              }
+
+              // Handle tool response based on success/error
+              if (toolUseResponse.error) {
+                await toolService.handleToolError(
+                  toolUseResponse,
+                  toolName,
+                  toolUseId,
+                  conversationHistory,
+                  stream.sendMessage,
+                  conversationId
+                );
+              } else {
+                await toolService.handleToolSuccess(
+                  toolUseResponse,
+                  toolName,
+                  toolUseId,
+                  conversationHistory,
+                  productsToDisplay,
+                  conversationId
+                );
+              }
 
-          // Handle content block completion
-          onContentBlock: (contentBlock) => {
-            if (contentBlock.type === 'text') {
               stream.sendMessage({
-                type: 'content_block_complete',
-                content_block: contentBlock
+                type: 'tool_call_finished',
+                id: toolUseId,
+                name: toolName,
+                status: toolUseResponse.error?.type === 'auth_required'
+                  ? 'auth_required'
+                  : (toolUseResponse.error ? 'error' : 'success'),
+                duration_ms: durationMs,
+                summary: toolService.summarizeToolResponse(toolUseResponse)
               });
+
+              // Signal new message to client
+              stream.sendMessage({ type: 'new_message' });
+            },
+
+            // Handle content block completion
+            onContentBlock: (contentBlock) => {
+              if (contentBlock.type === 'text') {
+                stream.sendMessage({
+                  type: 'content_block_complete',
+                  content_block: contentBlock
+                });
+              }
             }
           }
-        }
-      );
-      safetyCounter += 1;
+        );
+        safetyCounter += 1;
 
-      // Break early if the API did not provide a stop reason to avoid infinite loops
-      if (!finalMessage || !finalMessage.stop_reason) {
-        break;
+        // Break early if the provider did not report a stop reason to avoid infinite loops
+        if (!finalMessage || !finalMessage.stop_reason) {
+          break;
+        }
       }
+    } catch (error) {
+      if (!signal?.aborted) throw error;
     }
 
-    // Signal end of turn
-    stream.sendMessage({ type: 'end_turn' });
+    if (signal?.aborted) {
+      console.log('[handleChatSession] Turn cancelled by the customer:', conversationId);
+      await saveCancelledTurn({ shop, conversationId, conversationHistory, partialText, toolService });
+      stream.sendMessage({ type: 'cancelled' });
+      return;
+    }
 
     // Send product results if available
     if (productsToDisplay.length > 0) {
@@ -390,19 +623,33 @@ async function handleChatSession({
         products: productsToDisplay
       });
     }
-  } catch (error) {
-    // The streaming handler takes care of error handling
-    throw error;
+
+    // Send the knowledge documents the reply cites
+    const citations = knowledgeSearchTool.getCitations(replyText);
+    if (citations.length > 0) {
+      stream.sendMessage({
+        type: 'citations',
+        citations
+      });
+    }
+
+    // Signal end of turn
+    stream.sendMessage({ type: 'end_turn' });
+  } finally {
+    // Errors are handled by the streaming handler; always end the MCP sessions
+    await mcpClient.close();
   }
 }
 
 /**
  * Get the customer MCP API URL for a shop
- * @param {string} shopDomain - The shop domain
+ * @param {string} shop - The verified shop domain
+ * @param {string} shopDomain - The storefront origin
  * @param {string} conversationId - The conversation ID
+ * @param {Function} fetchImpl - Fetch implementation used for discovery
  * @returns {string} The customer MCP API URL
  */
-async function getCustomerAccountUrls(shopDomain, conversationId) {
+async function getCustomerAccountUrls(shop, shopDomain, conversationId, fetchImpl = fetch) {
   try {
     if (!shopDomain) {
       console.warn("No shop domain provided, skipping customer MCP URL lookup");
@@ -410,7 +657,7 @@ async function getCustomerAccountUrls(shopDomain, conversationId) {
     }
 
     // Check if the customer account URL exists in the DB
-    const existingUrls = await getCustomerAccountUrlsFromDb(conversationId);
+    const existingUrls = await getCustomerAccountUrlsFromDb(shop, conversationId);
 
     // If URL exists, return early with the MCP API URL
     if (existingUrls) return existingUrls;
@@ -419,20 +666,23 @@ async function getCustomerAccountUrls(shopDomain, conversationId) {
     const { hostname } = new URL(shopDomain);
 
     const urls = await Promise.all([
-      fetch(`https://${hostname}/.well-known/customer-account-api`).then(res => res.json()),
-      fetch(`https://${hostname}/.well-known/openid-configuration`).then(res => res.json()),
+      fetchImpl(`https://${hostname}/.well-known/customer-account-api`).then(res => res.json()),
+      fetchImpl(`https://${hostname}/.well-known/openid-configuration`).then(res => res.json()),
     ]).then(async ([mcpResponse, openidResponse]) => {
       const response = {
         mcpApiUrl: mcpResponse.mcp_api,
         authorizationUrl: openidResponse.authorization_endpoint,
         tokenUrl: openidResponse.token_endpoint,
+        revocationUrl: openidResponse.revocation_endpoint,
       };
 
       await storeCustomerAccountUrls({
+        shop,
         conversationId,
         mcpApiUrl: mcpResponse.mcp_api,
         authorizationUrl: openidResponse.authorization_endpoint,
         tokenUrl: openidResponse.token_endpoint,
+        revocationUrl: openidResponse.revocation_endpoint,
       });
 
       return response;
@@ -460,16 +710,76 @@ async function safeReadJson(request) {
   }
 }
 
+/**
+ * Records a turn the customer cancelled, keeping the conversation valid for the model.
+ * Tool calls left without a result get a cancelled result, and the partial reply is
+ * saved with the cancelled status.
+ * @param {Object} params - Turn state
+ * @param {string} params.shop - The verified shop domain
+ * @param {string} params.conversationId - The conversation ID
+ * @param {Array} params.conversationHistory - The conversation history
+ * @param {string} params.partialText - Text streamed in the unfinished model turn
+ * @param {Object} params.toolService - Tool service used to record tool results
+ */
+async function saveCancelledTurn({ shop, conversationId, conversationHistory, partialText, toolService }) {
+  let lastAssistantIndex = conversationHistory.length - 1;
+  while (lastAssistantIndex >= 0 && conversationHistory[lastAssistantIndex].role !== 'assistant') {
+    lastAssistantIndex -= 1;
+  }
+
+  if (lastAssistantIndex >= 0) {
+    const answeredIds = new Set(
+      conversationHistory
+        .slice(lastAssistantIndex + 1)
+        .flatMap((message) => (Array.isArray(message.content) ? message.content : []))
+        .filter((block) => block.type === 'tool_result')
+        .map((block) => block.tool_use_id)
+    );
+    const pendingToolCalls = normalizeContent(conversationHistory[lastAssistantIndex].content)
+      .filter((block) => block.type === 'tool_use' && !answeredIds.has(block.id));
+
+    for (const toolCall of pendingToolCalls) {
+      await toolService.addToolResultToHistory(
+        conversationHistory,
+        toolCall.id,
+        AppConfig.errorMessages.toolCallCancelled,
+        conversationId
+      );
+    }
+  }
+
+  if (partialText.trim()) {
+    await saveMessage(
+      shop,
+      conversationId,
+      'assistant',
+      JSON.stringify([{ type: 'text', text: partialText }]),
+      { status: 'cancelled' }
+    ).catch((error) => {
+      console.error('Error saving cancelled message to database:', error);
+    });
+  }
+}
+
 /**
  * Create a lightweight stream manager that buffers events for non-SSE callers
+ * @param {Object} options - Stream options
+ * @param {AbortSignal} options.signal - Aborted when the client disconnects (optional)
  */
-function createBufferedStream() {
+function createBufferedStream({ signal = null } = {}) {
   const events = [];
   const textChunks = [];
-  const resultState = { products: [] };
+  const resultState = { products: [], citations: [] };
 
   return {
+    signal,
     sendMessage(payload) {
+      const errors = validateStreamEvent(payload);
+      if (errors.length > 0) {
+        console.error("Dropping invalid stream event:", errors.join("; "));
+        return;
+      }
+
       events.push(payload);
 
       if (payload?.type === "chunk" && typeof payload.chunk === "string") {
@@ -479,9 +789,18 @@ function createBufferedStream() {
       if (payload?.type === "product_results" && Array.isArray(payload.products)) {
         resultState.products = payload.products;
       }
+
+      if (payload?.type === "citations" && Array.isArray(payload.citations)) {
+        resultState.citations = payload.citations;
+      }
     },
     closeStream() {},
     handleStreamingError(error) {
+      if (signal?.aborted) {
+        events.push({ type: "cancelled" });
+        return;
+      }
+
       events.push({
         type: "error",
         error: error?.message || AppConfig.errorMessages.genericError
@@ -491,7 +810,8 @@ function createBufferedStream() {
       return {
         text: textChunks.join(""),
         events,
-        products: resultState.products
+        products: resultState.products,
+        citations: resultState.citations
       };
     }
   };
@@ -525,16 +845,7 @@ function normalizeContent(content) {
  * @returns {Object} CORS headers object
  */
 function getCorsHeaders(request) {
-  const origin = request.headers.get("Origin") || "*";
-  const requestHeaders = request.headers.get("Access-Control-Request-Headers") || "Content-Type, Accept";
-
-  return {
-    "Access-Control-Allow-Origin": origin,
-    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-    "Access-Control-Allow-Headers": requestHeaders,
-    "Access-Control-Allow-Credentials": "true",
-    "Access-Control-Max-Age": "86400" // 24 hours
-  };
+  return getStorefrontCorsHeaders(request);
 }
 
 /**
@@ -543,15 +854,8 @@ function getCorsHeaders(request) {
  * @returns {Object} SSE headers object
  */
 function getSseHeaders(request) {
-  const origin = request.headers.get("Origin") || "*";
-
   return {
-    "Content-Type": "text/event-stream",
-    "Cache-Control": "no-cache",
-    "Connection": "keep-alive",
-    "Access-Control-Allow-Credentials": "true",
-    "Access-Control-Allow-Origin": origin,
-    "Access-Control-Allow-Methods": "GET,OPTIONS,POST",
-    "Access-Control-Allow-Headers": "X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version"
+    ...SSE_HEADERS,
+    ...getStorefrontCorsHeaders(request)
   };
 }
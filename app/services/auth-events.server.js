@@ -0,0 +1,53 @@
+/**
+ * Auth Events Service
+ * Notifies open auth channels when a customer sign-in finishes
+ */
+import { EventEmitter } from "node:events";
+
+/**
+ * Emitter shared by the auth callback and the auth channel route.
+ * Only reaches channels served by this process; the channel also checks the
+ * database so deployments with several instances still resolve.
+ */
+const authEvents = new EventEmitter();
+// One listener per open widget channel
+authEvents.setMaxListeners(0);
+
+/**
+ * Publishes the result of a sign-in
+ * @param {string} shop - The shop domain that owns the conversation
+ * @param {string} conversationId - The conversation ID
+ * @param {string} status - The result: authorized, denied or error
+ */
+export function publishAuthResult(shop, conversationId, status) {
+  authEvents.emit(getEventName(shop, conversationId), status);
+}
+
+/**
+ * Subscribes to the sign-in result for a conversation
+ * @param {string} shop - The shop domain that owns the conversation
+ * @param {string} conversationId - The conversation ID
+ * @param {Function} listener - Called with the result status
+ * @returns {Function} Unsubscribes the listener
+ */
+export function subscribeToAuthResult(shop, conversationId, listener) {
+  const eventName = getEventName(shop, conversationId);
+  authEvents.on(eventName, listener);
+
+  return () => authEvents.off(eventName, listener);
+}
+
+/**
+ * Gets the event name for a conversation
+ * @param {string} shop - The shop domain
+ * @param {string} conversationId - The conversation ID
+ * @returns {string} The event name
+ */
+function getEventName(shop, conversationId) {
+  return `${shop}|${conversationId}`;
+}
+
+export default {
+  publishAuthResult,
+  subscribeToAuthResult
+};
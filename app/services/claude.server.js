@@ -1,112 +1,129 @@
 /**
  * Claude Service
- * Manages interactions with the Claude API
+ * Manages interactions with the configured LLM provider
  */
-import { Anthropic } from "@anthropic-ai/sdk";
 import AppConfig from "./config.server";
+import { getProviderName } from "./llm.server";
+import { formatHistoryForSummary } from "./history.server";
+import { resolveSystemPrompt } from "./prompt.server";
+import { loadStoreKnowledge, renderSystemPrompt } from "./knowledge.server";
+import { createAnthropicProvider } from "./providers/anthropic.server";
+import { createOpenAIProvider } from "./providers/openai.server";
 import systemPrompts from "../prompts/prompts.json";
 
 /**
- * Creates a Claude service instance
- * @param {string} apiKeyOverride - Claude API key (optional override)
- * @returns {Object} Claude service with methods for interacting with Claude API
+ * Provider factories keyed by provider name
+ */
+const PROVIDER_FACTORIES = {
+  anthropic: createAnthropicProvider,
+  openai: createOpenAIProvider,
+  mock: createLazyMockProvider
+};
+
+/**
+ * Loads the mock provider factory. Production builds leave the mock provider
+ * and its recorded fixtures out of the bundle.
  */
-export function createClaudeService(apiKeyOverride) {
-  const resolvedKey = [
-    apiKeyOverride,
-    process.env.ANTHROPIC_API_KEY,
-    process.env.CLAUDE_API_KEY
-  ].find((key) => typeof key === "string" && key.trim().length > 0);
-
-  if (!resolvedKey) {
-    throw new Error("Anthropic API key is missing. Set ANTHROPIC_API_KEY in .env");
+const loadMockProviderFactory = import.meta.env.PROD
+  ? async () => {
+    throw new Error("The mock LLM provider is not available in production builds");
   }
+  : async () => (await import("./providers/mock.server")).createMockProvider;
 
-  console.log("[Claude] Using Anthropic API key with length:", resolvedKey.trim().length);
+/**
+ * Creates a mock provider that loads the replay module on its first turn
+ * @param {Object} options - Provider options passed to createMockProvider
+ * @returns {Object} Provider implementing the streamTurn interface
+ */
+function createLazyMockProvider(options) {
+  let provider = null;
 
-  // Configure the official Anthropic SDK with sensible network safety defaults
-  const anthropic = new Anthropic({
-    apiKey: resolvedKey.trim(),
-    maxRetries: 3,
-    timeout: 60_000
-  });
+  return {
+    name: "mock",
+    streamTurn: async (params, handlers) => {
+      if (!provider) {
+        const createMockProvider = await loadMockProviderFactory();
+        provider = createMockProvider(options);
+      }
+      return provider.streamTurn(params, handlers);
+    }
+  };
+}
+
+/**
+ * Creates a Claude service instance
+ * @param {Object} options - Service options
+ * @param {string} options.shop - Shop domain used to select the provider (optional)
+ * @param {string} options.provider - Provider name override (optional)
+ * @param {string} options.apiKey - Provider API key override (optional)
+ * @returns {Object} Claude service with methods for interacting with the LLM
+ */
+export function createClaudeService({ shop, provider: providerOverride, apiKey } = {}) {
+  const providerName = providerOverride || getProviderName(shop);
+  const createProvider = PROVIDER_FACTORIES[providerName];
 
+  if (!createProvider) {
+    throw new Error(`Unknown LLM provider "${providerName}". Check LLM_PROVIDER in .env`);
+  }
+
+  const provider = createProvider({ apiKey });
+  // Summaries use their own instance, created on the first summary,
+  // so mock replays do not depend on when summaries run
+  let summaryProvider = null;
+
+  // System prompts resolved for this service instance, keyed by prompt type
+  const resolvedPrompts = new Map();
+  // The shop's store knowledge, loaded once per service instance
+  let storeKnowledge = null;
 
   /**
-   * Streams a conversation with Claude
+   * Streams a conversation with the LLM
    * @param {Object} params - Stream parameters
    * @param {Array} params.messages - Conversation history
-   * @param {string} params.promptType - The type of system prompt to use
-   * @param {Array} params.tools - Available tools for Claude
+   * @param {string} params.promptType - The key of the system prompt to use
+   * @param {string} params.systemPrompt - System prompt content overriding promptType, e.g. an unpublished draft (optional)
+   * @param {Array} params.tools - Available tools for the model
+   * @param {AbortSignal} params.signal - Aborted when the customer cancels the turn (optional)
    * @param {Object} streamHandlers - Stream event handlers
    * @param {Function} streamHandlers.onText - Handles text chunks
    * @param {Function} streamHandlers.onMessage - Handles complete messages
    * @param {Function} streamHandlers.onToolUse - Handles tool use requests
+   * @param {Function} streamHandlers.onContentBlock - Handles completed content blocks
    * @returns {Promise<Object>} The final message
    */
   const streamConversation = async ({
     messages,
     promptType = AppConfig.api.defaultPromptType,
-    tools
+    systemPrompt,
+    tools,
+    signal
   }, streamHandlers) => {
-    // Get system prompt from configuration or use default
-    const systemInstruction = getSystemPrompt(promptType);
-
-    const candidateModels = [
-      AppConfig.api.defaultModel,
-      AppConfig.api.fallbackModel
-    ].filter(Boolean);
-
-    let stream;
-    let lastError;
-
-    for (const model of candidateModels) {
-      try {
-        stream = await anthropic.messages.stream({
-          model,
-          max_tokens: AppConfig.api.maxTokens,
-          system: systemInstruction,
-          messages,
-          tools: tools && tools.length > 0 ? tools : undefined
-        });
-        // Successfully created stream
-        break;
-      } catch (err) {
-        lastError = err;
-        // Retry on model not found
-        const message = (err?.message || "").toLowerCase();
-        const isNotFound = message.includes("not_found") || message.includes("model");
-        if (!isNotFound || model === candidateModels[candidateModels.length - 1]) {
-          throw err;
-        }
-        console.warn(`[Claude] Model ${model} unavailable, retrying with fallback...`);
+    const systemInstruction = systemPrompt
+      ? renderSystemPrompt(systemPrompt, await getStoreKnowledge())
+      : await getSystemPrompt(promptType);
+
+    const finalMessage = await provider.streamTurn(
+      {
+        system: systemInstruction,
+        messages,
+        tools,
+        signal
+      },
+      {
+        onText: streamHandlers.onText,
+        onContentBlock: streamHandlers.onContentBlock
       }
-    }
-
-    if (!stream && lastError) {
-      throw lastError;
-    }
-
-    // Set up event handlers
-    if (streamHandlers.onText) {
-      stream.on('text', streamHandlers.onText);
-    }
+    );
 
     if (streamHandlers.onMessage) {
-      stream.on('message', streamHandlers.onMessage);
-    }
-
-    if (streamHandlers.onContentBlock) {
-      stream.on('contentBlock', streamHandlers.onContentBlock);
+      streamHandlers.onMessage(finalMessage);
     }
 
-    // Wait for final message
-    const finalMessage = await stream.finalMessage();
-
     // Process tool use requests
     if (streamHandlers.onToolUse && finalMessage.content) {
       for (const content of finalMessage.content) {
         if (content.type === "tool_use") {
+          signal?.throwIfAborted();
           await streamHandlers.onToolUse(content);
         }
       }
@@ -116,17 +133,71 @@ export function createClaudeService(apiKeyOverride) {
   };
 
   /**
-   * Gets the system prompt content for a given prompt type
-   * @param {string} promptType - The prompt type to retrieve
-   * @returns {string} The system prompt content
+   * Summarises earlier conversation messages, folding in the previous summary
+   * @param {Object} params - Summary parameters
+   * @param {string} params.summary - The previous summary (optional)
+   * @param {Array} params.messages - The messages to fold into the summary
+   * @param {AbortSignal} params.signal - Aborted when the customer cancels the turn (optional)
+   * @returns {Promise<Object>} The new `summary` with the `model` and `usage` of the call
+   */
+  const summarizeConversation = async ({ summary, messages, signal }) => {
+    const sections = [];
+    if (summary) {
+      sections.push(`Previous summary:\n${summary}`);
+    }
+    sections.push(`Conversation:\n${formatHistoryForSummary(messages)}`);
+
+    summaryProvider = summaryProvider || createProvider({ apiKey, purpose: "summary" });
+    const finalMessage = await summaryProvider.streamTurn({
+      system: systemPrompts.summaryPrompt.content,
+      messages: [{ role: "user", content: [{ type: "text", text: sections.join("\n\n") }] }],
+      signal
+    });
+
+    const text = finalMessage.content
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("")
+      .trim();
+
+    if (!text) {
+      throw new Error("The model returned an empty summary");
+    }
+
+    return { summary: text, model: finalMessage.model, usage: finalMessage.usage };
+  };
+
+  /**
+   * Gets the system prompt content for a given prompt type.
+   * The shop's published prompts come first; prompts.json provides the bundled ones.
+   * The content is rendered with the shop's store knowledge, and resolved prompts
+   * are reused for the rest of this service's chat session.
+   * @param {string} promptType - The prompt key to retrieve
+   * @returns {Promise<string>} The rendered system prompt
+   */
+  const getSystemPrompt = async (promptType) => {
+    if (!resolvedPrompts.has(promptType)) {
+      const content = await resolveSystemPrompt(shop, promptType);
+      resolvedPrompts.set(promptType, renderSystemPrompt(content, await getStoreKnowledge()));
+    }
+    return resolvedPrompts.get(promptType);
+  };
+
+  /**
+   * Gets the store knowledge of the service's shop
+   * @returns {Promise<Object>} Template variables and knowledge text
    */
-  const getSystemPrompt = (promptType) => {
-    return systemPrompts.systemPrompts[promptType]?.content ||
-      systemPrompts.systemPrompts[AppConfig.api.defaultPromptType].content;
+  const getStoreKnowledge = async () => {
+    if (!storeKnowledge) {
+      storeKnowledge = await loadStoreKnowledge(shop);
+    }
+    return storeKnowledge;
   };
 
   return {
+    providerName,
     streamConversation,
+    summarizeConversation,
     getSystemPrompt
   };
 }
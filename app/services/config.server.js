@@ -7,6 +7,23 @@ import dotenv from "dotenv";
 // Load environment variables from .env for both local and server runtimes
 dotenv.config();
 
+/**
+ * Parses a JSON object from an environment variable
+ * @param {string} value - The raw environment value
+ * @returns {Object} The parsed object, or an empty object if missing or invalid
+ */
+function parseJsonEnv(value) {
+  if (!value) return {};
+
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch (error) {
+    console.warn("[Config] Ignoring invalid JSON environment value:", error.message);
+    return {};
+  }
+}
+
 export const AppConfig = {
   // API Configuration
   api: {
@@ -16,24 +33,204 @@ export const AppConfig = {
     fallbackModel: process.env.ANTHROPIC_FALLBACK_MODEL || "claude-3-5-sonnet-latest",
     maxTokens: 2000,
     defaultPromptType: "standardAssistant",
+    // Cache the system prompt and tool definitions across model turns (Anthropic only)
+    promptCaching: process.env.ANTHROPIC_PROMPT_CACHING !== "false",
+  },
+
+  // LLM Provider Configuration
+  llm: {
+    // Provider used when a shop has no explicit mapping ("anthropic", "openai" or "mock")
+    defaultProvider: process.env.LLM_PROVIDER || "anthropic",
+    // Per-shop provider overrides, e.g. {"my-store.myshopify.com": "openai"}
+    shopProviders: parseJsonEnv(process.env.LLM_SHOP_PROVIDERS),
+    // OpenAI-compatible endpoint settings (also used for local stand-ins)
+    openai: {
+      baseUrl: process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+      apiKey: process.env.OPENAI_API_KEY || "",
+      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
+    },
+    // Recorded fixture replayed by the "mock" provider (see app/fixtures/llm)
+    mock: {
+      fixture: process.env.MOCK_LLM_FIXTURE || "greeting",
+    },
+  },
+
+  // MCP Configuration
+  mcp: {
+    // Serve storefront and customer tools from the in-process mock server (app/mcp-mock.server.js)
+    useMock: process.env.MCP_MOCK === "true",
+    // Shop served by the mock server; accepted without an installation in bypass mode
+    mockShopUrl: "https://mock-store.myshopify.com",
+    // How long discovered tools are reused per shop before listing them again
+    toolCatalogTtlMs: Number(process.env.MCP_TOOL_CACHE_TTL_MS) || 5 * 60 * 1000,
+  },
+
+  // Encryption at Rest Configuration
+  encryption: {
+    // Key used to encrypt customer access and refresh tokens, and MCP server headers, at rest
+    key: process.env.ENCRYPTION_KEY || process.env.SHOPIFY_API_SECRET || "",
+  },
+
+  // Conversation Configuration
+  conversations: {
+    // Key used to sign conversation ownership tokens
+    tokenSecret: process.env.CONVERSATION_TOKEN_SECRET || process.env.SHOPIFY_API_SECRET || "",
+  },
+
+  // Token Usage Configuration
+  usage: {
+    // USD per million tokens, by model name prefix (the longest matching prefix wins).
+    // Usage of models without a price is recorded without a cost.
+    pricing: {
+      "claude-opus-4": { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+      "claude-sonnet-4": { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+      "claude-3-7-sonnet": { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+      "claude-3-5-sonnet": { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+      "claude-3-5-haiku": { input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 },
+      "gpt-4o-mini": { input: 0.15, output: 0.6, cacheWrite: 0.15, cacheRead: 0.075 },
+      "gpt-4o": { input: 2.5, output: 10, cacheWrite: 2.5, cacheRead: 1.25 },
+      "mock:": { input: 0, output: 0, cacheWrite: 0, cacheRead: 0 },
+      // Extra or corrected prices, e.g. {"my-model": {"input": 1, "output": 2, "cacheWrite": 1, "cacheRead": 0.1}}
+      ...parseJsonEnv(process.env.LLM_PRICING),
+    },
+  },
+
+  // Chat Rate Limit Configuration
+  rateLimits: {
+    // "memory" counts per instance; "database" shares the counts between instances
+    store: process.env.RATE_LIMIT_STORE || "memory",
+    // Messages allowed per sliding window. A limit of 0 turns the scope off.
+    limits: {
+      conversation: { limit: 10, windowMs: 60 * 1000 },
+      ip: { limit: Number(process.env.RATE_LIMIT_IP_PER_HOUR) || 60, windowMs: 60 * 60 * 1000 },
+      shop: { limit: Number(process.env.RATE_LIMIT_SHOP_PER_MINUTE) || 300, windowMs: 60 * 1000 },
+      // New conversations, which start with an empty conversation counter
+      ipConversations: { limit: Number(process.env.RATE_LIMIT_IP_CONVERSATIONS_PER_HOUR) || 20, windowMs: 60 * 60 * 1000 },
+      shopConversations: { limit: Number(process.env.RATE_LIMIT_SHOP_CONVERSATIONS_PER_MINUTE) || 100, windowMs: 60 * 1000 },
+    },
+    // Proxies in front of the app that append to X-Forwarded-For (the app proxy counts as one).
+    // The client IP is the entry the outermost of them added; entries before it are client-supplied.
+    trustedProxies: Number(process.env.RATE_LIMIT_TRUSTED_PROXIES) || 1,
+    // The memory store purges expired counters once it holds this many
+    maxMemoryCounters: 10000,
+    // How often the database store deletes expired counters
+    cleanupIntervalMs: 10 * 60 * 1000,
+  },
+
+  // Monthly Token Budget Configuration
+  budgets: {
+    // Tokens (input, cached input and output) a shop may use per calendar month (UTC); 0 means no budget
+    defaultMonthlyTokens: Number(process.env.SHOP_MONTHLY_TOKEN_BUDGET) || 0,
+    // Per-shop budgets, e.g. {"my-store.myshopify.com": 5000000}
+    shopMonthlyTokens: parseJsonEnv(process.env.SHOP_MONTHLY_TOKEN_BUDGETS),
+  },
+
+  // Conversation History Configuration
+  history: {
+    // Estimated tokens of history sent to the model per turn; older turns are folded into a summary
+    maxTokens: 24000,
+    // Share of maxTokens the newest turns may use after folding, so the next turns do not fold again
+    targetRatio: 0.5,
+    // Tool results of earlier turns are cut to this many characters
+    toolResultMaxChars: 1500,
+  },
+
+  // Store Knowledge Configuration
+  knowledge: {
+    // Admin API policy types templated into the system prompt
+    policyTypes: ["SHIPPING_POLICY", "REFUND_POLICY", "CONTACT_INFORMATION"],
+    // Longer policies are cut and link to the full policy page
+    policyMaxChars: 4000,
+    // Most FAQ entries templated into the system prompt
+    maxFaqEntries: 50,
+  },
+
+  // Knowledge Document Configuration
+  documents: {
+    // Embedder that indexes documents: "hashing" (local, no external calls) or "openai"
+    // (any OpenAI-compatible embeddings endpoint, e.g. a local Ollama server)
+    embedder: process.env.EMBEDDING_PROVIDER || "hashing",
+    // Dimensions of the hashing embedder
+    hashingDimensions: 512,
+    openai: {
+      baseUrl: process.env.EMBEDDING_BASE_URL || process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+      apiKey: process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY || "",
+      model: process.env.EMBEDDING_MODEL || "text-embedding-3-small",
+    },
+    // Largest uploaded file
+    maxUploadBytes: 2 * 1024 * 1024,
+    // Target chunk length, and how much of the previous chunk each chunk repeats
+    chunkChars: 1200,
+    chunkOverlapChars: 200,
+    // Texts embedded per embedder call
+    embedBatchSize: 32,
+    // Chunks returned per search, and the lowest cosine similarity that counts as a match
+    searchResults: 4,
+    minScore: 0.15,
+  },
+
+  // Chat Stream Configuration
+  streams: {
+    // How long a finished turn's events stay available for resuming clients
+    turnRetentionMs: 2 * 60 * 1000,
+    // Most events buffered per turn; older events are dropped first
+    maxBufferedEvents: 5000,
+    // How often an open stream sends a comment so proxies do not close it while idle.
+    // The widget treats a stream silent for three intervals as stalled.
+    heartbeatIntervalMs: 15 * 1000,
+  },
+
+  // Customer Account Authentication Configuration
+  customerAuth: {
+    // Public URL of this app; redirect URIs are built from it
+    appUrl: process.env.SHOPIFY_APP_URL || "",
+    // Path of the OAuth callback on the app URL (must be listed in [customer_authentication])
+    redirectPath: process.env.CUSTOMER_AUTH_REDIRECT_PATH || "/api/auth/callback",
+    // How long an auth channel stays open before the widget reconnects
+    channelTimeoutMs: 60 * 1000,
+    // How often an open auth channel checks the database for tokens stored by other instances
+    channelCheckIntervalMs: 5 * 1000,
+  },
+
+  // Customer Account Token Configuration
+  customerTokens: {
+    // Refresh access tokens this long before they expire
+    refreshLeewayMs: 60 * 1000,
+  },
+
+  // Storefront App Proxy Configuration
+  appProxy: {
+    // Trust the X-Shopify-Shop-Domain header instead of the proxy signature.
+    // For local development against a tunnel only; never honored in production.
+    devBypass: process.env.APP_PROXY_DEV_BYPASS === "true" && process.env.NODE_ENV !== "production",
   },
 
   // Error Message Templates
   errorMessages: {
     missingMessage: "Message is required",
+    shopNotVerified: "This shop could not be verified",
+    conversationNotFound: "Conversation not found",
     apiUnsupported:
       "This endpoint only supports server-sent events (SSE) requests or history requests.",
     authFailed: "Authentication failed with Claude API",
     apiKeyError: "Please check your API key in environment variables",
     rateLimitExceeded: "Rate limit exceeded",
     rateLimitDetails: "Please try again later",
+    budgetExceeded: "Monthly usage budget reached",
+    budgetDetails: "The assistant is unavailable until the budget resets next month",
     genericError: "Failed to get response from Claude",
+    // Sent to the model as the result of tool calls interrupted by a cancelled turn
+    toolCallCancelled: "The customer cancelled this request before the tool call finished.",
   },
 
   // Tool Configuration
   tools: {
     productSearchName: "search_shop_catalog",
+    // Built-in tool searching the shop's knowledge documents
+    knowledgeSearchName: "search_store_knowledge",
     maxProductsToDisplay: 3,
+    // Length of the result summary sent with tool_call_finished events
+    resultSummaryLength: 160,
   },
 };
 
@@ -0,0 +1,75 @@
+/**
+ * Conversation Token Service
+ * Issues conversation ids and the signed tokens that prove a shopper owns them
+ */
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from "node:crypto";
+import AppConfig from "./config.server";
+
+/**
+ * Signing key, falling back to a per-process key so tokens still work locally
+ * (they stop verifying after a restart)
+ */
+let signingKey = AppConfig.conversations.tokenSecret;
+if (!signingKey) {
+  console.warn("[Conversations] No CONVERSATION_TOKEN_SECRET or SHOPIFY_API_SECRET set, using a temporary signing key");
+  signingKey = randomBytes(32).toString("hex");
+}
+
+/**
+ * Issues a new random conversation id and its ownership token
+ * @param {string} shop - The shop domain the conversation belongs to
+ * @returns {Object} The conversation id and token
+ */
+export function issueConversation(shop) {
+  const conversationId = randomUUID();
+
+  return {
+    conversationId,
+    conversationToken: signConversation(shop, conversationId)
+  };
+}
+
+/**
+ * Checks that a token was issued for this conversation in this shop
+ * @param {string} shop - The shop domain
+ * @param {string} conversationId - The conversation id
+ * @param {string} token - The token presented by the client
+ * @returns {boolean} True if the token is valid
+ */
+export function verifyConversationToken(shop, conversationId, token) {
+  if (!shop || !conversationId || typeof token !== "string" || !token) {
+    return false;
+  }
+
+  const expected = Buffer.from(signConversation(shop, conversationId));
+  const actual = Buffer.from(token);
+
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * Reads the ownership token a client sent with a request
+ * @param {Request} request - The request object
+ * @returns {string} The token, or an empty string if none was sent
+ */
+export function readConversationToken(request) {
+  return request.headers.get("X-Conversation-Token") || "";
+}
+
+/**
+ * Signs a shop and conversation id pair
+ * @param {string} shop - The shop domain
+ * @param {string} conversationId - The conversation id
+ * @returns {string} The base64url-encoded signature
+ */
+function signConversation(shop, conversationId) {
+  return createHmac("sha256", signingKey)
+    .update(`${shop}:${conversationId}`)
+    .digest("base64url");
+}
+
+export default {
+  issueConversation,
+  verifyConversationToken,
+  readConversationToken
+};
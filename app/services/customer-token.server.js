@@ -0,0 +1,174 @@
+/**
+ * Customer Token Service
+ * Manages the lifecycle of customer account tokens: storing, refreshing and revoking them
+ */
+import {
+  storeCustomerToken,
+  getCustomerToken,
+  deleteCustomerTokens,
+  getCustomerAccountUrls
+} from "../db.server";
+import { getTokenUrl } from "../auth.server";
+import AppConfig from "./config.server";
+
+/**
+ * Refreshes in flight, keyed by shop and conversation, so concurrent tool calls
+ * do not spend the same refresh token twice
+ */
+const pendingRefreshes = new Map();
+
+/**
+ * Stores the tokens returned by the token endpoint
+ * @param {string} shop - The shop domain that owns the conversation
+ * @param {string} conversationId - The conversation ID
+ * @param {Object} tokenResponse - The token endpoint response
+ * @param {string} shopId - The numeric Shopify shop ID (optional; kept from the stored token when omitted)
+ * @returns {Promise<Object>} The saved customer token
+ */
+export async function saveTokenResponse(shop, conversationId, tokenResponse, shopId) {
+  const expiresAt = new Date(Date.now() + tokenResponse.expires_in * 1000);
+
+  return storeCustomerToken(
+    shop,
+    conversationId,
+    tokenResponse.access_token,
+    expiresAt,
+    tokenResponse.refresh_token,
+    shopId
+  );
+}
+
+/**
+ * Gets a usable access token for a conversation, refreshing it when it is about to expire
+ * @param {string} shop - The shop domain that owns the conversation
+ * @param {string} conversationId - The conversation ID
+ * @param {Object} options - Options
+ * @param {boolean} options.forceRefresh - Refresh even if the token looks valid, e.g. after a 401.
+ *   Tokens that cannot be refreshed are then deleted.
+ * @returns {Promise<string|null>} The access token, or null if the customer must sign in again
+ */
+export async function getCustomerAccessToken(shop, conversationId, { forceRefresh = false } = {}) {
+  if (!conversationId) return null;
+
+  const token = await getCustomerToken(shop, conversationId, { includeExpired: true });
+  if (!token) return null;
+
+  const refreshAt = token.expiresAt.getTime() - AppConfig.customerTokens.refreshLeewayMs;
+  if (!forceRefresh && Date.now() < refreshAt) {
+    return token.accessToken;
+  }
+
+  if (token.refreshToken) {
+    const key = `${shop}|${conversationId}`;
+    if (!pendingRefreshes.has(key)) {
+      const pendingRefresh = refreshCustomerToken(shop, conversationId, token)
+        .finally(() => pendingRefreshes.delete(key));
+      pendingRefreshes.set(key, pendingRefresh);
+    }
+
+    const refresh = await pendingRefreshes.get(key);
+    if (refresh.accessToken) return refresh.accessToken;
+    // The rejected tokens were deleted, so the current one must not be used either
+    if (refresh.rejected) return null;
+  }
+
+  if (forceRefresh) {
+    // The current token was rejected; forget it so the customer is asked to sign in again
+    await deleteCustomerTokens(shop, conversationId);
+    return null;
+  }
+
+  // Without a fresh token, the current one is usable until it actually expires
+  return token.expiresAt > new Date() ? token.accessToken : null;
+}
+
+/**
+ * Revokes the customer's tokens with the shop and deletes them
+ * @param {string} shop - The shop domain that owns the conversation
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<boolean>} True if there were tokens to remove
+ */
+export async function revokeCustomerTokens(shop, conversationId) {
+  const token = await getCustomerToken(shop, conversationId, { includeExpired: true });
+  const urls = await getCustomerAccountUrls(shop, conversationId);
+
+  if (token && urls?.revocationUrl) {
+    const revocations = [
+      [token.refreshToken, "refresh_token"],
+      [token.accessToken, "access_token"]
+    ].filter(([value]) => value);
+
+    // Deleting the tokens locally signs the customer out even if revocation fails
+    await Promise.all(revocations.map(async ([value, hint]) => {
+      try {
+        const response = await fetch(urls.revocationUrl, {
+          method: "POST",
+          headers: { "Content-Type": "application/x-www-form-urlencoded" },
+          body: new URLSearchParams({
+            client_id: process.env.SHOPIFY_API_KEY || "",
+            token: value,
+            token_type_hint: hint
+          })
+        });
+
+        if (!response.ok) {
+          console.warn(`Failed to revoke ${hint} for conversation ${conversationId}: ${response.status}`);
+        }
+      } catch (error) {
+        console.warn(`Failed to revoke ${hint} for conversation ${conversationId}:`, error.message);
+      }
+    }));
+  }
+
+  const deleted = await deleteCustomerTokens(shop, conversationId);
+  return deleted > 0;
+}
+
+/**
+ * Exchanges a refresh token for a new access token and stores the result
+ * @param {string} shop - The shop domain that owns the conversation
+ * @param {string} conversationId - The conversation ID
+ * @param {Object} token - The stored token with its `refreshToken` and `shopId`
+ * @returns {Promise<Object>} The new `accessToken` (null if the refresh failed), and whether the
+ *   refresh token was `rejected`, in which case the stored tokens are deleted
+ */
+async function refreshCustomerToken(shop, conversationId, { refreshToken, shopId }) {
+  try {
+    const response = await fetch(await getTokenUrl(shop, conversationId, shopId), {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        grant_type: "refresh_token",
+        client_id: process.env.SHOPIFY_API_KEY || "",
+        refresh_token: refreshToken
+      })
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.warn(`Token refresh failed for conversation ${conversationId}: ${response.status} ${errorText}`);
+
+      // A rejected refresh token cannot be used again; the customer has to sign in
+      if (response.status === 400 || response.status === 401) {
+        await deleteCustomerTokens(shop, conversationId);
+        return { accessToken: null, rejected: true };
+      }
+      return { accessToken: null, rejected: false };
+    }
+
+    const tokenResponse = await response.json();
+    await saveTokenResponse(shop, conversationId, tokenResponse);
+    console.log("Refreshed customer token for conversation:", conversationId);
+
+    return { accessToken: tokenResponse.access_token, rejected: false };
+  } catch (error) {
+    console.error("Error refreshing customer token:", error);
+    return { accessToken: null, rejected: false };
+  }
+}
+
+export default {
+  saveTokenResponse,
+  getCustomerAccessToken,
+  revokeCustomerTokens
+};
@@ -0,0 +1,435 @@
+/**
+ * Documents Service
+ * Ingests merchant documents into the local vector index and searches them
+ * for the built-in search_store_knowledge tool
+ */
+import AppConfig from "./config.server";
+import { htmlToText } from "./knowledge.server";
+import { getEmbedder, encodeEmbedding, decodeEmbedding, cosineSimilarity } from "./embeddings.server";
+import {
+  getKnowledgeDocument,
+  saveKnowledgeDocument,
+  countKnowledgeDocuments,
+  getKnowledgeChunks
+} from "../db.server";
+
+/**
+ * Formats a document can be ingested from, keyed by format with their file extensions
+ */
+export const DOCUMENT_FORMATS = {
+  markdown: [".md", ".markdown"],
+  html: [".html", ".htm"],
+  pdf: [".pdf"],
+  text: [".txt"]
+};
+
+/**
+ * Picks the format of an uploaded file from its name
+ * @param {string} fileName - The file name
+ * @returns {string|null} The format, or null if the file type is not supported
+ */
+export function detectDocumentFormat(fileName) {
+  const name = fileName.toLowerCase();
+  const match = Object.entries(DOCUMENT_FORMATS)
+    .find(([, extensions]) => extensions.some((extension) => name.endsWith(extension)));
+  return match ? match[0] : null;
+}
+
+/**
+ * Checks whether an uploaded file is a PDF, by its header rather than its name
+ * @param {Uint8Array} bytes - The file contents
+ * @returns {boolean} True if the file starts like a PDF
+ */
+export function isPdfFile(bytes) {
+  return new TextDecoder("latin1").decode(bytes.subarray(0, 1024)).includes("%PDF-");
+}
+
+/**
+ * Extracts the text of a PDF, with a blank line between pages
+ * @param {Uint8Array} bytes - The PDF file
+ * @returns {Promise<string>} The text, or an empty string if the pages have no text layer (e.g. scans)
+ * @throws {Error} If the file cannot be read as a PDF
+ */
+export async function extractPdfText(bytes) {
+  // Loaded on demand so chat requests do not load pdf.js
+  const { getDocumentProxy, extractText } = await import("unpdf");
+  const pdf = await getDocumentProxy(bytes);
+
+  try {
+    const { text } = await extractText(pdf, { mergePages: false });
+    return text.map((page) => page.trim()).filter(Boolean).join("\n\n");
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Decodes an uploaded file as UTF-8 text
+ * @param {Uint8Array} bytes - The file contents
+ * @returns {string|null} The text, or null if the file is not valid UTF-8 text (e.g. a PDF or an image)
+ */
+export function decodeTextFile(bytes) {
+  let text;
+  try {
+    text = new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch {
+    return null;
+  }
+
+  // Control characters other than tabs, line breaks and form feeds only appear in binary files
+  for (let index = 0; index < text.length; index++) {
+    const code = text.charCodeAt(index);
+    if (code < 0x09 || (code > 0x0d && code < 0x20) || code === 0x7f) {
+      return null;
+    }
+  }
+
+  return text;
+}
+
+/**
+ * Extracts the searchable text of a document. Headings become Markdown headings,
+ * so chunks can name the section they come from.
+ * @param {string} raw - The document source
+ * @param {string} format - "markdown", "html", "pdf" (text extracted or copied from a PDF) or "text"
+ * @returns {string} The extracted text
+ */
+export function extractDocumentText(raw, format) {
+  const source = raw.replace(/\r\n?/g, "\n");
+
+  switch (format) {
+    case "markdown":
+      return source
+        .replace(/^---\n[\s\S]*?\n---\n/, "")
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+        .replace(/(\*\*|__)(.*?)\1/g, "$2")
+        .replace(/^\s*>\s?/gm, "")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim();
+
+    case "html":
+      return htmlToText(
+        source
+          .replace(/<head[^>]*>[\s\S]*?<\/head\s*>/gi, "")
+          .replace(/<h([1-6])[^>]*>/gi, (tag, level) => `\n\n${"#".repeat(Number(level))} `)
+      );
+
+    case "pdf":
+      return source
+        // Page numbers on their own line
+        .replace(/^\s*(page\s+)?\d+(\s+of\s+\d+)?\s*$/gim, "")
+        // Words hyphenated across lines
+        .replace(/(\p{L})-\n(\p{L})/gu, "$1$2")
+        // Hard-wrapped lines of a paragraph, keeping list items on their own lines
+        .replace(/([^\n])\n(?![\n\s]*(?:[-•*]|\d+[.)])\s)(?=[^\n])/g, "$1 ")
+        .replace(/[ \t]{2,}/g, " ")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim();
+
+    default:
+      return source.replace(/\n{3,}/g, "\n\n").trim();
+  }
+}
+
+/**
+ * Splits extracted text into overlapping chunks that keep to paragraph boundaries
+ * where they can
+ * @param {string} text - Text from extractDocumentText
+ * @returns {Array<Object>} Chunks with their `position`, nearest `heading` and `text`
+ */
+export function chunkDocumentText(text) {
+  const { chunkChars, chunkOverlapChars } = AppConfig.documents;
+  const chunks = [];
+  let heading = "";
+  let current = "";
+  let currentHeading = "";
+
+  const flush = () => {
+    if (current.trim()) {
+      chunks.push({ position: chunks.length, heading: currentHeading, text: current.trim() });
+    }
+    current = "";
+  };
+
+  for (const block of text.split(/\n{2,}/)) {
+    const headingMatch = block.match(/^(#{1,6})\s+(.+)$/m);
+    if (headingMatch && block.trim().startsWith("#")) {
+      // A new section starts a new chunk
+      flush();
+      heading = headingMatch[2].trim();
+    }
+
+    for (const piece of splitLongBlock(block.trim(), chunkChars)) {
+      if (!piece) continue;
+
+      if (current && current.length + piece.length + 2 > chunkChars) {
+        const overlap = getOverlap(current, chunkOverlapChars);
+        flush();
+        current = overlap;
+      }
+
+      if (!current) {
+        currentHeading = heading;
+      }
+      current = current ? `${current}\n\n${piece}` : piece;
+    }
+  }
+  flush();
+
+  return chunks;
+}
+
+/**
+ * Indexes a document: chunks and embeds its text and saves it, replacing the
+ * earlier chunks when the document already exists
+ * @param {string} shop - The shop domain
+ * @param {Object} document - The document
+ * @param {string} document.id - The ID of the document to replace (optional)
+ * @param {string} document.title - The title shown in citations
+ * @param {string} document.format - The document format
+ * @param {string} document.sourceName - The uploaded file name (optional)
+ * @param {string} document.url - The page linked from citations (optional)
+ * @param {string} document.content - Text from extractDocumentText
+ * @returns {Promise<Object>} The saved document and its `chunkCount`
+ * @throws {Error} If the document has no text or the embedder fails
+ */
+export async function indexDocument(shop, { id, title, format, sourceName = "", url = "", content }) {
+  const chunks = chunkDocumentText(content);
+  if (chunks.length === 0) {
+    throw new Error("The document has no text to index");
+  }
+
+  const embedder = getEmbedder();
+  const embeddings = [];
+  const { embedBatchSize } = AppConfig.documents;
+
+  for (let start = 0; start < chunks.length; start += embedBatchSize) {
+    const batch = chunks.slice(start, start + embedBatchSize);
+    // The title and heading help match chunks that do not repeat them
+    embeddings.push(...await embedder.embed(
+      batch.map((chunk) => [title, chunk.heading, chunk.text].filter(Boolean).join("\n"))
+    ));
+  }
+
+  const document = await saveKnowledgeDocument(
+    shop,
+    { id, title, format, sourceName, url, content, embeddingModel: embedder.id },
+    chunks.map((chunk, index) => ({ ...chunk, embedding: encodeEmbedding(embeddings[index]) }))
+  );
+
+  return { ...document, chunkCount: chunks.length };
+}
+
+/**
+ * Indexes a stored document again, e.g. after the embedder changed
+ * @param {string} shop - The shop domain
+ * @param {string} id - The document ID
+ * @returns {Promise<Object|null>} The saved document, or null if not found
+ */
+export async function reindexDocument(shop, id) {
+  const document = await getKnowledgeDocument(shop, id);
+  if (!document) return null;
+
+  return indexDocument(shop, document);
+}
+
+/**
+ * Finds the document chunks most similar to a query
+ * @param {string} shop - The shop domain
+ * @param {string} query - The search query
+ * @param {Object} options - Search options
+ * @param {number} options.limit - Most chunks to return (optional)
+ * @returns {Promise<Array>} Matching chunks with their document `title`, `url` and `score`, best first
+ */
+export async function searchDocuments(shop, query, { limit = AppConfig.documents.searchResults } = {}) {
+  const embedder = getEmbedder();
+  const [queryEmbedding] = await embedder.embed([query]);
+  const chunks = await getKnowledgeChunks(shop, embedder.id);
+
+  return chunks
+    .map((chunk) => ({
+      id: chunk.id,
+      documentId: chunk.documentId,
+      title: chunk.document.title,
+      url: chunk.document.url,
+      heading: chunk.heading,
+      text: chunk.text,
+      score: cosineSimilarity(queryEmbedding, decodeEmbedding(chunk.embedding))
+    }))
+    .filter((chunk) => chunk.score >= AppConfig.documents.minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Creates the search_store_knowledge tool for a chat session.
+ * Sources are numbered across the session's searches so the model can cite them as [1], [2], …
+ * @param {Object} options - Tool options
+ * @param {string} options.shop - The shop domain
+ * @returns {Object} The tool with its definitions, call handler and citations
+ */
+export function createKnowledgeSearchTool({ shop }) {
+  const name = AppConfig.tools.knowledgeSearchName;
+  // Chunk ID -> source, in the order the sources were first returned
+  const sources = new Map();
+
+  /**
+   * Lists the tool if the shop has searchable documents
+   * @returns {Promise<Array>} The tool definition, or no tools
+   */
+  const getTools = async () => {
+    const documentCount = await countKnowledgeDocuments(shop, getEmbedder().id);
+    if (documentCount === 0) return [];
+
+    return [{
+      name,
+      description: "Search the store's own documents, such as size guides, care instructions and FAQ pages, " +
+        "for answers the product catalog and store policies do not cover. Returns numbered excerpts. " +
+        "Cite the excerpts you use with their number in square brackets, e.g. [1].",
+      input_schema: {
+        type: "object",
+        properties: {
+          query: {
+            type: "string",
+            description: "What to look for, in the customer's words, e.g. \"how do the jeans fit\""
+          }
+        },
+        required: ["query"]
+      }
+    }];
+  };
+
+  /**
+   * Checks whether a tool call is for this tool
+   * @param {string} toolName - The called tool
+   * @returns {boolean} Whether this tool handles the call
+   */
+  const handles = (toolName) => toolName === name;
+
+  /**
+   * Searches the documents
+   * @param {Object} toolArgs - The tool arguments
+   * @returns {Promise<Object>} An MCP-style result with numbered excerpts, or an error
+   */
+  const callTool = async (toolArgs) => {
+    const query = String(toolArgs?.query || "").trim();
+    if (!query) {
+      return { error: { type: "tool_error", data: "The query argument is required" } };
+    }
+
+    let results;
+    try {
+      results = await searchDocuments(shop, query);
+    } catch (error) {
+      console.error("Error searching knowledge documents:", error);
+      return { error: { type: "tool_error", data: "The store's documents could not be searched" } };
+    }
+
+    if (results.length === 0) {
+      return { content: [{ type: "text", text: "No passages in the store's documents match this query." }] };
+    }
+
+    const excerpts = results.map((result) => {
+      if (!sources.has(result.id)) {
+        sources.set(result.id, { ...result, number: sources.size + 1 });
+      }
+      const source = sources.get(result.id);
+      const label = [source.title, source.heading].filter(Boolean).join(" › ");
+      return `[${source.number}] ${label}\n${source.text}`;
+    });
+
+    return { content: [{ type: "text", text: excerpts.join("\n\n") }] };
+  };
+
+  /**
+   * Gets the sources a reply cites
+   * @param {string} text - The reply text
+   * @returns {Array<Object>} Citations with their `number`, `title`, `heading`, `url` and `excerpt`
+   */
+  const getCitations = (text) => {
+    const cited = new Set([...text.matchAll(/\[(\d{1,3})\](?!\()/g)].map((match) => Number(match[1])));
+
+    return [...sources.values()]
+      .filter((source) => cited.has(source.number))
+      .map((source) => ({
+        number: source.number,
+        title: source.title,
+        heading: source.heading,
+        url: source.url,
+        excerpt: source.text.length > AppConfig.tools.resultSummaryLength
+          ? `${source.text.slice(0, AppConfig.tools.resultSummaryLength - 1)}…`
+          : source.text
+      }));
+  };
+
+  return {
+    name,
+    getTools,
+    handles,
+    callTool,
+    getCitations
+  };
+}
+
+/**
+ * Splits a block longer than a chunk at sentence ends, or at spaces if a sentence is too long
+ * @param {string} block - The block
+ * @param {number} maxChars - The chunk length
+ * @returns {Array<string>} Pieces no longer than maxChars
+ */
+function splitLongBlock(block, maxChars) {
+  if (block.length <= maxChars) return [block];
+
+  const pieces = [];
+  let piece = "";
+
+  for (const sentence of block.match(/[^.!?\n]+(?:[.!?]+|\n|$)\s*/g) || [block]) {
+    if (piece && piece.length + sentence.length > maxChars) {
+      pieces.push(piece.trim());
+      piece = "";
+    }
+
+    let rest = sentence;
+    while (rest.length > maxChars) {
+      const cut = rest.lastIndexOf(" ", maxChars) > 0 ? rest.lastIndexOf(" ", maxChars) : maxChars;
+      pieces.push(rest.slice(0, cut).trim());
+      rest = rest.slice(cut);
+    }
+    piece += rest;
+  }
+
+  if (piece.trim()) {
+    pieces.push(piece.trim());
+  }
+
+  return pieces;
+}
+
+/**
+ * Gets the end of a chunk to repeat at the start of the next one, starting at a word
+ * @param {string} text - The chunk text
+ * @param {number} maxChars - The overlap length
+ * @returns {string} The overlap
+ */
+function getOverlap(text, maxChars) {
+  if (maxChars <= 0) return "";
+
+  const tail = text.slice(-maxChars);
+  const wordStart = tail.indexOf(" ");
+  return (text.length > maxChars && wordStart >= 0 ? tail.slice(wordStart + 1) : tail).trim();
+}
+
+export default {
+  DOCUMENT_FORMATS,
+  detectDocumentFormat,
+  isPdfFile,
+  extractPdfText,
+  decodeTextFile,
+  extractDocumentText,
+  chunkDocumentText,
+  indexDocument,
+  reindexDocument,
+  searchDocuments,
+  createKnowledgeSearchTool
+};
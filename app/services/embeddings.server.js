@@ -0,0 +1,226 @@
+/**
+ * Embeddings Service
+ * Turns text into vectors for searching knowledge documents, with pluggable embedders
+ */
+import AppConfig from "./config.server";
+
+/**
+ * Common English words left out of hashed embeddings
+ */
+const STOP_WORDS = new Set(
+  ("a an and are as at be but by can do does for from has have how i if in is it its me my " +
+  "of on or our so that the their them there this to us was we what when where which who " +
+  "will with you your").split(" ")
+);
+
+/**
+ * Weight of a word's character trigrams relative to the word itself
+ */
+const TRIGRAM_WEIGHT = 0.3;
+
+/**
+ * Creates the local hashing embedder.
+ * Words, word pairs and character trigrams are hashed into a fixed number of dimensions,
+ * so documents are indexed without a model or network access. Trigrams let related word
+ * forms such as "size" and "sizing" match. It matches wording rather than meaning.
+ * @param {Object} options - Embedder options
+ * @param {number} options.dimensions - Vector dimensions (optional)
+ * @returns {Object} Embedder with an `id` and an `embed(texts)` method
+ */
+export function createHashingEmbedder({ dimensions = AppConfig.documents.hashingDimensions } = {}) {
+  /**
+   * Embeds texts
+   * @param {Array<string>} texts - The texts
+   * @returns {Promise<Array<Array<number>>>} One unit-length vector per text
+   */
+  const embed = async (texts) => texts.map((text) => {
+    const vector = new Array(dimensions).fill(0);
+    const words = tokenize(text);
+    const counts = new Map();
+    const count = (feature) => counts.set(feature, (counts.get(feature) || 0) + 1);
+
+    words.forEach((word, index) => {
+      count(word);
+      if (index > 0) {
+        count(`${words[index - 1]} ${word}`);
+      }
+      const padded = `<${word}>`;
+      for (let start = 0; start + 3 <= padded.length; start++) {
+        count(`#${padded.slice(start, start + 3)}`);
+      }
+    });
+
+    for (const [feature, featureCount] of counts) {
+      const hash = hashFeature(feature);
+      // The top bit picks the sign, so colliding features tend to cancel out
+      const sign = hash & 0x80000000 ? -1 : 1;
+      const weight = feature.startsWith("#") ? TRIGRAM_WEIGHT : 1;
+      vector[hash % dimensions] += sign * weight * (1 + Math.log(featureCount));
+    }
+
+    return normalize(vector);
+  });
+
+  return {
+    id: `hashing-v1-${dimensions}`,
+    embed
+  };
+}
+
+/**
+ * Creates an embedder for an OpenAI-compatible embeddings endpoint
+ * @param {Object} options - Embedder options
+ * @param {string} options.baseUrl - Base URL of the API (optional override)
+ * @param {string} options.apiKey - API key (optional override)
+ * @param {string} options.model - Embedding model (optional override)
+ * @returns {Object} Embedder with an `id` and an `embed(texts)` method
+ */
+export function createOpenAIEmbedder({ baseUrl, apiKey, model } = {}) {
+  const settings = AppConfig.documents.openai;
+  const resolvedBaseUrl = (baseUrl || settings.baseUrl).replace(/\/+$/, "");
+  const resolvedKey = apiKey || settings.apiKey;
+  const resolvedModel = model || settings.model;
+
+  /**
+   * Embeds texts
+   * @param {Array<string>} texts - The texts
+   * @returns {Promise<Array<Array<number>>>} One vector per text
+   * @throws {Error} If the endpoint returns an error
+   */
+  const embed = async (texts) => {
+    const headers = { "Content-Type": "application/json" };
+    if (resolvedKey) {
+      headers["Authorization"] = `Bearer ${resolvedKey}`;
+    }
+
+    const response = await fetch(`${resolvedBaseUrl}/embeddings`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ model: resolvedModel, input: texts })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Embeddings request failed with status ${response.status}: ${await response.text()}`);
+    }
+
+    const { data } = await response.json();
+    return [...data]
+      .sort((a, b) => a.index - b.index)
+      .map((item) => normalize(item.embedding));
+  };
+
+  return {
+    id: `openai:${resolvedModel}`,
+    embed
+  };
+}
+
+/**
+ * Embedder factories keyed by EMBEDDING_PROVIDER value
+ */
+const EMBEDDER_FACTORIES = {
+  hashing: createHashingEmbedder,
+  openai: createOpenAIEmbedder
+};
+
+let embedder = null;
+
+/**
+ * Gets the configured embedder
+ * @returns {Object} The embedder
+ * @throws {Error} If EMBEDDING_PROVIDER names an unknown embedder
+ */
+export function getEmbedder() {
+  if (!embedder) {
+    const createEmbedder = EMBEDDER_FACTORIES[AppConfig.documents.embedder];
+    if (!createEmbedder) {
+      throw new Error(`Unknown embedder "${AppConfig.documents.embedder}". Check EMBEDDING_PROVIDER in .env`);
+    }
+    embedder = createEmbedder();
+  }
+  return embedder;
+}
+
+/**
+ * Encodes a vector for the database
+ * @param {Array<number>} vector - The vector
+ * @returns {Uint8Array} Little-endian float32 bytes
+ */
+export function encodeEmbedding(vector) {
+  const view = new DataView(new ArrayBuffer(vector.length * 4));
+  vector.forEach((value, index) => view.setFloat32(index * 4, value, true));
+  return new Uint8Array(view.buffer);
+}
+
+/**
+ * Decodes a vector stored by encodeEmbedding
+ * @param {Uint8Array} bytes - The stored bytes
+ * @returns {Float32Array} The vector
+ */
+export function decodeEmbedding(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const vector = new Float32Array(bytes.byteLength / 4);
+  for (let index = 0; index < vector.length; index++) {
+    vector[index] = view.getFloat32(index * 4, true);
+  }
+  return vector;
+}
+
+/**
+ * Scores how similar two unit-length vectors are
+ * @param {ArrayLike<number>} a - The first vector
+ * @param {ArrayLike<number>} b - The second vector
+ * @returns {number} The cosine similarity, from -1 to 1
+ */
+export function cosineSimilarity(a, b) {
+  let sum = 0;
+  const length = Math.min(a.length, b.length);
+  for (let index = 0; index < length; index++) {
+    sum += a[index] * b[index];
+  }
+  return sum;
+}
+
+/**
+ * Splits text into lowercase words without stop words, dropping a plural "s" so "sizes" matches "size"
+ * @param {string} text - The text
+ * @returns {Array<string>} The words
+ */
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter((word) => !STOP_WORDS.has(word))
+    .map((word) => (word.length > 3 && word.endsWith("s") && !word.endsWith("ss") ? word.slice(0, -1) : word));
+}
+
+/**
+ * Hashes a feature with 32-bit FNV-1a
+ * @param {string} feature - The feature
+ * @returns {number} The unsigned hash
+ */
+function hashFeature(feature) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < feature.length; index++) {
+    hash ^= feature.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Scales a vector to unit length
+ * @param {Array<number>} vector - The vector
+ * @returns {Array<number>} The unit vector, or the zero vector unchanged
+ */
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length > 0 ? vector.map((value) => value / length) : vector;
+}
+
+export default {
+  createHashingEmbedder,
+  createOpenAIEmbedder,
+  getEmbedder,
+  encodeEmbedding,
+  decodeEmbedding,
+  cosineSimilarity
+};
@@ -0,0 +1,230 @@
+/**
+ * History Service
+ * Builds the conversation history sent to the model within a token budget
+ */
+import AppConfig from "./config.server";
+import { decodeMessageContent } from "./transcript.server";
+import { getConversationHistory, getConversationSummary, saveConversationSummary } from "../db.server";
+
+/**
+ * Estimates the number of tokens of a value. Uses the common four-characters-per-token
+ * rule, which is close enough for budgeting without shipping a tokenizer per provider.
+ * @param {*} value - A string, or content blocks and messages to serialize
+ * @returns {number} The estimated token count
+ */
+export function estimateTokens(value) {
+  if (!value) return 0;
+
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Builds the model history of a conversation. Tool results of earlier turns are
+ * shortened, and when the history exceeds `AppConfig.history.maxTokens` the oldest
+ * turns are folded into the conversation's rolling summary.
+ * @param {Object} params - Build parameters
+ * @param {string} params.shop - The shop domain that owns the conversation
+ * @param {string} params.conversationId - The conversation ID
+ * @param {Function} params.summarize - Called with `{ summary, messages }`; resolves with the
+ *   new summary text covering the previous summary and the messages
+ * @param {AbortSignal} params.signal - Signal of the turn; a summary finished after it aborts is not saved (optional)
+ * @returns {Promise<Array>} Messages with `role` and `content` blocks, oldest first
+ */
+export async function buildConversationHistory({ shop, conversationId, summarize, signal }) {
+  const stored = await getConversationSummary(shop, conversationId);
+  let summary = stored?.summary || null;
+
+  const dbMessages = await getConversationHistory(shop, conversationId, {
+    after: stored?.summarizedThrough || undefined
+  });
+
+  const turns = groupTurns(dbMessages).map((turn, index, all) => {
+    const messages = index === all.length - 1 ? turn.messages : turn.messages.map(compactToolResults);
+    return { ...turn, messages, tokens: estimateTokens(messages) };
+  });
+
+  const totalTokens = turns.reduce((sum, turn) => sum + turn.tokens, estimateTokens(summary));
+
+  // Keep the newest turns within the target so the next turns do not summarise again
+  const keptFrom = totalTokens > AppConfig.history.maxTokens
+    ? findKeptTurns(turns, AppConfig.history.maxTokens * AppConfig.history.targetRatio)
+    : 0;
+
+  if (keptFrom > 0) {
+    const foldedTurns = turns.slice(0, keptFrom);
+
+    let foldedSummary = null;
+    try {
+      foldedSummary = await summarize({
+        summary,
+        messages: foldedTurns.flatMap((turn) => turn.messages)
+      });
+    } catch (error) {
+      if (!signal?.aborted) {
+        console.error("Error summarising conversation history:", error);
+      }
+    }
+
+    // Without a new summary the stored summary and its cutoff stay as they are, so the next
+    // turn folds these turns again. This turn still leaves them out to stay within the budget.
+    if (foldedSummary && !signal?.aborted) {
+      summary = foldedSummary;
+      const summarizedThrough = foldedTurns[foldedTurns.length - 1].lastCreatedAt;
+      await saveConversationSummary(shop, conversationId, summary, summarizedThrough);
+    }
+
+    turns.splice(0, keptFrom);
+  }
+
+  const messages = turns.flatMap((turn) => turn.messages);
+  return summary ? prependSummary(summary, messages) : messages;
+}
+
+/**
+ * Renders messages as a plain-text transcript for summarisation
+ * @param {Array} messages - Messages with `role` and `content` blocks, tool results already compacted
+ * @returns {string} One line per text block, tool call and tool result
+ */
+export function formatHistoryForSummary(messages) {
+  const lines = [];
+
+  for (const message of messages) {
+    for (const block of message.content) {
+      if (block.type === "text") {
+        lines.push(`${message.role === "assistant" ? "Assistant" : "Customer"}: ${block.text}`);
+      } else if (block.type === "tool_use") {
+        lines.push(`Tool call ${block.name}: ${JSON.stringify(block.input || {})}`);
+      } else if (block.type === "tool_result") {
+        lines.push(`Tool result: ${getToolResultText(block)}`);
+      }
+    }
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Groups stored messages into turns. A turn starts with a customer message and holds the
+ * assistant replies and tool results that follow it, so tool calls and their results are
+ * never separated.
+ * @param {Array} dbMessages - Stored messages ordered by creation time
+ * @returns {Array} Turns with their messages and the creation time of their last message
+ */
+function groupTurns(dbMessages) {
+  const turns = [];
+
+  for (const dbMessage of dbMessages) {
+    const message = {
+      role: dbMessage.role === "assistant" ? "assistant" : "user",
+      content: decodeMessageContent(dbMessage.content)
+    };
+
+    const startsTurn = message.role === "user" &&
+      !message.content.some((block) => block.type === "tool_result");
+
+    if (startsTurn || turns.length === 0) {
+      turns.push({ messages: [], lastCreatedAt: null });
+    }
+
+    const turn = turns[turns.length - 1];
+    turn.messages.push(message);
+    turn.lastCreatedAt = dbMessage.createdAt;
+  }
+
+  return turns;
+}
+
+/**
+ * Finds the oldest turn that still fits the budget, counting from the newest.
+ * The newest turn is always kept.
+ * @param {Array} turns - Turns with their estimated tokens
+ * @param {number} budget - Token budget for the kept turns
+ * @returns {number} Index of the first kept turn
+ */
+function findKeptTurns(turns, budget) {
+  let keptFrom = turns.length - 1;
+  let used = turns[keptFrom].tokens;
+
+  while (keptFrom > 0 && used + turns[keptFrom - 1].tokens <= budget) {
+    keptFrom -= 1;
+    used += turns[keptFrom].tokens;
+  }
+
+  return keptFrom;
+}
+
+/**
+ * Shortens bulky tool results of a message
+ * @param {Object} message - Message with `role` and `content` blocks
+ * @returns {Object} The message with tool results cut to `AppConfig.history.toolResultMaxChars`
+ */
+function compactToolResults(message) {
+  const maxChars = AppConfig.history.toolResultMaxChars;
+
+  return {
+    ...message,
+    content: message.content.map((block) => {
+      if (block.type !== "tool_result") return block;
+
+      const text = getToolResultText(block);
+      if (text.length <= maxChars) return block;
+
+      return { ...block, content: truncateText(text, maxChars) };
+    })
+  };
+}
+
+/**
+ * Gets the text of a tool result, whose content is a string or an array of content blocks
+ * @param {Object} block - The tool_result block
+ * @returns {string} The result text
+ */
+function getToolResultText(block) {
+  if (typeof block.content === "string") return block.content;
+
+  if (Array.isArray(block.content)) {
+    return block.content
+      .map((part) => (part.type === "text" ? part.text : JSON.stringify(part)))
+      .join("\n");
+  }
+
+  return JSON.stringify(block.content ?? "");
+}
+
+/**
+ * Cuts text to a maximum length, noting how much was removed
+ * @param {string} text - The text
+ * @param {number} maxChars - Maximum length of the kept text
+ * @returns {string} The text, or its start followed by a truncation note
+ */
+function truncateText(text, maxChars) {
+  if (text.length <= maxChars) return text;
+  return `${text.slice(0, maxChars)}… [${text.length - maxChars} more characters omitted]`;
+}
+
+/**
+ * Adds the rolling summary to the first message, which always starts a turn
+ * @param {string} summary - The conversation summary
+ * @param {Array} messages - The kept messages
+ * @returns {Array} The messages with the summary in front of the first one's content
+ */
+function prependSummary(summary, messages) {
+  const summaryBlock = {
+    type: "text",
+    text: `<conversation_summary>\nSummary of the earlier conversation:\n${summary}\n</conversation_summary>`
+  };
+
+  if (messages.length === 0) {
+    return [{ role: "user", content: [summaryBlock] }];
+  }
+
+  const [first, ...rest] = messages;
+  return [{ ...first, content: [summaryBlock, ...first.content] }, ...rest];
+}
+
+export default {
+  estimateTokens,
+  buildConversationHistory,
+  formatHistoryForSummary
+};
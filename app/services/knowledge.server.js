@@ -0,0 +1,184 @@
+/**
+ * Knowledge Service
+ * Templates each shop's policies, FAQ entries and brand notes into the system prompt
+ */
+import AppConfig from "./config.server";
+import { getKnowledgeProfile, saveKnowledgeProfile, listFaqEntries } from "../db.server";
+
+/**
+ * Admin API query for the store facts the assistant needs
+ */
+const STORE_KNOWLEDGE_QUERY = `#graphql
+  query StoreKnowledge {
+    shop {
+      name
+      currencyCode
+      shopPolicies {
+        type
+        title
+        body
+        url
+      }
+    }
+  }
+`;
+
+/**
+ * Placeholder replaced by the store knowledge; prompts without it get the knowledge appended
+ */
+const KNOWLEDGE_PLACEHOLDER = "store_knowledge";
+
+/**
+ * Pulls the store name, currency and policies from the Admin API into the knowledge profile
+ * @param {string} shop - The shop domain
+ * @param {Object} admin - Admin API context from authenticate.admin
+ * @returns {Promise<Object>} The saved profile
+ * @throws {Error} If the Admin API returns errors
+ */
+export async function syncStoreKnowledge(shop, admin) {
+  const response = await admin.graphql(STORE_KNOWLEDGE_QUERY);
+  const { data, errors } = await response.json();
+
+  if (errors?.length) {
+    throw new Error(errors.map((error) => error.message).join("; "));
+  }
+
+  const policies = (data.shop.shopPolicies || [])
+    .filter((policy) => AppConfig.knowledge.policyTypes.includes(policy.type))
+    .map((policy) => ({
+      type: policy.type,
+      title: policy.title,
+      body: htmlToText(policy.body || ""),
+      url: policy.url
+    }))
+    .filter((policy) => policy.body);
+
+  return saveKnowledgeProfile(shop, {
+    shopName: data.shop.name || "",
+    currency: data.shop.currencyCode || "",
+    policies,
+    policiesSyncedAt: new Date()
+  });
+}
+
+/**
+ * Loads the template variables and knowledge text of a shop.
+ * Missing or unreadable knowledge falls back to generic values so the chat keeps working.
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object>} Template `variables` and the rendered knowledge `text`
+ */
+export async function loadStoreKnowledge(shop) {
+  let profile = null;
+  let faqEntries = [];
+
+  if (shop) {
+    try {
+      [profile, faqEntries] = await Promise.all([getKnowledgeProfile(shop), listFaqEntries(shop)]);
+    } catch (error) {
+      console.error(`Error loading store knowledge for ${shop}:`, error);
+    }
+  }
+
+  const variables = {
+    shop_name: profile?.shopName || shop || "our store",
+    shop_domain: shop || "",
+    currency: profile?.currency || "the store's currency"
+  };
+
+  return {
+    variables,
+    text: formatStoreKnowledge(profile, faqEntries.slice(0, AppConfig.knowledge.maxFaqEntries))
+  };
+}
+
+/**
+ * Renders a prompt for a shop: replaces `{{variable}}` placeholders and places the
+ * store knowledge at `{{store_knowledge}}`, or after the prompt when it has no such placeholder.
+ * Unknown placeholders are left as they are.
+ * @param {string} content - The prompt content
+ * @param {Object} knowledge - The shop's knowledge from loadStoreKnowledge
+ * @returns {string} The rendered system prompt
+ */
+export function renderSystemPrompt(content, knowledge) {
+  const hasPlaceholder = new RegExp(`{{\\s*${KNOWLEDGE_PLACEHOLDER}\\s*}}`).test(content);
+  const values = { ...knowledge.variables, [KNOWLEDGE_PLACEHOLDER]: knowledge.text };
+
+  const rendered = content.replace(/{{\s*([a-z_]+)\s*}}/g, (placeholder, name) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? values[name] : placeholder
+  );
+
+  if (hasPlaceholder || !knowledge.text) {
+    return rendered;
+  }
+
+  return `${rendered}\n\n${knowledge.text}`;
+}
+
+/**
+ * Formats the knowledge profile and FAQ entries as a prompt section
+ * @param {Object|null} profile - The knowledge profile
+ * @param {Array} faqEntries - The FAQ entries
+ * @returns {string} The section, or an empty string if the shop has no knowledge yet
+ */
+export function formatStoreKnowledge(profile, faqEntries) {
+  const sections = [];
+
+  if (profile?.brandVoice) {
+    sections.push(`## Brand voice\n${profile.brandVoice.trim()}`);
+  }
+
+  for (const policy of profile?.policies || []) {
+    const body = policy.body.length > AppConfig.knowledge.policyMaxChars
+      ? `${policy.body.slice(0, AppConfig.knowledge.policyMaxChars)}…\nThe full policy is at ${policy.url}`
+      : policy.body;
+    sections.push(`## ${policy.title}\n${body}`);
+  }
+
+  if (faqEntries.length > 0) {
+    const entries = faqEntries.map((entry) => `Q: ${entry.question.trim()}\nA: ${entry.answer.trim()}`);
+    sections.push(`## Frequently asked questions\n${entries.join("\n\n")}`);
+  }
+
+  if (sections.length === 0) {
+    return "";
+  }
+
+  return [
+    "<store_knowledge>",
+    sections.join("\n\n"),
+    "</store_knowledge>",
+    "Answer questions about the store's policies from this knowledge. If it does not cover a question, say so and point the customer to the store's contact options instead of guessing."
+  ].join("\n");
+}
+
+/**
+ * Converts HTML, such as a policy body, to plain text
+ * @param {string} html - The HTML
+ * @returns {string} The text with blank lines between paragraphs and list items on their own lines
+ */
+export function htmlToText(html) {
+  return html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1\s*>/gi, "")
+    .replace(/<\s*br\s*\/?>/gi, "\n")
+    .replace(/<\/\s*(p|div|h[1-6]|ul|ol|table)\s*>/gi, "\n\n")
+    .replace(/<\/\s*(li|tr)\s*>/gi, "\n")
+    .replace(/<\s*li[^>]*>/gi, "- ")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+export default {
+  syncStoreKnowledge,
+  loadStoreKnowledge,
+  renderSystemPrompt,
+  formatStoreKnowledge,
+  htmlToText
+};
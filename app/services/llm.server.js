@@ -0,0 +1,41 @@
+/**
+ * LLM Provider Service
+ * Shared contract between createClaudeService and the provider adapters
+ *
+ * A provider exposes `streamTurn({ system, messages, tools, signal }, { onText, onContentBlock })`
+ * and resolves with `{ role, content, stop_reason, model, usage }`, where `content` uses
+ * Anthropic-style content blocks (`text`, `tool_use`) and `stop_reason` is one of STOP_REASONS.
+ * `usage` reports `input_tokens`, `output_tokens`, `cache_creation_input_tokens` and
+ * `cache_read_input_tokens`; input tokens exclude the cached ones.
+ * When `signal` aborts, the provider stops streaming and rejects.
+ */
+import AppConfig from "./config.server";
+
+/**
+ * Canonical stop reasons reported by every provider
+ */
+export const STOP_REASONS = {
+  endTurn: "end_turn",
+  toolUse: "tool_use",
+  maxTokens: "max_tokens"
+};
+
+/**
+ * Resolves which provider a shop should use
+ * @param {string} shop - The shop domain (optional)
+ * @returns {string} The provider name
+ */
+export function getProviderName(shop) {
+  const shopProviders = AppConfig.llm.shopProviders;
+
+  if (shop && shopProviders[shop]) {
+    return shopProviders[shop];
+  }
+
+  return AppConfig.llm.defaultProvider;
+}
+
+export default {
+  STOP_REASONS,
+  getProviderName
+};
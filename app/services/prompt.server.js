@@ -0,0 +1,99 @@
+/**
+ * Prompt Service
+ * Resolves the system prompts shops edit in the admin, seeded from app/prompts/prompts.json
+ */
+import AppConfig from "./config.server";
+import systemPrompts from "../prompts/prompts.json";
+import { listPrompts, createPrompt, getLatestPromptVersion } from "../db.server";
+
+/**
+ * Prompt keys are referenced from the theme block, so they must be short and URL-safe
+ */
+export const PROMPT_KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+/**
+ * Lists the prompts bundled with the app
+ * @returns {Array} Seed prompts with key, name, description and content
+ */
+export function getSeedPrompts() {
+  return Object.entries(systemPrompts.systemPrompts).map(([key, prompt]) => ({
+    key,
+    name: formatSeedName(key),
+    description: prompt.description || "",
+    content: prompt.content,
+    version: prompt.version
+  }));
+}
+
+/**
+ * Copies the bundled prompts a shop does not have yet into its prompt store
+ * @param {string} shop - The shop domain
+ * @returns {Promise<void>}
+ */
+export async function ensureSeedPrompts(shop) {
+  const existingKeys = new Set((await listPrompts(shop)).map((prompt) => prompt.key));
+
+  for (const seed of getSeedPrompts()) {
+    if (existingKeys.has(seed.key)) continue;
+
+    try {
+      await createPrompt(shop, {
+        key: seed.key,
+        name: seed.name,
+        description: seed.description,
+        content: seed.content,
+        note: `Bundled prompt ${seed.version}`
+      });
+    } catch (error) {
+      // Another request seeded it first
+      console.warn(`Could not seed prompt ${seed.key} for ${shop}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Resolves the system prompt for a key: the shop's live version, then the bundled
+ * prompt with that key, then the default prompt
+ * @param {string} shop - The shop domain (optional)
+ * @param {string} key - The prompt key sent by the theme block
+ * @returns {Promise<string>} The system prompt content
+ */
+export async function resolveSystemPrompt(shop, key) {
+  const defaultKey = AppConfig.api.defaultPromptType;
+  const wantedKey = key || defaultKey;
+
+  if (shop) {
+    try {
+      const version = await getLatestPromptVersion(shop, wantedKey);
+      if (version) return version.content;
+    } catch (error) {
+      console.error(`Error loading prompt ${wantedKey} for ${shop}, using the bundled prompt:`, error);
+    }
+  }
+
+  const bundled = systemPrompts.systemPrompts[wantedKey];
+  if (bundled) return bundled.content;
+
+  if (wantedKey !== defaultKey) {
+    return resolveSystemPrompt(shop, defaultKey);
+  }
+
+  return systemPrompts.systemPrompts[defaultKey].content;
+}
+
+/**
+ * Turns a bundled prompt key into a display name, e.g. "standardAssistant" into "Standard assistant"
+ * @param {string} key - The prompt key
+ * @returns {string} The display name
+ */
+function formatSeedName(key) {
+  const words = key.replace(/([a-z])([A-Z])/g, "$1 $2").toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+export default {
+  PROMPT_KEY_PATTERN,
+  getSeedPrompts,
+  ensureSeedPrompts,
+  resolveSystemPrompt
+};
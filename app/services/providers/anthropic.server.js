@@ -0,0 +1,139 @@
+/**
+ * Anthropic Provider
+ * LLM provider adapter backed by the official Anthropic SDK
+ */
+import { Anthropic } from "@anthropic-ai/sdk";
+import AppConfig from "../config.server";
+
+/**
+ * Creates an Anthropic provider instance
+ * @param {Object} options - Provider options
+ * @param {string} options.apiKey - Anthropic API key (optional override)
+ * @returns {Object} Provider implementing the streamTurn interface
+ */
+export function createAnthropicProvider({ apiKey } = {}) {
+  const resolvedKey = [
+    apiKey,
+    process.env.ANTHROPIC_API_KEY,
+    process.env.CLAUDE_API_KEY
+  ].find((key) => typeof key === "string" && key.trim().length > 0);
+
+  if (!resolvedKey) {
+    throw new Error("Anthropic API key is missing. Set ANTHROPIC_API_KEY in .env");
+  }
+
+  console.log("[Claude] Using Anthropic API key with length:", resolvedKey.trim().length);
+
+  // Configure the official Anthropic SDK with sensible network safety defaults
+  const anthropic = new Anthropic({
+    apiKey: resolvedKey.trim(),
+    maxRetries: 3,
+    timeout: 60_000
+  });
+
+  /**
+   * Streams a single model turn
+   * @param {Object} params - Turn parameters
+   * @param {string} params.system - System prompt
+   * @param {Array} params.messages - Conversation history in content block format
+   * @param {Array} params.tools - Available tools
+   * @param {AbortSignal} params.signal - Aborts the request (optional)
+   * @param {Object} handlers - Stream event handlers
+   * @param {Function} handlers.onText - Handles text chunks
+   * @param {Function} handlers.onContentBlock - Handles completed content blocks
+   * @returns {Promise<Object>} The final assistant message with a normalized stop_reason
+   */
+  const streamTurn = async ({ system, messages, tools, signal }, handlers = {}) => {
+    const candidateModels = [
+      AppConfig.api.defaultModel,
+      AppConfig.api.fallbackModel
+    ].filter(Boolean);
+
+    let stream;
+    let lastError;
+
+    for (const model of candidateModels) {
+      try {
+        stream = await anthropic.messages.stream({
+          model,
+          max_tokens: AppConfig.api.maxTokens,
+          system: withSystemCacheControl(system),
+          messages,
+          tools: tools && tools.length > 0 ? withToolsCacheControl(tools) : undefined
+        }, { signal });
+        // Successfully created stream
+        break;
+      } catch (err) {
+        lastError = err;
+        // Retry on model not found
+        const message = (err?.message || "").toLowerCase();
+        const isNotFound = message.includes("not_found") || message.includes("model");
+        if (!isNotFound || model === candidateModels[candidateModels.length - 1]) {
+          throw err;
+        }
+        console.warn(`[Claude] Model ${model} unavailable, retrying with fallback...`);
+      }
+    }
+
+    if (!stream && lastError) {
+      throw lastError;
+    }
+
+    if (handlers.onText) {
+      stream.on('text', handlers.onText);
+    }
+
+    if (handlers.onContentBlock) {
+      stream.on('contentBlock', handlers.onContentBlock);
+    }
+
+    const finalMessage = await stream.finalMessage();
+
+    // Anthropic stop reasons are the canonical ones, so no mapping is needed
+    return {
+      role: finalMessage.role,
+      content: finalMessage.content,
+      stop_reason: finalMessage.stop_reason,
+      model: finalMessage.model,
+      usage: {
+        input_tokens: finalMessage.usage?.input_tokens || 0,
+        output_tokens: finalMessage.usage?.output_tokens || 0,
+        cache_creation_input_tokens: finalMessage.usage?.cache_creation_input_tokens || 0,
+        cache_read_input_tokens: finalMessage.usage?.cache_read_input_tokens || 0
+      }
+    };
+  };
+
+  return {
+    name: "anthropic",
+    streamTurn
+  };
+}
+
+/**
+ * Marks the system prompt as a cache breakpoint, so the tools and system prompt
+ * are read from the prompt cache on the following model turns
+ * @param {string} system - System prompt
+ * @returns {Array|string|undefined} System content blocks, or the prompt unchanged when caching is off
+ */
+function withSystemCacheControl(system) {
+  if (!system || !AppConfig.api.promptCaching) return system;
+
+  return [{ type: "text", text: system, cache_control: { type: "ephemeral" } }];
+}
+
+/**
+ * Marks the last tool definition as a cache breakpoint, which caches the whole tool list
+ * @param {Array} tools - Tool definitions
+ * @returns {Array} The tools, the last one with cache control when caching is on
+ */
+function withToolsCacheControl(tools) {
+  if (!AppConfig.api.promptCaching) return tools;
+
+  const lastTool = tools[tools.length - 1];
+  return [...tools.slice(0, -1), { ...lastTool, cache_control: { type: "ephemeral" } }];
+}
+
+export default {
+  createAnthropicProvider
+};
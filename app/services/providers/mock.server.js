@@ -0,0 +1,134 @@
+/**
+ * Mock Provider
+ * Deterministic LLM provider that replays recorded turns from fixture files.
+ * Loaded on demand by claude.server.js and left out of production builds.
+ */
+import AppConfig from "../config.server";
+import { STOP_REASONS } from "../llm.server";
+
+/**
+ * Recorded fixtures bundled with the app, keyed by file name without extension
+ */
+const fixtureModules = import.meta.glob("../../fixtures/llm/*.json", { eager: true, import: "default" });
+const fixtures = Object.fromEntries(
+  Object.entries(fixtureModules).map(([path, fixture]) => [
+    path.split("/").pop().replace(/\.json$/, ""),
+    fixture
+  ])
+);
+
+/**
+ * Reply replayed for summary calls when a fixture records none
+ */
+const DEFAULT_SUMMARY = "The customer and the assistant talked earlier in this conversation.";
+
+/**
+ * Gets a recorded fixture by name
+ * @param {string} name - The fixture name
+ * @returns {Object} The fixture
+ * @throws {Error} If the fixture does not exist
+ */
+export function getMockFixture(name) {
+  const fixture = fixtures[name];
+
+  if (!fixture) {
+    throw new Error(`Mock LLM fixture "${name}" not found. Available: ${Object.keys(fixtures).join(", ")}`);
+  }
+
+  return fixture;
+}
+
+/**
+ * Lists the names of all recorded fixtures
+ * @returns {Array<string>} Fixture names
+ */
+export function listMockFixtures() {
+  return Object.keys(fixtures);
+}
+
+/**
+ * Creates a mock provider instance. Each instance replays the fixture from its first turn.
+ * @param {Object} options - Provider options
+ * @param {string} options.fixture - Fixture name override (optional)
+ * @param {string} options.purpose - "summary" replays the fixture's `summary` on every call
+ *   instead of its turns, so replays do not depend on when summaries run (optional)
+ * @returns {Object} Provider implementing the streamTurn interface
+ */
+export function createMockProvider({ fixture: fixtureOverride, purpose } = {}) {
+  const fixtureName = fixtureOverride || AppConfig.llm.mock.fixture;
+  const fixture = getMockFixture(fixtureName);
+  // Position of the next recorded turn
+  let cursor = 0;
+
+  console.log("[Mock] Replaying LLM fixture:", fixtureName);
+
+  /**
+   * Replays the next recorded turn
+   * @param {Object} params - Turn parameters (ignored apart from logging and the abort signal)
+   * @param {Object} handlers - Stream event handlers
+   * @param {Function} handlers.onText - Handles text chunks
+   * @param {Function} handlers.onContentBlock - Handles completed content blocks
+   * @returns {Promise<Object>} The recorded assistant message
+   */
+  const streamTurn = async ({ messages, signal }, handlers = {}) => {
+    const turn = purpose === "summary"
+      ? { text: fixture.summary || DEFAULT_SUMMARY, stop_reason: STOP_REASONS.endTurn }
+      : fixture.turns[cursor];
+
+    if (!turn) {
+      throw new Error(`Mock LLM fixture "${fixtureName}" has no turn ${cursor + 1} (history has ${messages.length} messages)`);
+    }
+
+    if (purpose !== "summary") {
+      cursor += 1;
+    }
+
+    const deltas = Array.isArray(turn.text) ? turn.text : (turn.text ? [turn.text] : []);
+    const content = [];
+
+    for (const delta of deltas) {
+      signal?.throwIfAborted();
+      if (handlers.onText) {
+        handlers.onText(delta);
+      }
+    }
+
+    signal?.throwIfAborted();
+
+    if (deltas.length > 0) {
+      content.push({ type: "text", text: deltas.join("") });
+    }
+
+    for (const toolCall of turn.tool_calls || []) {
+      content.push({
+        type: "tool_use",
+        id: toolCall.id,
+        name: toolCall.name,
+        input: toolCall.input || {}
+      });
+    }
+
+    if (handlers.onContentBlock) {
+      content.forEach((block) => handlers.onContentBlock(block));
+    }
+
+    return {
+      role: "assistant",
+      content,
+      stop_reason: turn.stop_reason || STOP_REASONS.endTurn,
+      model: `mock:${fixtureName}`,
+      usage: turn.usage || { input_tokens: 0, output_tokens: 0 }
+    };
+  };
+
+  return {
+    name: "mock",
+    streamTurn
+  };
+}
+
+export default {
+  createMockProvider,
+  getMockFixture,
+  listMockFixtures
+};
@@ -0,0 +1,324 @@
+/**
+ * OpenAI-compatible Provider
+ * LLM provider adapter for any server exposing the OpenAI chat completions API
+ */
+import AppConfig from "../config.server";
+import { STOP_REASONS } from "../llm.server";
+
+/**
+ * Maps OpenAI finish reasons to the canonical stop reasons
+ */
+const FINISH_REASON_MAP = {
+  stop: STOP_REASONS.endTurn,
+  tool_calls: STOP_REASONS.toolUse,
+  function_call: STOP_REASONS.toolUse,
+  length: STOP_REASONS.maxTokens
+};
+
+/**
+ * Creates an OpenAI-compatible provider instance
+ * @param {Object} options - Provider options
+ * @param {string} options.apiKey - API key (optional override)
+ * @param {string} options.baseUrl - Base URL of the API (optional override)
+ * @param {string} options.model - Model name (optional override)
+ * @returns {Object} Provider implementing the streamTurn interface
+ */
+export function createOpenAIProvider({ apiKey, baseUrl, model } = {}) {
+  const settings = AppConfig.llm.openai;
+  const resolvedKey = apiKey || settings.apiKey;
+  const resolvedBaseUrl = (baseUrl || settings.baseUrl).replace(/\/+$/, "");
+  const resolvedModel = model || settings.model;
+
+  console.log("[OpenAI] Using OpenAI-compatible endpoint:", resolvedBaseUrl, "model:", resolvedModel);
+
+  /**
+   * Streams a single model turn
+   * @param {Object} params - Turn parameters
+   * @param {string} params.system - System prompt
+   * @param {Array} params.messages - Conversation history in content block format
+   * @param {Array} params.tools - Available tools
+   * @param {AbortSignal} params.signal - Aborts the request (optional)
+   * @param {Object} handlers - Stream event handlers
+   * @param {Function} handlers.onText - Handles text chunks
+   * @param {Function} handlers.onContentBlock - Handles completed content blocks
+   * @returns {Promise<Object>} The final assistant message with a normalized stop_reason
+   */
+  const streamTurn = async ({ system, messages, tools, signal }, handlers = {}) => {
+    const headers = {
+      "Content-Type": "application/json",
+      "Accept": "text/event-stream"
+    };
+
+    if (resolvedKey) {
+      headers["Authorization"] = `Bearer ${resolvedKey}`;
+    }
+
+    const requestBody = {
+      model: resolvedModel,
+      max_tokens: AppConfig.api.maxTokens,
+      stream: true,
+      // Ask for token usage in the last chunk
+      stream_options: { include_usage: true },
+      messages: toOpenAIMessages(system, messages)
+    };
+
+    if (tools && tools.length > 0) {
+      requestBody.tools = tools.map(toOpenAITool);
+    }
+
+    const response = await fetch(`${resolvedBaseUrl}/chat/completions`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(requestBody),
+      signal
+    });
+
+    if (!response.ok || !response.body) {
+      const errorText = await response.text().catch(() => "");
+      const error = new Error(`OpenAI-compatible request failed: ${response.status} ${errorText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    let text = "";
+    let finishReason = null;
+    let usage;
+    const toolCalls = [];
+
+    await readEventStream(response.body, (data) => {
+      if (data.usage) {
+        // Prompt tokens include the cached ones; report them apart like Anthropic does
+        const cachedTokens = data.usage.prompt_tokens_details?.cached_tokens || 0;
+        usage = {
+          input_tokens: (data.usage.prompt_tokens || 0) - cachedTokens,
+          output_tokens: data.usage.completion_tokens || 0,
+          cache_creation_input_tokens: 0,
+          cache_read_input_tokens: cachedTokens
+        };
+      }
+
+      const choice = data.choices && data.choices[0];
+      if (!choice) return;
+
+      const delta = choice.delta || {};
+
+      if (typeof delta.content === "string" && delta.content.length > 0) {
+        text += delta.content;
+        if (handlers.onText) {
+          handlers.onText(delta.content);
+        }
+      }
+
+      // Tool call arguments arrive in fragments keyed by index
+      for (const toolCallDelta of delta.tool_calls || []) {
+        const index = toolCallDelta.index ?? toolCalls.length;
+        const toolCall = toolCalls[index] || (toolCalls[index] = { id: "", name: "", arguments: "" });
+
+        if (toolCallDelta.id) toolCall.id = toolCallDelta.id;
+        if (toolCallDelta.function?.name) toolCall.name += toolCallDelta.function.name;
+        if (toolCallDelta.function?.arguments) toolCall.arguments += toolCallDelta.function.arguments;
+      }
+
+      if (choice.finish_reason) {
+        finishReason = choice.finish_reason;
+      }
+    });
+
+    const content = [];
+
+    if (text) {
+      const textBlock = { type: "text", text };
+      content.push(textBlock);
+
+      if (handlers.onContentBlock) {
+        handlers.onContentBlock(textBlock);
+      }
+    }
+
+    for (const toolCall of toolCalls.filter(Boolean)) {
+      content.push({
+        type: "tool_use",
+        id: toolCall.id || `call_${Math.random().toString(36).substring(2, 10)}`,
+        name: toolCall.name,
+        input: parseToolArguments(toolCall.arguments)
+      });
+    }
+
+    // Some servers report "stop" even when tool calls were emitted
+    const hasToolCalls = content.some((block) => block.type === "tool_use");
+    const stopReason = hasToolCalls
+      ? STOP_REASONS.toolUse
+      : FINISH_REASON_MAP[finishReason] || STOP_REASONS.endTurn;
+
+    return {
+      role: "assistant",
+      content,
+      stop_reason: stopReason,
+      model: resolvedModel,
+      usage
+    };
+  };
+
+  return {
+    name: "openai",
+    streamTurn
+  };
+}
+
+/**
+ * Converts content block messages into OpenAI chat messages
+ * @param {string} system - System prompt
+ * @param {Array} messages - Conversation history in content block format
+ * @returns {Array} OpenAI chat messages
+ */
+function toOpenAIMessages(system, messages) {
+  const result = [];
+
+  if (system) {
+    result.push({ role: "system", content: system });
+  }
+
+  for (const message of messages) {
+    const blocks = Array.isArray(message.content)
+      ? message.content
+      : [{ type: "text", text: String(message.content ?? "") }];
+
+    if (message.role === "assistant") {
+      const text = blocks
+        .filter((block) => block.type === "text")
+        .map((block) => block.text)
+        .join("");
+      const toolCalls = blocks
+        .filter((block) => block.type === "tool_use")
+        .map((block) => ({
+          id: block.id,
+          type: "function",
+          function: {
+            name: block.name,
+            arguments: JSON.stringify(block.input || {})
+          }
+        }));
+
+      result.push({
+        role: "assistant",
+        content: text || null,
+        ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {})
+      });
+      continue;
+    }
+
+    // Tool results must directly follow the assistant message that requested them
+    for (const block of blocks.filter((block) => block.type === "tool_result")) {
+      result.push({
+        role: "tool",
+        tool_call_id: block.tool_use_id,
+        content: stringifyToolResult(block.content)
+      });
+    }
+
+    const text = blocks
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("");
+
+    if (text) {
+      result.push({ role: "user", content: text });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Converts an MCP tool definition into an OpenAI function tool
+ * @param {Object} tool - Tool with name, description and input_schema
+ * @returns {Object} OpenAI tool definition
+ */
+function toOpenAITool(tool) {
+  return {
+    type: "function",
+    function: {
+      name: tool.name,
+      description: tool.description || "",
+      parameters: tool.input_schema || { type: "object", properties: {} }
+    }
+  };
+}
+
+/**
+ * Flattens tool result content into a string
+ * @param {string|Array|Object} content - Tool result content
+ * @returns {string} String content
+ */
+function stringifyToolResult(content) {
+  if (typeof content === "string") {
+    return content;
+  }
+
+  if (Array.isArray(content)) {
+    return content
+      .map((item) => (item && item.type === "text" ? item.text : JSON.stringify(item)))
+      .join("\n");
+  }
+
+  return JSON.stringify(content ?? "");
+}
+
+/**
+ * Parses streamed tool call arguments
+ * @param {string} args - JSON encoded arguments
+ * @returns {Object} Parsed arguments or an empty object
+ */
+function parseToolArguments(args) {
+  if (!args) return {};
+
+  try {
+    return JSON.parse(args);
+  } catch (error) {
+    console.warn("[OpenAI] Could not parse tool arguments:", args);
+    return {};
+  }
+}
+
+/**
+ * Reads a server-sent events body and invokes a callback for each JSON payload
+ * @param {ReadableStream} body - The response body
+ * @param {Function} onData - Called with each parsed data payload
+ */
+async function readEventStream(body, onData) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop() || "";
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith("data:")) continue;
+
+      const payload = trimmed.slice(5).trim();
+      if (!payload || payload === "[DONE]") continue;
+
+      let data;
+      try {
+        data = JSON.parse(payload);
+      } catch (error) {
+        console.error("[OpenAI] Error parsing stream payload:", error, payload);
+        continue;
+      }
+
+      // Handler errors, e.g. writing to a closed stream, reach the caller
+      onData(data);
+    }
+  }
+}
+
+export default {
+  createOpenAIProvider
+};
@@ -0,0 +1,185 @@
+/**
+ * Rate Limit Service
+ * Limits how many chat messages a conversation, IP address and shop can send
+ */
+import AppConfig from "./config.server";
+import {
+  getRateLimitCount,
+  incrementRateLimitCount,
+  deleteExpiredRateLimitCounts
+} from "../db.server";
+
+/**
+ * Creates a store that keeps rate limit counters in this process.
+ * Each instance counts on its own, so the limits apply per instance.
+ * @returns {Object} Store with getCount and increment
+ */
+export function createMemoryRateLimitStore() {
+  const counters = new Map();
+
+  /**
+   * Drops counters whose windows are over
+   */
+  const purgeExpired = () => {
+    const now = Date.now();
+    for (const [counterKey, counter] of counters) {
+      if (counter.expiresAt <= now) counters.delete(counterKey);
+    }
+  };
+
+  return {
+    async getCount(key, windowStart) {
+      return counters.get(`${key}|${windowStart}`)?.count || 0;
+    },
+    async increment(key, windowStart, expiresAt) {
+      // Keep the map bounded when many visitors come and go
+      if (counters.size >= AppConfig.rateLimits.maxMemoryCounters) {
+        purgeExpired();
+      }
+
+      const counterKey = `${key}|${windowStart}`;
+      const counter = counters.get(counterKey) || { count: 0, expiresAt };
+      counter.count += 1;
+      counters.set(counterKey, counter);
+      return counter.count;
+    }
+  };
+}
+
+/**
+ * Creates a store that keeps rate limit counters in the database, shared by all instances
+ * @returns {Object} Store with getCount and increment
+ */
+export function createDatabaseRateLimitStore() {
+  let lastCleanup = 0;
+
+  return {
+    async getCount(key, windowStart) {
+      return getRateLimitCount(key, new Date(windowStart));
+    },
+    async increment(key, windowStart, expiresAt) {
+      const now = Date.now();
+      if (now - lastCleanup > AppConfig.rateLimits.cleanupIntervalMs) {
+        lastCleanup = now;
+        await deleteExpiredRateLimitCounts(new Date(now));
+      }
+
+      return incrementRateLimitCount(key, new Date(windowStart), new Date(expiresAt));
+    }
+  };
+}
+
+/**
+ * Store factories keyed by AppConfig.rateLimits.store
+ */
+const STORE_FACTORIES = {
+  memory: createMemoryRateLimitStore,
+  database: createDatabaseRateLimitStore
+};
+
+/**
+ * Creates a rate limiter with sliding windows. Each window's count is kept per fixed
+ * window; the previous window counts in proportion to how much of it still overlaps.
+ * @param {Object} options - Limiter options
+ * @param {Object} options.store - Counter store (optional; defaults to AppConfig.rateLimits.store)
+ * @param {Object} options.limits - Limit and window per scope (optional; defaults to AppConfig.rateLimits.limits)
+ * @returns {Object} Rate limiter with a consume method
+ */
+export function createRateLimiter({ store, limits = AppConfig.rateLimits.limits } = {}) {
+  let resolvedStore = store;
+
+  if (!resolvedStore) {
+    const createStore = STORE_FACTORIES[AppConfig.rateLimits.store];
+    if (!createStore) {
+      throw new Error(`Unknown rate limit store "${AppConfig.rateLimits.store}". Check RATE_LIMIT_STORE in .env`);
+    }
+    resolvedStore = createStore();
+  }
+
+  /**
+   * Checks one scope's window
+   * @param {string} scope - The scope name
+   * @param {string} value - The limited subject, e.g. the IP address
+   * @param {number} now - The current time in milliseconds
+   * @returns {Promise<Object>} The scope's counter key and window, and whether it is exceeded
+   */
+  const checkScope = async (scope, value, now) => {
+    const { limit, windowMs } = limits[scope];
+    const key = `${scope}:${value}`;
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+
+    const [current, previous] = await Promise.all([
+      resolvedStore.getCount(key, windowStart),
+      resolvedStore.getCount(key, windowStart - windowMs)
+    ]);
+
+    const previousWeight = 1 - (now - windowStart) / windowMs;
+    const excess = previous * previousWeight + current + 1 - limit;
+
+    if (excess <= 0) {
+      return { scope, key, windowStart, windowMs, exceeded: false };
+    }
+
+    // The previous window's share shrinks over time; otherwise wait for the next window
+    const retryAfterMs = previous > 0 && current + 1 <= limit
+      ? Math.ceil((excess / previous) * windowMs)
+      : windowStart + windowMs - now;
+
+    return { scope, key, windowStart, windowMs, exceeded: true, retryAfterMs };
+  };
+
+  /**
+   * Counts a message against every scope, unless one of them is exhausted
+   * @param {Object} subjects - Limited subjects by scope, e.g. { conversation, ip, shop }.
+   *   Scopes without a subject or with a limit of 0 are skipped.
+   * @returns {Promise<Object>} `{ allowed: true }`, or `{ allowed: false, scope, retryAfterMs }`
+   */
+  const consume = async (subjects) => {
+    const now = Date.now();
+    const scopes = Object.keys(subjects).filter((scope) => subjects[scope] && limits[scope]?.limit > 0);
+
+    const checks = await Promise.all(scopes.map((scope) => checkScope(scope, subjects[scope], now)));
+
+    const exceeded = checks.find((check) => check.exceeded);
+    if (exceeded) {
+      return { allowed: false, scope: exceeded.scope, retryAfterMs: exceeded.retryAfterMs };
+    }
+
+    // Counters stay until the window after theirs is over
+    await Promise.all(checks.map((check) =>
+      resolvedStore.increment(check.key, check.windowStart, check.windowStart + 2 * check.windowMs)
+    ));
+
+    return { allowed: true };
+  };
+
+  return {
+    consume
+  };
+}
+
+/**
+ * Gets the client IP address of a storefront request.
+ * The app proxy and reverse proxies append it to X-Forwarded-For. Clients can send the header
+ * with made-up entries, so the IP is taken from the entry added by the outermost trusted proxy
+ * (`AppConfig.rateLimits.trustedProxies` entries from the right).
+ * @param {Request} request - The request
+ * @param {number} trustedProxies - Proxies that append to the header (optional override)
+ * @returns {string|null} The IP address, or null if unknown
+ */
+export function getClientIp(request, trustedProxies = AppConfig.rateLimits.trustedProxies) {
+  const forwardedFor = request.headers.get("X-Forwarded-For");
+  if (forwardedFor) {
+    const entries = forwardedFor.split(",").map((entry) => entry.trim());
+    return entries[Math.max(0, entries.length - trustedProxies)] || null;
+  }
+
+  return request.headers.get("X-Real-IP") || null;
+}
+
+export default {
+  createMemoryRateLimitStore,
+  createDatabaseRateLimitStore,
+  createRateLimiter,
+  getClientIp
+};
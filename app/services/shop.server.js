@@ -0,0 +1,128 @@
+/**
+ * Shop Service
+ * Resolves which shop a storefront request belongs to
+ */
+import { isShopInstalled } from "../db.server";
+import AppConfig from "./config.server";
+
+/**
+ * Permanent *.myshopify.com domains, as sent by the chat widget
+ */
+const SHOP_DOMAIN_PATTERN = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/;
+
+/**
+ * Resolves the shop for a storefront request.
+ * Requests must arrive through the Shopify App Proxy; the shop is taken from the
+ * signed query string and must have installed the app. Unsigned requests are rejected
+ * unless the development bypass is enabled.
+ * @param {Request} request - The request object
+ * @returns {Promise<string|null>} The shop domain, or null if it cannot be verified
+ */
+export async function resolveStorefrontShop(request) {
+  if (AppConfig.appProxy.devBypass) {
+    return resolveUnsignedShop(request);
+  }
+
+  // Loaded lazily so offline tooling in bypass mode does not need Shopify credentials
+  const { authenticate } = await import("../shopify.server");
+
+  try {
+    const { session } = await authenticate.public.appProxy(request);
+    return session?.shop || null;
+  } catch (error) {
+    // Invalid or missing signatures are thrown as 400 responses
+    if (error instanceof Response) {
+      console.warn("Rejected storefront request without a valid app proxy signature");
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Gets CORS headers for storefront routes.
+ * Proxied requests are same-origin, so cross-origin access is only granted in bypass mode.
+ * @param {Request} request - The request object
+ * @param {Object} options - Header options
+ * @param {string} options.methods - Allowed methods
+ * @param {string} options.headers - Allowed request headers
+ * @returns {Object} CORS headers object (empty unless the bypass is enabled)
+ */
+export function getStorefrontCorsHeaders(request, { methods = "GET, POST, OPTIONS", headers } = {}) {
+  if (!AppConfig.appProxy.devBypass) {
+    return {};
+  }
+
+  return {
+    "Access-Control-Allow-Origin": request.headers.get("Origin") || "*",
+    "Access-Control-Allow-Methods": methods,
+    "Access-Control-Allow-Headers": headers ||
+      request.headers.get("Access-Control-Request-Headers") ||
+      "Content-Type, Accept, X-Shopify-Shop-Id, X-Shopify-Shop-Domain, X-Conversation-Token, Last-Event-ID",
+    "Access-Control-Allow-Credentials": "true",
+    "Access-Control-Max-Age": "86400" // 24 hours
+  };
+}
+
+/**
+ * Gets the storefront origin a request came from, e.g. to notify the widget after sign-in.
+ * Falls back to the shop's permanent domain when the browser did not send an Origin.
+ * @param {Request} request - The request object
+ * @param {string} shop - The verified shop domain
+ * @returns {string} The storefront origin
+ */
+export function getStorefrontOrigin(request, shop) {
+  try {
+    const origin = new URL(request.headers.get("Origin") || "");
+    if (origin.protocol === "https:" || origin.protocol === "http:") {
+      return origin.origin;
+    }
+  } catch (error) {
+    // Missing or opaque origin
+  }
+
+  return `https://${shop}`;
+}
+
+/**
+ * Resolves the shop from the X-Shopify-Shop-Domain header in development bypass mode.
+ * The claimed domain must still belong to a shop that has installed the app.
+ * @param {Request} request - The request object
+ * @returns {Promise<string|null>} The shop domain, or null if it cannot be verified
+ */
+async function resolveUnsignedShop(request) {
+  const shop = getClaimedShopDomain(request);
+
+  if (!shop || !SHOP_DOMAIN_PATTERN.test(shop)) {
+    return null;
+  }
+
+  // The offline replay store has no installation
+  if (AppConfig.mcp.useMock && shop === new URL(AppConfig.mcp.mockShopUrl).hostname) {
+    return shop;
+  }
+
+  return (await isShopInstalled(shop)) ? shop : null;
+}
+
+/**
+ * Gets the shop domain a storefront request claims to come from
+ * @param {Request} request - The request object
+ * @returns {string} The shop domain, or an empty string if unknown
+ */
+function getClaimedShopDomain(request) {
+  const shopDomain = request.headers.get("X-Shopify-Shop-Domain");
+  if (shopDomain) return shopDomain.trim().toLowerCase();
+
+  try {
+    return new URL(request.headers.get("Origin") || "").hostname;
+  } catch (error) {
+    return "";
+  }
+}
+
+export default {
+  resolveStorefrontShop,
+  getStorefrontCorsHeaders,
+  getStorefrontOrigin
+};
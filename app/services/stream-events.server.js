@@ -0,0 +1,133 @@
+/**
+ * Stream Events Service
+ * Defines the server-sent events of the chat stream and validates them
+ * (documented in docs/sse-events.md)
+ */
+
+/**
+ * Version of the event schema, sent with the `id` event.
+ * Adding events or optional fields keeps the version; renaming or removing them bumps it.
+ */
+export const STREAM_SCHEMA_VERSION = 1;
+
+/**
+ * Fields of each event type. Every field is required unless marked optional.
+ */
+export const STREAM_EVENTS = {
+  id: {
+    conversation_id: { type: "string" },
+    conversation_token: { type: "string" },
+    schema_version: { type: "number" }
+  },
+  chunk: {
+    chunk: { type: "string" }
+  },
+  content_block_complete: {
+    content_block: { type: "object" }
+  },
+  message_complete: {},
+  new_message: {},
+  tool_call_started: {
+    id: { type: "string" },
+    name: { type: "string" },
+    args: { type: "object" }
+  },
+  tool_call_finished: {
+    id: { type: "string" },
+    name: { type: "string" },
+    status: { type: "string", values: ["success", "error", "auth_required"] },
+    duration_ms: { type: "number" },
+    summary: { type: "string" }
+  },
+  auth_required: {
+    url: { type: "string" },
+    tool_name: { type: "string", optional: true }
+  },
+  usage: {
+    input_tokens: { type: "number" },
+    output_tokens: { type: "number" },
+    cache_creation_input_tokens: { type: "number", optional: true },
+    cache_read_input_tokens: { type: "number", optional: true },
+    model: { type: "string", optional: true }
+  },
+  product_results: {
+    products: { type: "array" }
+  },
+  citations: {
+    citations: { type: "array" }
+  },
+  end_turn: {},
+  cancelled: {},
+  error: {
+    error: { type: "string" },
+    details: { type: "string", optional: true },
+    status: { type: "number", optional: true }
+  },
+  rate_limit_exceeded: {
+    error: { type: "string" },
+    details: { type: "string", optional: true },
+    scope: { type: "string", optional: true, values: ["conversation", "ip", "shop", "ipConversations", "shopConversations", "budget"] },
+    retry_after_ms: { type: "number", optional: true }
+  },
+  // Sent on the auth channel (/auth/events), not the chat stream
+  auth_status: {
+    status: { type: "string", values: ["authorized", "denied", "error", "pending"] }
+  }
+};
+
+/**
+ * Validates an event against the schema
+ * @param {Object} event - The event payload
+ * @returns {Array<string>} Validation errors; empty if the event is valid
+ */
+export function validateStreamEvent(event) {
+  if (!event || typeof event !== "object") {
+    return ["event must be an object"];
+  }
+
+  const fields = STREAM_EVENTS[event.type];
+  if (!fields) {
+    return [`unknown event type "${event.type}"`];
+  }
+
+  const errors = [];
+
+  for (const [name, spec] of Object.entries(fields)) {
+    const value = event[name];
+
+    if (value === undefined || value === null) {
+      if (!spec.optional) errors.push(`${event.type}.${name} is required`);
+      continue;
+    }
+
+    if (getValueType(value) !== spec.type) {
+      errors.push(`${event.type}.${name} must be of type ${spec.type}`);
+    } else if (spec.values && !spec.values.includes(value)) {
+      errors.push(`${event.type}.${name} must be one of ${spec.values.join(", ")}`);
+    }
+  }
+
+  for (const name of Object.keys(event)) {
+    if (name !== "type" && !fields[name]) {
+      errors.push(`${event.type}.${name} is not part of the schema`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Gets the schema type of a value
+ * @param {*} value - The value
+ * @returns {string} string, number, boolean, array or object
+ */
+function getValueType(value) {
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+export default {
+  STREAM_SCHEMA_VERSION,
+  STREAM_EVENTS,
+  validateStreamEvent
+};
@@ -0,0 +1,192 @@
+/**
+ * Stream Turns Service
+ * Buffers the events of each chat turn so clients can reconnect with Last-Event-ID
+ */
+import crypto from "crypto";
+import { EventEmitter } from "node:events";
+import AppConfig from "./config.server";
+
+/**
+ * Latest turn per conversation. Turns live in this process only; a client that
+ * reconnects to another instance finds nothing to resume and reloads the history.
+ */
+const turns = new Map();
+
+/**
+ * Emitter shared by the chat stream that records events and the streams following it
+ */
+const turnEvents = new EventEmitter();
+// One listener per resumed stream
+turnEvents.setMaxListeners(0);
+
+/**
+ * Starts buffering a new turn, replacing the conversation's previous one.
+ * A previous turn that is still running is cancelled.
+ * @param {string} shop - The shop domain that owns the conversation
+ * @param {string} conversationId - The conversation ID
+ * @returns {Object} The turn; its `signal` aborts when the turn is cancelled
+ */
+export function startStreamTurn(shop, conversationId) {
+  const abortController = new AbortController();
+  const turn = {
+    key: getTurnKey(shop, conversationId),
+    id: crypto.randomBytes(6).toString("base64url"),
+    sequence: 0,
+    events: [],
+    finished: false,
+    abortController,
+    signal: abortController.signal
+  };
+
+  const previousTurn = turns.get(turn.key);
+  if (previousTurn && !previousTurn.finished) {
+    previousTurn.abortController.abort();
+  }
+
+  turns.set(turn.key, turn);
+  return turn;
+}
+
+/**
+ * Cancels the running turn of a conversation
+ * @param {string} shop - The shop domain that owns the conversation
+ * @param {string} conversationId - The conversation ID
+ * @returns {boolean} True if a running turn was cancelled
+ */
+export function cancelStreamTurn(shop, conversationId) {
+  const turn = turns.get(getTurnKey(shop, conversationId));
+  if (!turn || turn.finished || turn.signal.aborted) return false;
+
+  turn.abortController.abort();
+  return true;
+}
+
+/**
+ * Gets the latest turn of a conversation
+ * @param {string} shop - The shop domain that owns the conversation
+ * @param {string} conversationId - The conversation ID
+ * @returns {Object|null} The turn, or null if none is buffered
+ */
+export function getStreamTurn(shop, conversationId) {
+  return turns.get(getTurnKey(shop, conversationId)) || null;
+}
+
+/**
+ * Records an event of a turn and assigns its id
+ * @param {Object} turn - The turn
+ * @param {Object} data - The event payload
+ * @returns {Object} The event with its id and data
+ */
+export function recordTurnEvent(turn, data) {
+  turn.sequence += 1;
+  const event = { id: `${turn.id}.${turn.sequence}`, sequence: turn.sequence, data };
+
+  turn.events.push(event);
+  if (turn.events.length > AppConfig.streams.maxBufferedEvents) {
+    turn.events.shift();
+  }
+
+  turnEvents.emit(turn.id, event);
+  return event;
+}
+
+/**
+ * Marks a turn as finished and drops it after the retention period
+ * @param {Object} turn - The turn
+ */
+export function finishStreamTurn(turn) {
+  if (turn.finished) return;
+
+  turn.finished = true;
+  turnEvents.emit(`${turn.id}:finished`);
+
+  const timer = setTimeout(() => {
+    if (turns.get(turn.key) === turn) {
+      turns.delete(turn.key);
+    }
+  }, AppConfig.streams.turnRetentionMs);
+  timer.unref?.();
+}
+
+/**
+ * Checks whether the events a client missed are still buffered
+ * @param {Object} turn - The turn
+ * @param {string|null} lastEventId - The last event id the client received
+ * @returns {boolean} True if the client can resume from its last event
+ */
+export function canResumeStreamTurn(turn, lastEventId) {
+  return getMissedEvents(turn, lastEventId) !== null;
+}
+
+/**
+ * Replays the events a client missed and follows the turn until it finishes
+ * @param {Object} turn - The turn
+ * @param {string|null} lastEventId - The last event id the client received
+ * @param {Function} listener - Called with each missed and new event
+ * @param {AbortSignal} signal - Aborted when the client disconnects
+ * @returns {Promise<boolean>} True once the turn finished; false if the client left
+ *   or the missed events are no longer buffered
+ */
+export function followStreamTurn(turn, lastEventId, listener, signal) {
+  const missed = getMissedEvents(turn, lastEventId);
+  if (!missed) return Promise.resolve(false);
+
+  missed.forEach((event) => listener(event));
+
+  if (turn.finished) return Promise.resolve(true);
+
+  return new Promise((resolve) => {
+    const finish = (finished) => {
+      turnEvents.off(turn.id, listener);
+      turnEvents.off(`${turn.id}:finished`, onFinished);
+      signal?.removeEventListener("abort", onAbort);
+      resolve(finished);
+    };
+    const onFinished = () => finish(true);
+    const onAbort = () => finish(false);
+
+    turnEvents.on(turn.id, listener);
+    turnEvents.once(`${turn.id}:finished`, onFinished);
+    signal?.addEventListener("abort", onAbort);
+  });
+}
+
+/**
+ * Gets the buffered events after the client's last event
+ * @param {Object} turn - The turn
+ * @param {string|null} lastEventId - The last event id the client received
+ * @returns {Array|null} The missed events, or null if some were already dropped
+ */
+function getMissedEvents(turn, lastEventId) {
+  const separator = (lastEventId || "").lastIndexOf(".");
+  const sameTurn = separator > 0 && lastEventId.slice(0, separator) === turn.id;
+  // Clients that never saw this turn get all of it
+  const lastSequence = sameTurn ? Number(lastEventId.slice(separator + 1)) || 0 : 0;
+
+  const firstBuffered = turn.events[0]?.sequence ?? turn.sequence + 1;
+  if (firstBuffered > lastSequence + 1) {
+    return null;
+  }
+
+  return turn.events.filter((event) => event.sequence > lastSequence);
+}
+
+/**
+ * Gets the key of a conversation's turn
+ * @param {string} shop - The shop domain
+ * @param {string} conversationId - The conversation ID
+ * @returns {string} The turn key
+ */
+function getTurnKey(shop, conversationId) {
+  return `${shop}|${conversationId}`;
+}
+
+export default {
+  startStreamTurn,
+  getStreamTurn,
+  cancelStreamTurn,
+  recordTurnEvent,
+  finishStreamTurn,
+  canResumeStreamTurn,
+  followStreamTurn
+};
@@ -2,27 +2,89 @@
  * Streaming Service
  * Provides utilities for handling server-sent events (SSE) streams
  */
+import AppConfig from "./config.server";
+import { validateStreamEvent } from "./stream-events.server";
+import { recordTurnEvent, finishStreamTurn } from "./stream-turns.server";
+
+/**
+ * Headers for server-sent event responses.
+ * Reverse proxies and CDNs must neither buffer nor compress the stream.
+ */
+export const SSE_HEADERS = {
+  "Content-Type": "text/event-stream",
+  "Cache-Control": "no-cache, no-transform",
+  "Connection": "keep-alive",
+  "X-Accel-Buffering": "no"
+};
 
 /**
  * Creates a StreamManager to handle SSE streams with proper backpressure
  * @param {TextEncoder} encoder - A TextEncoder instance
  * @param {ReadableStreamDefaultController} controller - The stream controller
+ * @param {Object} options - Stream options
+ * @param {Object} options.turn - Turn that buffers the events for resuming clients (optional)
+ * @param {AbortSignal} options.signal - Aborted when the client cancels the request (optional)
  * @returns {Object} StreamManager with utility methods for handling streaming
  */
-export function createStreamManager(encoder, controller) {
+export function createStreamManager(encoder, controller, { turn = null, signal = null } = {}) {
+  // Set once the client disconnects; buffered turns keep recording events
+  let detached = false;
+
   /**
-   * Send a data message to the client
-   * @param {Object} data - Data to send
+   * Write raw text to the client
+   * @param {string} text - The SSE text
    */
-  const sendMessage = (data) => {
+  const write = (text) => {
+    if (detached) return;
+
     try {
-      const text = `data: ${JSON.stringify(data)}\n\n`;
       controller.enqueue(encoder.encode(text));
     } catch (error) {
       console.error('Error sending stream message:', error);
     }
   };
 
+  /**
+   * Write an event frame to the client
+   * @param {Object} data - The event payload
+   * @param {string} id - The event id (optional)
+   */
+  const writeFrame = (data, id) => {
+    write(`${id ? `id: ${id}\n` : ''}data: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Comment lines keep idle connections open during long tool calls; clients ignore them
+  const heartbeat = setInterval(() => write(': heartbeat\n\n'), AppConfig.streams.heartbeatIntervalMs);
+  heartbeat.unref?.();
+
+  /**
+   * Send a data message to the client
+   * Events that do not match the stream schema are logged and dropped.
+   * @param {Object} data - Data to send
+   */
+  const sendMessage = (data) => {
+    const errors = validateStreamEvent(data);
+    if (errors.length > 0) {
+      console.error('Dropping invalid stream event:', errors.join('; '));
+      return;
+    }
+
+    if (turn) {
+      const event = recordTurnEvent(turn, data);
+      writeFrame(event.data, event.id);
+    } else {
+      writeFrame(data);
+    }
+  };
+
+  /**
+   * Send an event recorded by a turn, keeping its id
+   * @param {Object} event - The recorded event
+   */
+  const sendEvent = (event) => {
+    writeFrame(event.data, event.id);
+  };
+
   /**
    * Send an error message to the client
    * @param {Object} error - Error object
@@ -38,6 +100,10 @@ export function createStreamManager(encoder, controller) {
    * Close the stream
    */
   const closeStream = () => {
+    clearInterval(heartbeat);
+    if (turn) finishStreamTurn(turn);
+    if (detached) return;
+
     try {
       controller.close();
     } catch (error) {
@@ -45,11 +111,25 @@ export function createStreamManager(encoder, controller) {
     }
   };
 
+  /**
+   * Stop writing to the client after it disconnects
+   */
+  const detach = () => {
+    detached = true;
+    clearInterval(heartbeat);
+  };
+
   /**
    * Handle streaming errors by sending appropriate error messages
    * @param {Error} error - The error that occurred
    */
   const handleStreamingError = (error) => {
+    if (signal?.aborted) {
+      console.log('Streaming request cancelled by the client');
+      sendMessage({ type: 'cancelled' });
+      return;
+    }
+
     console.error('Error processing streaming request:', error);
 
     const status = error?.status;
@@ -78,9 +158,12 @@ export function createStreamManager(encoder, controller) {
   };
 
   return {
+    signal,
     sendMessage,
+    sendEvent,
     sendError,
     closeStream,
+    detach,
     handleStreamingError
   };
 }
@@ -88,15 +171,18 @@ export function createStreamManager(encoder, controller) {
 /**
  * Creates a ReadableStream for SSE
  * @param {Function} streamHandler - Async function that handles the stream
+ * @param {Object} options - Stream options passed to createStreamManager
  * @returns {ReadableStream} A readable stream for SSE
  */
-export function createSseStream(streamHandler) {
+export function createSseStream(streamHandler, options = {}) {
   const encoder = new TextEncoder();
-  
+  let streamManager;
+
   return new ReadableStream({
     async start(controller) {
-      const streamManager = createStreamManager(encoder, controller);
-      
+      streamManager = createStreamManager(encoder, controller, options);
+
+      // The handler keeps running after a disconnect so resuming clients can catch up
       try {
         await streamHandler(streamManager);
       } catch (error) {
@@ -104,11 +190,15 @@ export function createSseStream(streamHandler) {
       } finally {
         streamManager.closeStream();
       }
+    },
+    cancel() {
+      streamManager?.detach();
     }
   });
 }
 
 export default {
+  SSE_HEADERS,
   createSseStream,
   createStreamManager
 };
\ No newline at end of file
@@ -0,0 +1,70 @@
+/**
+ * Token Encryption Service
+ * Encrypts customer account tokens and MCP server headers before they are written to the database
+ */
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from "node:crypto";
+import AppConfig from "./config.server";
+
+/**
+ * Prefix of encrypted values; rows written before encryption have none
+ */
+const ENCRYPTED_PREFIX = "enc:v1:";
+
+/**
+ * AES-256 key derived from the configured secret, falling back to a per-process key
+ * so tokens still work locally (they stop decrypting after a restart)
+ */
+let secret = AppConfig.encryption.key;
+if (!secret) {
+  console.warn("[Encryption] No ENCRYPTION_KEY or SHOPIFY_API_SECRET set, using a temporary encryption key");
+  secret = randomBytes(32).toString("hex");
+}
+const encryptionKey = createHash("sha256").update(secret).digest();
+
+/**
+ * Encrypts a token with AES-256-GCM
+ * @param {string|null} value - The plaintext token
+ * @returns {string|null} The encrypted token, or null if there is no value
+ */
+export function encryptToken(value) {
+  if (!value) return null;
+
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", encryptionKey, iv);
+  const ciphertext = Buffer.concat([cipher.update(value, "utf8"), cipher.final()]);
+
+  return ENCRYPTED_PREFIX + [iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => part.toString("base64url"))
+    .join(":");
+}
+
+/**
+ * Decrypts a token written by encryptToken.
+ * Values without the encrypted prefix predate encryption and are returned as they are.
+ * @param {string|null} value - The stored token
+ * @returns {string|null} The plaintext token, or null if it cannot be decrypted
+ */
+export function decryptToken(value) {
+  if (!value) return null;
+  if (!value.startsWith(ENCRYPTED_PREFIX)) return value;
+
+  try {
+    const [iv, authTag, ciphertext] = value
+      .slice(ENCRYPTED_PREFIX.length)
+      .split(":")
+      .map((part) => Buffer.from(part, "base64url"));
+
+    const decipher = createDecipheriv("aes-256-gcm", encryptionKey, iv);
+    decipher.setAuthTag(authTag);
+
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("utf8");
+  } catch (error) {
+    console.error("Failed to decrypt stored value:", error.message);
+    return null;
+  }
+}
+
+export default {
+  encryptToken,
+  decryptToken
+};
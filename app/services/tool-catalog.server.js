@@ -0,0 +1,98 @@
+/**
+ * Tool Catalog Service
+ * Caches MCP tool discovery per shop so chat turns do not list tools on every message
+ */
+import { getMcpServers } from "../db.server";
+import AppConfig from "./config.server";
+
+/**
+ * Cached catalogs keyed by shop and customer auth state.
+ * Entries hold the pending discovery so concurrent cold starts share it.
+ */
+const catalogs = new Map();
+
+/**
+ * Builds the cache key for a shop.
+ * Signed-in customers can see tools that guests cannot, so they are cached separately.
+ * @param {string} shop - The shop domain
+ * @param {boolean} authenticated - Whether the customer is signed in
+ * @returns {string} The cache key
+ */
+function getCacheKey(shop, authenticated) {
+  return `${shop}|${authenticated ? "customer" : "guest"}`;
+}
+
+/**
+ * Loads the tool catalog for a shop into an MCP client, discovering tools on a cache miss
+ * @param {Object} mcpClient - The MCP client for the current chat session
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Array>} The tools available to the model
+ */
+export async function loadToolCatalog(mcpClient, shop) {
+  const authenticated = await mcpClient.loadCustomerToken();
+  const key = getCacheKey(shop, authenticated);
+  const cached = catalogs.get(key);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    mcpClient.useToolCatalog(await cached.catalog);
+    return mcpClient.tools;
+  }
+
+  const discovery = discoverTools(mcpClient, shop);
+  const entry = {
+    catalog: discovery.then(({ catalog }) => catalog),
+    expiresAt: Date.now() + AppConfig.mcp.toolCatalogTtlMs
+  };
+  catalogs.set(key, entry);
+
+  try {
+    const { complete } = await discovery;
+
+    // Retry partial results on the next message rather than serving them for the whole TTL
+    if (!complete && catalogs.get(key) === entry) {
+      catalogs.delete(key);
+    }
+  } catch (error) {
+    if (catalogs.get(key) === entry) {
+      catalogs.delete(key);
+    }
+    throw error;
+  }
+
+  return mcpClient.tools;
+}
+
+/**
+ * Drops the cached catalogs of a shop, e.g. after a tool was not found
+ * or the merchant changed their MCP servers
+ * @param {string} shop - The shop domain
+ */
+export function invalidateToolCatalog(shop) {
+  for (const authenticated of [false, true]) {
+    catalogs.delete(getCacheKey(shop, authenticated));
+  }
+}
+
+/**
+ * Lists the tools of the storefront, customer and merchant-registered servers in parallel
+ * @param {Object} mcpClient - The MCP client
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object>} The discovered catalog and whether every server responded
+ */
+async function discoverTools(mcpClient, shop) {
+  const externalServers = shop ? await getMcpServers(shop, { enabledOnly: true }) : [];
+  const result = await mcpClient.discoverTools(externalServers);
+
+  console.log(
+    `Discovered ${result.catalog.storefrontTools.length} storefront, ` +
+    `${result.catalog.customerTools.length} customer and ` +
+    `${result.catalog.externalTools.length} merchant MCP tools for ${shop || "unknown shop"}`
+  );
+
+  return result;
+}
+
+export default {
+  loadToolCatalog,
+  invalidateToolCatalog
+};
@@ -7,9 +7,11 @@ import AppConfig from "./config.server";
 
 /**
  * Creates a tool service instance
+ * @param {Object} options - Service options
+ * @param {string} options.shop - Shop domain that owns the conversations (optional)
  * @returns {Object} Tool service with methods for managing tools
  */
-export function createToolService() {
+export function createToolService({ shop } = {}) {
   /**
    * Handles a tool error response
    * @param {Object} toolUseResponse - The error response from the tool
@@ -23,7 +25,11 @@ export function createToolService() {
     if (toolUseResponse.error.type === "auth_required") {
       console.log("Auth required for tool:", toolName);
       await addToolResultToHistory(conversationHistory, toolUseId, toolUseResponse.error.data, conversationId);
-      sendMessage({ type: 'auth_required' });
+      sendMessage({
+        type: 'auth_required',
+        url: toolUseResponse.error.authUrl,
+        tool_name: toolName
+      });
     } else {
       console.log("Tool use error", toolUseResponse.error);
       await addToolResultToHistory(conversationHistory, toolUseId, toolUseResponse.error.data, conversationId);
@@ -48,6 +54,25 @@ export function createToolService() {
     addToolResultToHistory(conversationHistory, toolUseId, toolUseResponse.content, conversationId);
   };
 
+  /**
+   * Summarizes a tool response for the tool_call_finished event
+   * @param {Object} toolUseResponse - The response from the tool
+   * @returns {string} The first text of the result or error, shortened
+   */
+  const summarizeToolResponse = (toolUseResponse) => {
+    const content = toolUseResponse.error ? toolUseResponse.error.data : toolUseResponse.content;
+    const firstBlock = Array.isArray(content)
+      ? content.find((block) => block?.type === "text")
+      : null;
+    const raw = firstBlock ? firstBlock.text : content;
+    const text = (typeof raw === "string" ? raw : JSON.stringify(raw ?? ""))
+      .replace(/\s+/g, " ")
+      .trim();
+    const maxLength = AppConfig.tools.resultSummaryLength;
+
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+  };
+
   /**
    * Processes product search results
    * @param {Object} toolUseResponse - The response from the tool
@@ -131,9 +156,9 @@ export function createToolService() {
     conversationHistory.push(toolResultMessage);
 
     // Save to database with special format to indicate tool result
-    if (conversationId) {
+    if (shop && conversationId) {
       try {
-        await saveMessage(conversationId, 'user', JSON.stringify(toolResultMessage.content));
+        await saveMessage(shop, conversationId, 'user', JSON.stringify(toolResultMessage.content));
       } catch (error) {
         console.error('Error saving tool result to database:', error);
       }
@@ -143,6 +168,7 @@ export function createToolService() {
   return {
     handleToolError,
     handleToolSuccess,
+    summarizeToolResponse,
     processProductSearchResult,
     addToolResultToHistory
   };
@@ -0,0 +1,133 @@
+/**
+ * Transcript Service
+ * Decodes stored chat messages into readable transcripts for the admin
+ */
+
+/**
+ * Decodes the JSON-encoded content column of a message into content blocks
+ * @param {string} content - The stored message content
+ * @returns {Array} Content blocks (text, tool_use, tool_result)
+ */
+export function decodeMessageContent(content) {
+  let decoded;
+  try {
+    decoded = JSON.parse(content);
+  } catch (error) {
+    decoded = content;
+  }
+
+  if (Array.isArray(decoded)) {
+    return decoded;
+  }
+
+  if (decoded && typeof decoded === "object" && decoded.type) {
+    return [decoded];
+  }
+
+  return [{
+    type: "text",
+    text: typeof decoded === "string" ? decoded : JSON.stringify(decoded ?? "")
+  }];
+}
+
+/**
+ * Gets a short plain-text preview of a message
+ * @param {string} content - The stored message content
+ * @param {number} maxLength - Maximum preview length
+ * @returns {string} The preview text
+ */
+export function getMessagePreview(content, maxLength = 120) {
+  const text = decodeMessageContent(content)
+    .filter((block) => block.type === "text")
+    .map((block) => block.text)
+    .join(" ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Builds a transcript from stored messages, pairing tool results with the calls that produced them
+ * @param {Array} messages - Messages ordered by creation time
+ * @returns {Array} Transcript entries with role, createdAt, cancelled and display-ready blocks
+ */
+export function buildTranscript(messages) {
+  const toolNames = new Map();
+
+  return messages.map((message) => {
+    const blocks = decodeMessageContent(message.content).map((block) => {
+      switch (block.type) {
+        case "text":
+          return { type: "text", text: block.text };
+
+        case "tool_use":
+          toolNames.set(block.id, block.name);
+          return {
+            type: "tool_use",
+            id: block.id,
+            name: block.name,
+            input: formatJson(block.input ?? {})
+          };
+
+        case "tool_result":
+          return {
+            type: "tool_result",
+            id: block.tool_use_id,
+            name: toolNames.get(block.tool_use_id) || "unknown tool",
+            isError: Boolean(block.is_error),
+            output: formatToolResult(block.content)
+          };
+
+        default:
+          return { type: "other", output: formatJson(block) };
+      }
+    });
+
+    return {
+      id: message.id,
+      role: message.role,
+      createdAt: message.createdAt,
+      cancelled: message.status === "cancelled",
+      blocks
+    };
+  });
+}
+
+/**
+ * Flattens tool result content into readable text
+ * @param {string|Array|Object} content - Tool result content
+ * @returns {string} The result text, pretty-printed when it is JSON
+ */
+function formatToolResult(content) {
+  if (Array.isArray(content)) {
+    return content
+      .map((item) => (item && item.type === "text" ? formatJson(item.text) : formatJson(item)))
+      .join("\n\n");
+  }
+
+  return formatJson(content ?? "");
+}
+
+/**
+ * Pretty-prints a value or a JSON-encoded string
+ * @param {*} value - The value to format
+ * @returns {string} The formatted text
+ */
+function formatJson(value) {
+  if (typeof value === "string") {
+    try {
+      return JSON.stringify(JSON.parse(value), null, 2);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  return JSON.stringify(value, null, 2);
+}
+
+export default {
+  decodeMessageContent,
+  getMessagePreview,
+  buildTranscript
+};
@@ -0,0 +1,104 @@
+/**
+ * Usage Service
+ * Records the token usage of model calls, estimates their cost and checks monthly budgets
+ */
+import AppConfig from "./config.server";
+import { saveTokenUsage, sumTokenUsage } from "../db.server";
+
+/**
+ * Gets the price of a model
+ * @param {string} model - The model name reported by the provider
+ * @returns {Object|null} USD per million input, output, cacheWrite and cacheRead tokens, or null if unknown
+ */
+export function getModelPricing(model) {
+  if (!model) return null;
+
+  const prefix = Object.keys(AppConfig.usage.pricing)
+    .filter((candidate) => model.startsWith(candidate))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? AppConfig.usage.pricing[prefix] : null;
+}
+
+/**
+ * Estimates the cost of a model call
+ * @param {Object} usage - Token usage as reported by the provider
+ * @param {string} model - The model that served the call
+ * @returns {number|null} The cost in USD, or null if the model has no price
+ */
+export function estimateUsageCost(usage, model) {
+  const pricing = getModelPricing(model);
+  if (!pricing) return null;
+
+  const cost = (usage.input_tokens || 0) * (pricing.input || 0) +
+    (usage.output_tokens || 0) * (pricing.output || 0) +
+    (usage.cache_creation_input_tokens || 0) * (pricing.cacheWrite ?? pricing.input ?? 0) +
+    (usage.cache_read_input_tokens || 0) * (pricing.cacheRead ?? pricing.input ?? 0);
+
+  return cost / 1_000_000;
+}
+
+/**
+ * Records the token usage of a model call. Failures are logged, never thrown,
+ * so accounting problems do not interrupt the chat.
+ * @param {Object} params - Usage parameters
+ * @param {string} params.shop - The shop domain
+ * @param {string} params.conversationId - The conversation ID
+ * @param {string} params.provider - The provider name
+ * @param {string} params.model - The model that served the call
+ * @param {Object} params.usage - Token usage as reported by the provider
+ * @param {string} params.purpose - "chat" (default) or "summary"
+ * @returns {Promise<Object|null>} The saved record, or null if nothing was saved
+ */
+export async function recordTokenUsage({ shop, conversationId, provider, model, usage, purpose = "chat" }) {
+  if (!usage) return null;
+
+  return saveTokenUsage(shop, conversationId, {
+    provider,
+    model: model || "unknown",
+    purpose,
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheCreationInputTokens: usage.cache_creation_input_tokens || 0,
+    cacheReadInputTokens: usage.cache_read_input_tokens || 0,
+    costUsd: estimateUsageCost(usage, model)
+  });
+}
+
+/**
+ * Gets the monthly token budget of a shop
+ * @param {string} shop - The shop domain
+ * @returns {number} Tokens per calendar month, or 0 if the shop has no budget
+ */
+export function getMonthlyTokenBudget(shop) {
+  return Number(AppConfig.budgets.shopMonthlyTokens[shop] ?? AppConfig.budgets.defaultMonthlyTokens) || 0;
+}
+
+/**
+ * Checks how much of its monthly token budget a shop has used
+ * @param {string} shop - The shop domain
+ * @param {Date} now - The current time (optional)
+ * @returns {Promise<Object>} The `budget` (0 if none), tokens `used` this month,
+ *   whether the budget is `exceeded` and when it `resetsAt`
+ */
+export async function getMonthlyBudgetStatus(shop, now = new Date()) {
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const resetsAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  const budget = getMonthlyTokenBudget(shop);
+  const used = await sumTokenUsage(shop, monthStart);
+
+  return {
+    budget,
+    used,
+    exceeded: budget > 0 && used >= budget,
+    resetsAt
+  };
+}
+
+export default {
+  getModelPricing,
+  estimateUsageCost,
+  recordTokenUsage,
+  getMonthlyTokenBudget,
+  getMonthlyBudgetStatus
+};
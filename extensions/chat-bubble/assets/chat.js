@@ -33,6 +33,7 @@
           closeButton: container.querySelector('.shop-ai-chat-close'),
           chatInput: container.querySelector('.shop-ai-chat-input input'),
           sendButton: container.querySelector('.shop-ai-chat-send'),
+          stopButton: container.querySelector('.shop-ai-chat-stop'),
           messagesContainer: container.querySelector('.shop-ai-chat-messages')
         };
 
@@ -52,7 +53,7 @@
        * Set up all event listeners for UI interactions
        */
       setupEventListeners: function() {
-        const { chatBubble, closeButton, chatInput, sendButton, messagesContainer } = this.elements;
+        const { chatBubble, closeButton, chatInput, sendButton, stopButton, messagesContainer } = this.elements;
 
         // Toggle chat window visibility
         chatBubble.addEventListener('click', () => this.toggleChatWindow());
@@ -85,6 +86,9 @@
           }
         });
 
+        // Stop the response in progress
+        stopButton.addEventListener('click', () => ShopAIChat.API.cancelResponse());
+
         // Handle window resize to adjust scrolling
         window.addEventListener('resize', () => this.scrollToBottom());
 
@@ -95,6 +99,9 @@
             ShopAIChat.Auth.openAuthPopup(event.target);
           }
         });
+
+        // Receive the sign-in result from the auth popup
+        window.addEventListener('message', (event) => ShopAIChat.Auth.handleAuthMessage(event));
       },
 
       /**
@@ -129,6 +136,7 @@
         } else {
           // Remove body class when closing
           document.body.classList.remove('shop-ai-chat-open');
+          ShopAIChat.API.cancelResponse();
         }
       },
 
@@ -140,6 +148,9 @@
 
         chatWindow.classList.remove('active');
 
+        // Nobody is reading the response any more
+        ShopAIChat.API.cancelResponse();
+
         // On mobile, blur input to hide keyboard and enable body scrolling
         if (this.isMobile) {
           chatInput.blur();
@@ -157,6 +168,17 @@
         }, 100);
       },
 
+      /**
+       * Show or hide the stop button while a response is streaming
+       * @param {boolean} isGenerating - Whether a response is streaming
+       */
+      setGenerating: function(isGenerating) {
+        const { stopButton } = this.elements;
+        if (stopButton) {
+          stopButton.hidden = !isGenerating;
+        }
+      },
+
       /**
        * Show typing indicator in the chat
        */
@@ -217,6 +239,55 @@
           });
         }
 
+        this.scrollToBottom();
+      },
+
+      /**
+       * Display the store documents a reply cites
+       * @param {Array} citations - Citations with number, title, heading, url and excerpt
+       */
+      displayCitations: function(citations) {
+        const { messagesContainer } = this.elements;
+        if (!Array.isArray(citations) || citations.length === 0) return;
+
+        const citationSection = document.createElement('div');
+        citationSection.classList.add('shop-ai-citations');
+
+        const header = document.createElement('div');
+        header.classList.add('shop-ai-citations-header');
+        header.textContent = 'Sources';
+        citationSection.appendChild(header);
+
+        const list = document.createElement('ol');
+        list.classList.add('shop-ai-citation-list');
+
+        citations.forEach(citation => {
+          const item = document.createElement('li');
+          item.value = citation.number;
+
+          const label = [citation.title, citation.heading].filter(Boolean).join(' › ');
+          const titleElement = document.createElement(citation.url ? 'a' : 'span');
+          titleElement.classList.add('shop-ai-citation-title');
+          titleElement.textContent = label;
+          if (citation.url) {
+            titleElement.href = citation.url;
+            titleElement.target = '_blank';
+            titleElement.rel = 'noopener noreferrer';
+          }
+          item.appendChild(titleElement);
+
+          if (citation.excerpt) {
+            const excerpt = document.createElement('div');
+            excerpt.classList.add('shop-ai-citation-excerpt');
+            excerpt.textContent = citation.excerpt;
+            item.appendChild(excerpt);
+          }
+
+          list.appendChild(item);
+        });
+
+        citationSection.appendChild(list);
+        messagesContainer.appendChild(citationSection);
         this.scrollToBottom();
       }
     },
@@ -234,6 +305,10 @@
         const userMessage = chatInput.value.trim();
         const conversationId = sessionStorage.getItem('shopAiConversationId');
 
+        // The response in progress is replaced; the server cancels its turn
+        ShopAIChat.API.stopActiveResponse();
+        messagesContainer.querySelectorAll('.shop-ai-reconnect-prompt').forEach((prompt) => prompt.remove());
+
         // Add user message to chat
         this.add(userMessage, 'user', messagesContainer);
 
@@ -277,29 +352,83 @@
       },
 
       /**
-       * Add a tool use message to the chat with expandable arguments
-       * @param {string} toolMessage - Tool use message content
+       * Add a prompt to reconnect to a response whose stream stalled
        * @param {HTMLElement} messagesContainer - The messages container
+       * @param {Function} onReconnect - Called when the customer chooses to reconnect
        */
-      addToolUse: function(toolMessage, messagesContainer) {
-        // Parse the tool message to extract tool name and arguments
-        const match = toolMessage.match(/Calling tool: (\w+) with arguments: (.+)/);
-        if (!match) {
-          // Fallback for unexpected format
-          const toolUseElement = document.createElement('div');
-          toolUseElement.classList.add('shop-ai-message', 'tool-use');
-          toolUseElement.textContent = toolMessage;
-          messagesContainer.appendChild(toolUseElement);
-          ShopAIChat.UI.scrollToBottom();
-          return;
-        }
+      addReconnectPrompt: function(messagesContainer, onReconnect) {
+        const promptElement = document.createElement('div');
+        promptElement.classList.add('shop-ai-message', 'assistant', 'shop-ai-reconnect-prompt');
+
+        const textElement = document.createElement('div');
+        textElement.textContent = 'The connection was interrupted. Your answer may still be on its way.';
+        promptElement.appendChild(textElement);
+
+        const reconnectButton = document.createElement('button');
+        reconnectButton.type = 'button';
+        reconnectButton.classList.add('shop-ai-reconnect-button');
+        reconnectButton.textContent = 'Reconnect';
+        reconnectButton.addEventListener('click', () => {
+          promptElement.remove();
+          onReconnect();
+        });
+        promptElement.appendChild(reconnectButton);
+
+        messagesContainer.appendChild(promptElement);
+        ShopAIChat.UI.scrollToBottom();
+      },
+
+      /**
+       * Mark an assistant message as stopped by the customer
+       * @param {HTMLElement} messageElement - The assistant message element
+       */
+      markStopped: function(messageElement) {
+        if (!messageElement || messageElement.classList.contains('stopped')) return;
 
-        const toolName = match[1];
-        const argsString = match[2];
+        ShopAIChat.Formatting.formatMessageContent(messageElement);
+        messageElement.classList.add('stopped');
 
+        const noteElement = document.createElement('div');
+        noteElement.classList.add('shop-ai-message-note');
+        noteElement.textContent = 'Stopped';
+        messageElement.appendChild(noteElement);
+      },
+
+      /**
+       * Add a sign-in prompt to the chat
+       * @param {string} authUrl - The customer account authorization URL
+       * @param {HTMLElement} messagesContainer - The messages container
+       */
+      addAuthPrompt: function(authUrl, messagesContainer) {
+        const promptElement = document.createElement('div');
+        promptElement.classList.add('shop-ai-message', 'assistant', 'shop-ai-auth-prompt');
+
+        const textElement = document.createElement('div');
+        textElement.textContent = 'Sign in to your account to continue with this request.';
+        promptElement.appendChild(textElement);
+
+        // Opened by the global handler for auth triggers
+        const signInButton = document.createElement('button');
+        signInButton.type = 'button';
+        signInButton.classList.add('shop-auth-trigger', 'shop-ai-auth-button');
+        signInButton.setAttribute('data-auth-url', encodeURIComponent(authUrl));
+        signInButton.textContent = 'Sign in';
+        promptElement.appendChild(signInButton);
+
+        messagesContainer.appendChild(promptElement);
+        ShopAIChat.UI.scrollToBottom();
+      },
+
+      /**
+       * Add a tool call to the chat with expandable arguments
+       * @param {Object} toolCall - The tool_call_started event
+       * @param {HTMLElement} messagesContainer - The messages container
+       */
+      addToolCall: function(toolCall, messagesContainer) {
         // Create the main tool use element
         const toolUseElement = document.createElement('div');
         toolUseElement.classList.add('shop-ai-message', 'tool-use');
+        toolUseElement.dataset.toolCallId = toolCall.id;
 
         // Create the header (always visible)
         const headerElement = document.createElement('div');
@@ -307,7 +436,7 @@
 
         const toolText = document.createElement('span');
         toolText.classList.add('shop-ai-tool-text');
-        toolText.textContent = `Calling tool: ${toolName}`;
+        toolText.textContent = `Calling tool: ${toolCall.name}`;
 
         const toggleElement = document.createElement('span');
         toggleElement.classList.add('shop-ai-tool-toggle');
@@ -316,20 +445,12 @@
         headerElement.appendChild(toolText);
         headerElement.appendChild(toggleElement);
 
-        // Create the arguments section (initially hidden)
+        // Create the details section (initially hidden)
         const argsElement = document.createElement('div');
         argsElement.classList.add('shop-ai-tool-args');
+        argsElement.textContent = JSON.stringify(toolCall.args || {}, null, 2);
 
-        try {
-          // Try to format JSON arguments nicely
-          const parsedArgs = JSON.parse(argsString);
-          argsElement.textContent = JSON.stringify(parsedArgs, null, 2);
-        } catch (e) {
-          // If not valid JSON, just show as-is
-          argsElement.textContent = argsString;
-        }
-
-        // Add click handler to toggle arguments visibility
+        // Add click handler to toggle details visibility
         headerElement.addEventListener('click', function() {
           const isExpanded = argsElement.classList.contains('expanded');
           if (isExpanded) {
@@ -347,12 +468,36 @@
 
         messagesContainer.appendChild(toolUseElement);
         ShopAIChat.UI.scrollToBottom();
+      },
+
+      /**
+       * Update a tool call in the chat with its outcome
+       * @param {Object} toolCall - The tool_call_finished event
+       * @param {HTMLElement} messagesContainer - The messages container
+       */
+      finishToolCall: function(toolCall, messagesContainer) {
+        const toolUseElement = Array.from(messagesContainer.querySelectorAll('.tool-use'))
+          .find((element) => element.dataset.toolCallId === toolCall.id);
+        if (!toolUseElement) return;
+
+        const labels = {
+          success: 'Called tool',
+          error: 'Tool failed',
+          auth_required: 'Sign-in needed for tool'
+        };
+        toolUseElement.classList.add(`tool-${toolCall.status.replace('_', '-')}`);
+        toolUseElement.querySelector('.shop-ai-tool-text').textContent =
+          `${labels[toolCall.status] || 'Called tool'}: ${toolCall.name} (${toolCall.duration_ms} ms)`;
+
+        if (toolCall.summary) {
+          const summaryElement = document.createElement('div');
+          summaryElement.classList.add('shop-ai-tool-summary');
+          summaryElement.textContent = toolCall.summary;
+          toolUseElement.querySelector('.shop-ai-tool-args').appendChild(summaryElement);
+        }
       }
     },
 
-    /**
-     * Text formatting and markdown handling
-     */
     Formatting: {
       /**
        * Format message content with markdown and links
@@ -389,6 +534,9 @@
           }
         });
 
+        // Mark citations of store documents, e.g. [1]
+        processedText = processedText.replace(/\[(\d{1,3})\](?!\()/g, '<sup class="shop-ai-citation-ref">[$1]</sup>');
+
         // Convert text to HTML with proper list handling
         processedText = this.convertMarkdownToHtml(processedText);
 
@@ -465,6 +613,32 @@
      * API communication and data handling
      */
     API: {
+      /**
+       * Version of the stream event schema this widget handles (see docs/sse-events.md)
+       */
+      schemaVersion: 1,
+
+      /**
+       * Events after which the server closes the stream
+       */
+      terminalEvents: ['end_turn', 'error', 'rate_limit_exceeded', 'cancelled'],
+
+      /**
+       * Reconnection attempts after a dropped stream, and the delay before the first one
+       */
+      maxResumeAttempts: 4,
+      resumeDelayMs: 1000,
+
+      /**
+       * How long a stream may stay silent before it counts as stalled (three server heartbeats)
+       */
+      stallTimeoutMs: 45 * 1000,
+
+      /**
+       * The response being streamed, with the controller that stops reading it
+       */
+      activeResponse: null,
+
       /**
        * Stream a response from the API
        * @param {string} userMessage - User's message text
@@ -474,6 +648,16 @@
       streamResponse: async function(userMessage, conversationId, messagesContainer) {
         let currentMessageElement = null;
 
+        // A new message replaces the response in progress; the server cancels its turn
+        this.stopActiveResponse();
+
+        const activeResponse = {
+          controller: new AbortController(),
+          getMessageElement: () => currentMessageElement
+        };
+        this.activeResponse = activeResponse;
+        ShopAIChat.UI.setGenerating(true);
+
         try {
           const promptType = window.shopChatConfig?.promptType || "standardAssistant";
           const requestBody = JSON.stringify({
@@ -485,6 +669,7 @@
           const streamUrl = window.shopBackendUrl;
 
           const shopId = window.shopId;
+          const shopDomain = window.shopDomain;
 
           const response = await fetch(streamUrl, {
             method: 'POST',
@@ -492,20 +677,26 @@
             headers: {
               'Content-Type': 'application/json',
               'Accept': 'text/event-stream',
-              'X-Shopify-Shop-Id': shopId || ''
+              'X-Shopify-Shop-Id': shopId || '',
+              'X-Shopify-Shop-Domain': shopDomain || '',
+              'X-Conversation-Token': sessionStorage.getItem('shopAiConversationToken') || ''
             },
-            body: requestBody
+            body: requestBody,
+            signal: activeResponse.controller.signal
           });
 
+          // The stored conversation is unknown or not ours; start a new one
+          if (response.status === 404 && conversationId) {
+            sessionStorage.removeItem('shopAiConversationId');
+            sessionStorage.removeItem('shopAiConversationToken');
+            return ShopAIChat.API.streamResponse(userMessage, null, messagesContainer);
+          }
+
           if (!response.ok || !response.body) {
             const errorText = await response.text().catch(() => '');
             throw new Error(`Chat API request failed: ${response.status} ${errorText}`);
           }
 
-          const reader = response.body.getReader();
-          const decoder = new TextDecoder();
-          let buffer = '';
-
           // Create initial message element
           let messageElement = document.createElement('div');
           messageElement.classList.add('shop-ai-message', 'assistant');
@@ -514,33 +705,262 @@
           messagesContainer.appendChild(messageElement);
           currentMessageElement = messageElement;
 
+          const streamState = { lastEventId: null, turnEnded: false, finished: false, resumable: true };
+          const onEvent = (data) => {
+            this.handleStreamEvent(data, currentMessageElement, messagesContainer, userMessage,
+              (newElement) => { currentMessageElement = newElement; });
+          };
+
           // Process the stream
-          while (true) {
-            const { value, done } = await reader.read();
-            if (done) break;
-
-            buffer += decoder.decode(value, { stream: true });
-            const lines = buffer.split('\n\n');
-            buffer = lines.pop() || '';
-
-            for (const line of lines) {
-              if (line.startsWith('data: ')) {
-                try {
-                  const data = JSON.parse(line.slice(6));
-                  this.handleStreamEvent(data, currentMessageElement, messagesContainer, userMessage,
-                    (newElement) => { currentMessageElement = newElement; });
-                } catch (e) {
-                  console.error('Error parsing event data:', e, line);
-                }
-              }
-            }
+          try {
+            await this.readEventStream(response, streamState, onEvent);
+          } catch (error) {
+            console.warn('Chat stream interrupted:', error);
           }
+
+          // The server keeps working after a drop; pick up the events we missed
+          await this.recoverStream(streamState, onEvent, activeResponse, messagesContainer);
         } catch (error) {
+          // Stopped by the customer or replaced by a new message
+          if (activeResponse.controller.signal.aborted) return;
+
           console.error('Error in streaming:', error);
           ShopAIChat.UI.removeTypingIndicator();
           ShopAIChat.Message.add("Sorry, I couldn't process your request. Please try again later.",
             'assistant', messagesContainer);
+        } finally {
+          if (this.activeResponse === activeResponse) {
+            this.activeResponse = null;
+            ShopAIChat.UI.setGenerating(false);
+          }
+        }
+      },
+
+      /**
+       * Stop the response in progress and ask the server to cancel its turn
+       */
+      cancelResponse: function() {
+        if (!this.activeResponse) return;
+
+        this.stopActiveResponse();
+
+        // New conversations can only be cancelled once their id has arrived
+        const conversationId = sessionStorage.getItem('shopAiConversationId');
+        if (!conversationId) return;
+
+        fetch(`${window.shopBackendUrl}?cancel=true&conversation_id=${encodeURIComponent(conversationId)}`, {
+          method: 'POST',
+          mode: 'cors',
+          keepalive: true,
+          headers: {
+            'X-Shopify-Shop-Id': window.shopId || '',
+            'X-Shopify-Shop-Domain': window.shopDomain || '',
+            'X-Conversation-Token': sessionStorage.getItem('shopAiConversationToken') || ''
+          }
+        }).catch((error) => console.warn('Failed to cancel the response:', error));
+      },
+
+      /**
+       * Stop reading the response in progress and mark its message as stopped
+       */
+      stopActiveResponse: function() {
+        const activeResponse = this.activeResponse;
+        if (!activeResponse) return;
+
+        this.activeResponse = null;
+        activeResponse.controller.abort();
+
+        ShopAIChat.UI.removeTypingIndicator();
+        ShopAIChat.UI.setGenerating(false);
+        ShopAIChat.Message.markStopped(activeResponse.getMessageElement());
+      },
+
+      /**
+       * Read server-sent events from a response until the stream closes
+       * @param {Response} response - The streaming response
+       * @param {Object} streamState - Tracks the last event id and whether the turn finished
+       * @param {Function} onEvent - Called with each event payload
+       */
+      readEventStream: async function(response, streamState, onEvent) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+
+        // The server sends heartbeats while idle; a silent stream has stalled somewhere on the way
+        let lastActivity = Date.now();
+        const stallCheck = setInterval(() => {
+          if (Date.now() - lastActivity > this.stallTimeoutMs) {
+            console.warn('Chat stream stalled, reconnecting');
+            clearInterval(stallCheck);
+            reader.cancel().catch(() => {});
+          }
+        }, 1000);
+
+        try {
+          await this.readFrames(reader, decoder, streamState, onEvent, () => { lastActivity = Date.now(); });
+        } finally {
+          clearInterval(stallCheck);
+        }
+
+        // Only a stream that closes after the turn ended is complete
+        streamState.finished = streamState.turnEnded;
+      },
+
+      /**
+       * Read frames from a stream reader and dispatch their events
+       * @param {ReadableStreamDefaultReader} reader - The response body reader
+       * @param {TextDecoder} decoder - Decoder for the body
+       * @param {Object} streamState - Tracks the last event id and whether the turn ended
+       * @param {Function} onEvent - Called with each event payload
+       * @param {Function} onActivity - Called whenever data arrives, including heartbeats
+       */
+      readFrames: async function(reader, decoder, streamState, onEvent, onActivity) {
+        let buffer = '';
+
+        let chunk = await reader.read();
+
+        while (!chunk.done) {
+          onActivity();
+          buffer += decoder.decode(chunk.value, { stream: true });
+          const frames = buffer.split('\n\n');
+          buffer = frames.pop() || '';
+
+          for (const frame of frames) {
+            let eventId = null;
+            let payload = null;
+
+            for (const line of frame.split('\n')) {
+              if (line.startsWith('id: ')) eventId = line.slice(4);
+              if (line.startsWith('data: ')) payload = line.slice(6);
+            }
+
+            if (!payload) continue;
+
+            try {
+              const data = JSON.parse(payload);
+              onEvent(data);
+
+              if (eventId) streamState.lastEventId = eventId;
+              if (this.terminalEvents.includes(data.type)) streamState.turnEnded = true;
+            } catch (e) {
+              console.error('Error parsing event data:', e, frame);
+            }
+          }
+
+          chunk = await reader.read();
+        }
+      },
+
+      /**
+       * Resume a stream that ended before its turn finished.
+       * If the server cannot be reached but the turn may still be running, offer to reconnect.
+       * @param {Object} streamState - Tracks the last event id and whether the turn finished
+       * @param {Function} onEvent - Called with each event payload
+       * @param {Object} activeResponse - The response being streamed
+       * @param {HTMLElement} messagesContainer - The messages container
+       * @throws {Error} If the turn can no longer be resumed
+       */
+      recoverStream: async function(streamState, onEvent, activeResponse, messagesContainer) {
+        const signal = activeResponse.controller.signal;
+        if (streamState.finished || signal.aborted) return;
+
+        if (await this.resumeStream(streamState, onEvent, signal) || signal.aborted) return;
+
+        if (!streamState.resumable) {
+          throw new Error('Chat stream ended before the turn finished');
+        }
+
+        ShopAIChat.UI.removeTypingIndicator();
+        ShopAIChat.Message.addReconnectPrompt(messagesContainer, () => {
+          this.reconnect(streamState, onEvent, activeResponse.getMessageElement, messagesContainer);
+        });
+      },
+
+      /**
+       * Reconnect to a stalled response when the customer asks for it
+       * @param {Object} streamState - Tracks the last event id and whether the turn finished
+       * @param {Function} onEvent - Called with each event payload
+       * @param {Function} getMessageElement - Returns the message element being updated
+       * @param {HTMLElement} messagesContainer - The messages container
+       */
+      reconnect: async function(streamState, onEvent, getMessageElement, messagesContainer) {
+        this.stopActiveResponse();
+
+        const activeResponse = {
+          controller: new AbortController(),
+          getMessageElement
+        };
+        this.activeResponse = activeResponse;
+        ShopAIChat.UI.setGenerating(true);
+        ShopAIChat.UI.showTypingIndicator();
+
+        try {
+          await this.recoverStream(streamState, onEvent, activeResponse, messagesContainer);
+        } catch (error) {
+          console.error('Error reconnecting:', error);
+          ShopAIChat.UI.removeTypingIndicator();
+          ShopAIChat.Message.add("Sorry, I couldn't process your request. Please try again later.",
+            'assistant', messagesContainer);
+        } finally {
+          if (this.activeResponse === activeResponse) {
+            this.activeResponse = null;
+            ShopAIChat.UI.setGenerating(false);
+          }
+        }
+      },
+
+      /**
+       * Reconnect to a turn whose stream dropped, replaying the events after the last one received
+       * @param {Object} streamState - Tracks the last event id and whether the turn finished
+       * @param {Function} onEvent - Called with each event payload
+       * @param {AbortSignal} signal - Aborted when the customer stops the response
+       * @returns {Promise<boolean>} True if the turn finished
+       */
+      resumeStream: async function(streamState, onEvent, signal) {
+        for (let attempt = 0; attempt < this.maxResumeAttempts && !streamState.finished; attempt++) {
+          await new Promise((resolve) => setTimeout(resolve, this.resumeDelayMs * Math.pow(2, attempt)));
+          if (signal.aborted) return false;
+
+          // New conversations learn their id from the first event
+          const conversationId = sessionStorage.getItem('shopAiConversationId');
+          if (!conversationId) {
+            streamState.resumable = false;
+            return false;
+          }
+
+          let response;
+          try {
+            response = await fetch(`${window.shopBackendUrl}?resume=true&conversation_id=${encodeURIComponent(conversationId)}`, {
+              method: 'GET',
+              mode: 'cors',
+              headers: {
+                'Accept': 'text/event-stream',
+                'X-Shopify-Shop-Id': window.shopId || '',
+                'X-Shopify-Shop-Domain': window.shopDomain || '',
+                'X-Conversation-Token': sessionStorage.getItem('shopAiConversationToken') || '',
+                'Last-Event-ID': streamState.lastEventId || ''
+              },
+              signal
+            });
+          } catch (error) {
+            console.warn('Failed to resume chat stream:', error);
+            continue;
+          }
+
+          // Server errors may be transient; anything else means the turn cannot be resumed
+          if (response.status >= 500) continue;
+          if (response.status !== 200 || !response.body) {
+            streamState.resumable = false;
+            return false;
+          }
+
+          try {
+            await this.readEventStream(response, streamState, onEvent);
+          } catch (error) {
+            console.warn('Resumed chat stream interrupted:', error);
+          }
         }
+
+        return streamState.finished;
       },
 
       /**
@@ -554,8 +974,13 @@
       handleStreamEvent: function(data, currentMessageElement, messagesContainer, userMessage, updateCurrentElement) {
         switch (data.type) {
           case 'id':
+            if (data.schema_version !== this.schemaVersion) {
+              console.warn('Unexpected stream schema version:', data.schema_version);
+            }
             if (data.conversation_id) {
               sessionStorage.setItem('shopAiConversationId', data.conversation_id);
+              // Proves ownership of the conversation on later requests
+              sessionStorage.setItem('shopAiConversationToken', data.conversation_token || '');
             }
             break;
 
@@ -576,6 +1001,12 @@
             ShopAIChat.UI.removeTypingIndicator();
             break;
 
+          case 'cancelled':
+            // Cancelled from elsewhere, e.g. by a message sent from another tab
+            ShopAIChat.UI.removeTypingIndicator();
+            ShopAIChat.Message.markStopped(currentMessageElement);
+            break;
+
           case 'error':
           console.error('Stream error:', data.error, data.details || '');
             ShopAIChat.UI.removeTypingIndicator();
@@ -588,14 +1019,32 @@
             currentMessageElement.textContent = "Sorry, our servers are currently busy. Please try again later.";
             break;
 
+          case 'auth_required':
+            // Resend this message once the customer has signed in
+            sessionStorage.setItem('shopAiLastMessage', userMessage);
+            if (data.url) {
+              ShopAIChat.Message.addAuthPrompt(data.url, messagesContainer);
+            }
+            break;
+
           case 'product_results':
             ShopAIChat.UI.displayProductResults(data.products);
             break;
 
-          case 'tool_use':
-            if (data.tool_use_message) {
-              ShopAIChat.Message.addToolUse(data.tool_use_message, messagesContainer);
-            }
+          case 'citations':
+            ShopAIChat.UI.displayCitations(data.citations);
+            break;
+
+          case 'tool_call_started':
+            ShopAIChat.Message.addToolCall(data, messagesContainer);
+            break;
+
+          case 'tool_call_finished':
+            ShopAIChat.Message.finishToolCall(data, messagesContainer);
+            break;
+
+          case 'usage':
+            // Token counts are for monitoring; nothing is shown to the customer
             break;
 
           case 'new_message':
@@ -640,7 +1089,9 @@ const historyUrl = `${window.shopBackendUrl}?history=true&conversation_id=${enco
             mode: 'cors',
             headers: {
               'Accept': 'application/json',
-              'Content-Type': 'application/json'
+              'Content-Type': 'application/json',
+              'X-Shopify-Shop-Domain': window.shopDomain || '',
+              'X-Conversation-Token': sessionStorage.getItem('shopAiConversationToken') || ''
             }
           });
 
@@ -667,7 +1118,10 @@ const historyUrl = `${window.shopBackendUrl}?history=true&conversation_id=${enco
               const messageContents = JSON.parse(message.content);
               for (const contentBlock of messageContents) {
                 if (contentBlock.type === 'text') {
-                  ShopAIChat.Message.add(contentBlock.text, message.role, messagesContainer);
+                  const messageElement = ShopAIChat.Message.add(contentBlock.text, message.role, messagesContainer);
+                  if (message.status === 'cancelled') {
+                    ShopAIChat.Message.markStopped(messageElement);
+                  }
                 }
               }
             } catch (e) {
@@ -693,6 +1147,7 @@ const historyUrl = `${window.shopBackendUrl}?history=true&conversation_id=${enco
 
           // Clear the conversation ID since we couldn't fetch this conversation
           sessionStorage.removeItem('shopAiConversationId');
+          sessionStorage.removeItem('shopAiConversationToken');
         }
       }
     },
@@ -701,6 +1156,17 @@ const historyUrl = `${window.shopBackendUrl}?history=true&conversation_id=${enco
      * Authentication-related functionality
      */
     Auth: {
+      // The auth popup opened by this widget
+      popup: null,
+      // Aborts the current wait on the auth channel
+      authWait: null,
+      // True until the current sign-in reports a result
+      authPending: false,
+      // Sign-in status message shown in the chat
+      statusElement: null,
+      // How long to wait for a sign-in before offering to check again
+      authTimeoutMs: 5 * 60 * 1000,
+
       /**
        * Opens an authentication popup window
        * @param {string|HTMLElement} authUrlOrElement - The auth URL or link element that was clicked
@@ -750,91 +1216,229 @@ const historyUrl = `${window.shopBackendUrl}?history=true&conversation_id=${enco
 
         // Focus the popup window
         if (popup) {
+          this.popup = popup;
           popup.focus();
         } else {
           // If popup was blocked, show a message
           alert('Please allow popups for this site to authenticate with Shopify.');
         }
 
-        // Start polling for token availability
+        // Wait for the sign-in result
         const conversationId = sessionStorage.getItem('shopAiConversationId');
         if (conversationId) {
           const messagesContainer = document.querySelector('.shop-ai-chat-messages');
-
-          // Add a message to indicate authentication is in progress
-          ShopAIChat.Message.add("Authentication in progress. Please complete the process in the popup window.",
-            'assistant', messagesContainer);
-
-          this.startTokenPolling(conversationId, messagesContainer);
+          this.waitForAuth(conversationId, messagesContainer);
         }
       },
 
       /**
-       * Start polling for token availability
+       * Wait for the sign-in result on the auth channel, reconnecting until the wait times out
        * @param {string} conversationId - Conversation ID
        * @param {HTMLElement} messagesContainer - The messages container
        */
-      startTokenPolling: function(conversationId, messagesContainer) {
-        if (!conversationId) return;
+      waitForAuth: function(conversationId, messagesContainer) {
+        this.stopWaiting();
+        this.authPending = true;
 
-        console.log('Starting token polling for conversation:', conversationId);
-        const pollingId = 'polling_' + Date.now();
-        sessionStorage.setItem('shopAiTokenPollingId', pollingId);
+        const controller = new AbortController();
+        this.authWait = controller;
+        const deadline = Date.now() + this.authTimeoutMs;
 
-        let attemptCount = 0;
-        const maxAttempts = 30;
+        this.showAuthStatus("Authentication in progress. Please complete the process in the popup window.",
+          messagesContainer);
 
-        const poll = async () => {
-          if (sessionStorage.getItem('shopAiTokenPollingId') !== pollingId) {
-            console.log('Another polling session has started, stopping this one');
-            return;
+        const listen = async () => {
+          while (!controller.signal.aborted && Date.now() < deadline) {
+            try {
+              const status = await this.readAuthChannel(conversationId, controller.signal);
+              if (status && status !== 'pending') {
+                this.handleAuthResult(status, conversationId, messagesContainer);
+                return;
+              }
+            } catch (error) {
+              if (controller.signal.aborted) return;
+              console.error('Auth channel error:', error);
+              // Back off before reconnecting
+              await new Promise((resolve) => setTimeout(resolve, 3000));
+            }
           }
 
-          if (attemptCount >= maxAttempts) {
-            console.log('Max polling attempts reached, stopping');
-            return;
+          if (!controller.signal.aborted) {
+            this.authWait = null;
+            this.showAuthTimeout(conversationId, messagesContainer);
           }
+        };
 
-          attemptCount++;
+        listen();
+      },
 
-          try {
-            const baseUrl = new URL(window.shopBackendUrl).origin;
-            const tokenUrl = `${baseUrl}/auth/token-status?conversation_id=${encodeURIComponent(conversationId)}`;
-            const response = await fetch(tokenUrl);
+      /**
+       * Read the auth channel until it reports a status or closes
+       * @param {string} conversationId - Conversation ID
+       * @param {AbortSignal} signal - Aborts the request
+       * @returns {Promise<string|null>} The reported status, or null if the channel closed without one
+       */
+      readAuthChannel: async function(conversationId, signal) {
+        const baseUrl = window.shopBackendUrl.replace(/\/chat$/, '');
+        const channelUrl = `${baseUrl}/auth/events?conversation_id=${encodeURIComponent(conversationId)}`;
+
+        const response = await fetch(channelUrl, {
+          headers: {
+            'Accept': 'text/event-stream',
+            'X-Shopify-Shop-Domain': window.shopDomain || '',
+            'X-Conversation-Token': sessionStorage.getItem('shopAiConversationToken') || ''
+          },
+          signal: signal
+        });
 
-            if (!response.ok) {
-              throw new Error('Token status check failed: ' + response.status);
-            }
+        // The conversation is gone; there is nothing to wait for
+        if (response.status === 403 || response.status === 404) {
+          return 'error';
+        }
 
-            const data = await response.json();
+        if (!response.ok || !response.body) {
+          throw new Error('Auth channel request failed: ' + response.status);
+        }
 
-            if (data.status === 'authorized') {
-              console.log('Token available, resuming conversation');
-              const message = sessionStorage.getItem('shopAiLastMessage');
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
 
-              if (message) {
-                sessionStorage.removeItem('shopAiLastMessage');
-                setTimeout(() => {
-                  ShopAIChat.Message.add("Authorization successful! I'm now continuing with your request.",
-                    'assistant', messagesContainer);
-                  ShopAIChat.API.streamResponse(message, conversationId, messagesContainer);
-                  ShopAIChat.UI.showTypingIndicator();
-                }, 500);
-              }
+        let chunk = await reader.read();
 
-              sessionStorage.removeItem('shopAiTokenPollingId');
-              return;
-            }
+        while (!chunk.done) {
+          buffer += decoder.decode(chunk.value, { stream: true });
+          const events = buffer.split('\n\n');
+          buffer = events.pop() || '';
 
-            console.log('Token not available yet, polling again in 10s');
-            setTimeout(poll, 10000);
-          } catch (error) {
-            console.error('Error polling for token status:', error);
-            setTimeout(poll, 10000);
+          for (const event of events) {
+            if (!event.startsWith('data: ')) continue;
+
+            const data = JSON.parse(event.slice(6));
+            if (data.type === 'auth_status') {
+              reader.cancel().catch(() => {});
+              return data.status;
+            }
           }
-        };
 
-        setTimeout(poll, 2000);
+          chunk = await reader.read();
+        }
+
+        return null;
+      },
+
+      /**
+       * Stop waiting on the auth channel
+       */
+      stopWaiting: function() {
+        if (this.authWait) {
+          this.authWait.abort();
+          this.authWait = null;
+        }
+      },
+
+      /**
+       * Show the sign-in status in the chat, replacing the previous status
+       * @param {string} text - Status text
+       * @param {HTMLElement} messagesContainer - The messages container
+       * @returns {HTMLElement} The status element
+       */
+      showAuthStatus: function(text, messagesContainer) {
+        if (this.statusElement) {
+          this.statusElement.remove();
+        }
+
+        this.statusElement = ShopAIChat.Message.add(text, 'assistant', messagesContainer);
+        return this.statusElement;
+      },
+
+      /**
+       * Show that the sign-in has not finished in time, with a way to check again
+       * @param {string} conversationId - Conversation ID
+       * @param {HTMLElement} messagesContainer - The messages container
+       */
+      showAuthTimeout: function(conversationId, messagesContainer) {
+        const statusElement = this.showAuthStatus(
+          "We haven't heard back from the sign-in window yet. If you've finished signing in, check again.",
+          messagesContainer
+        );
+
+        const retryButton = document.createElement('button');
+        retryButton.type = 'button';
+        retryButton.classList.add('shop-ai-auth-button');
+        retryButton.textContent = 'Check again';
+        retryButton.addEventListener('click', () => this.waitForAuth(conversationId, messagesContainer));
+        statusElement.appendChild(retryButton);
+        ShopAIChat.UI.scrollToBottom();
+      },
+
+      /**
+       * Handle the sign-in result posted by the auth popup
+       * @param {MessageEvent} event - The message event
+       */
+      handleAuthMessage: function(event) {
+        const data = event.data;
+        if (!data || data.type !== 'shop_ai_auth') return;
+
+        // Only trust messages from the popup this widget opened
+        if (!this.popup || event.source !== this.popup) return;
+
+        const conversationId = sessionStorage.getItem('shopAiConversationId');
+        if (!conversationId || data.conversation_id !== conversationId) return;
+
+        const messagesContainer = document.querySelector('.shop-ai-chat-messages');
+        this.handleAuthResult(data.status, conversationId, messagesContainer);
+      },
+
+      /**
+       * Handle the end of a sign-in, whether it was reported by the popup or the auth channel
+       * @param {string} status - authorized, denied or error
+       * @param {string} conversationId - Conversation ID
+       * @param {HTMLElement} messagesContainer - The messages container
+       */
+      handleAuthResult: function(status, conversationId, messagesContainer) {
+        // Both the popup and the channel report the result; handle it once
+        if (!this.authPending) return;
+        this.authPending = false;
+
+        this.stopWaiting();
+        this.popup = null;
+
+        if (this.statusElement) {
+          this.statusElement.remove();
+          this.statusElement = null;
+        }
+
+        if (status === 'authorized') {
+          this.completeAuth(conversationId, messagesContainer);
+          return;
+        }
+
+        sessionStorage.removeItem('shopAiLastMessage');
+        ShopAIChat.Message.add(status === 'denied'
+          ? "Sign-in was cancelled. Let me know if there's anything else I can help with."
+          : "Sign-in didn't work. Please try again.",
+          'assistant', messagesContainer);
+      },
+
+      /**
+       * Resume the conversation once the customer is signed in
+       * @param {string} conversationId - Conversation ID
+       * @param {HTMLElement} messagesContainer - The messages container
+       */
+      completeAuth: function(conversationId, messagesContainer) {
+        const message = sessionStorage.getItem('shopAiLastMessage');
+
+        if (message) {
+          sessionStorage.removeItem('shopAiLastMessage');
+          ShopAIChat.Message.add("Authorization successful! I'm now continuing with your request.",
+            'assistant', messagesContainer);
+          ShopAIChat.UI.showTypingIndicator();
+          ShopAIChat.API.streamResponse(message, conversationId, messagesContainer);
+        } else {
+          ShopAIChat.Message.add("You're signed in. How can I help with your account?",
+            'assistant', messagesContainer);
+        }
       }
     },
 
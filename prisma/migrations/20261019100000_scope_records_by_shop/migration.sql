@@ -0,0 +1,41 @@
+-- AlterTable
+ALTER TABLE "Conversation" ADD COLUMN "shop" TEXT NOT NULL DEFAULT '';
+
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN "shop" TEXT NOT NULL DEFAULT '';
+
+-- AlterTable
+ALTER TABLE "CustomerToken" ADD COLUMN "shop" TEXT NOT NULL DEFAULT '';
+
+-- AlterTable
+ALTER TABLE "CustomerAccountUrls" ADD COLUMN "shop" TEXT NOT NULL DEFAULT '';
+
+-- Backfill: existing rows can only be attributed when a single shop has installed the app.
+-- Otherwise they keep an empty shop and are no longer readable by any storefront.
+UPDATE "Conversation"
+SET "shop" = (SELECT "shop" FROM "Session" LIMIT 1)
+WHERE "shop" = '' AND (SELECT COUNT(DISTINCT "shop") FROM "Session") = 1;
+
+UPDATE "Message"
+SET "shop" = COALESCE((SELECT "shop" FROM "Conversation" WHERE "Conversation"."id" = "Message"."conversationId"), '')
+WHERE "shop" = '';
+
+UPDATE "CustomerToken"
+SET "shop" = COALESCE((SELECT "shop" FROM "Conversation" WHERE "Conversation"."id" = "CustomerToken"."conversationId"), '')
+WHERE "shop" = '';
+
+UPDATE "CustomerAccountUrls"
+SET "shop" = COALESCE((SELECT "shop" FROM "Conversation" WHERE "Conversation"."id" = "CustomerAccountUrls"."conversationId"), '')
+WHERE "shop" = '';
+
+-- CreateIndex
+CREATE INDEX "Conversation_shop_updatedAt_idx" ON "Conversation"("shop", "updatedAt");
+
+-- CreateIndex
+CREATE INDEX "Message_shop_idx" ON "Message"("shop");
+
+-- CreateIndex
+CREATE INDEX "CustomerToken_shop_conversationId_idx" ON "CustomerToken"("shop", "conversationId");
+
+-- CreateIndex
+CREATE INDEX "CustomerAccountUrls_shop_idx" ON "CustomerAccountUrls"("shop");
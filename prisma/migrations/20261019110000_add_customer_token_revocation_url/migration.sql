@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "CustomerAccountUrls" ADD COLUMN "revocationUrl" TEXT;
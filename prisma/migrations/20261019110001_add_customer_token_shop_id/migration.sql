@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "CustomerToken" ADD COLUMN "shopId" TEXT;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "CodeVerifier" ADD COLUMN "shop" TEXT NOT NULL DEFAULT '';
+ALTER TABLE "CodeVerifier" ADD COLUMN "shopId" TEXT NOT NULL DEFAULT '';
+ALTER TABLE "CodeVerifier" ADD COLUMN "conversationId" TEXT NOT NULL DEFAULT '';
+ALTER TABLE "CodeVerifier" ADD COLUMN "returnOrigin" TEXT;
+
+-- Pending flows used the old "<conversationId>-<shopId>" state and cannot be completed
+DELETE FROM "CodeVerifier";
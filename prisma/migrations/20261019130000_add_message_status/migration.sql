@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN "status" TEXT NOT NULL DEFAULT 'complete';
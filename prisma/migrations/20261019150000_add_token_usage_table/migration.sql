@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "TokenUsage" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "conversationId" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "model" TEXT NOT NULL,
+    "purpose" TEXT NOT NULL DEFAULT 'chat',
+    "inputTokens" INTEGER NOT NULL DEFAULT 0,
+    "outputTokens" INTEGER NOT NULL DEFAULT 0,
+    "cacheCreationInputTokens" INTEGER NOT NULL DEFAULT 0,
+    "cacheReadInputTokens" INTEGER NOT NULL DEFAULT 0,
+    "costUsd" REAL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "TokenUsage_shop_createdAt_idx" ON "TokenUsage"("shop", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "TokenUsage_shop_conversationId_idx" ON "TokenUsage"("shop", "conversationId");
@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE "RateLimitCount" (
+    "key" TEXT NOT NULL,
+    "windowStart" DATETIME NOT NULL,
+    "count" INTEGER NOT NULL DEFAULT 0,
+    "expiresAt" DATETIME NOT NULL,
+
+    PRIMARY KEY ("key", "windowStart")
+);
+
+-- CreateIndex
+CREATE INDEX "RateLimitCount_expiresAt_idx" ON "RateLimitCount"("expiresAt");
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "KnowledgeProfile" (
+    "shop" TEXT NOT NULL PRIMARY KEY,
+    "shopName" TEXT NOT NULL DEFAULT '',
+    "currency" TEXT NOT NULL DEFAULT '',
+    "brandVoice" TEXT NOT NULL DEFAULT '',
+    "policies" TEXT NOT NULL DEFAULT '[]',
+    "policiesSyncedAt" DATETIME,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "FaqEntry" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "question" TEXT NOT NULL,
+    "answer" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "FaqEntry_shop_idx" ON "FaqEntry"("shop");
@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "KnowledgeDocument" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "format" TEXT NOT NULL,
+    "sourceName" TEXT NOT NULL DEFAULT '',
+    "url" TEXT NOT NULL DEFAULT '',
+    "content" TEXT NOT NULL,
+    "embeddingModel" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "KnowledgeChunk" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "documentId" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "heading" TEXT NOT NULL DEFAULT '',
+    "text" TEXT NOT NULL,
+    "embedding" BLOB NOT NULL,
+    CONSTRAINT "KnowledgeChunk_documentId_fkey" FOREIGN KEY ("documentId") REFERENCES "KnowledgeDocument" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "KnowledgeDocument_shop_idx" ON "KnowledgeDocument"("shop");
+
+-- CreateIndex
+CREATE INDEX "KnowledgeChunk_shop_idx" ON "KnowledgeChunk"("shop");
+
+-- CreateIndex
+CREATE INDEX "KnowledgeChunk_documentId_idx" ON "KnowledgeChunk"("documentId");
@@ -0,0 +1,150 @@
+/**
+ * Offline chat replay harness
+ *
+ * Drives the /chat route end to end with the mock LLM provider and the in-process
+ * mock MCP server, validates every server-sent event against the stream schema
+ * (docs/sse-events.md) and checks the event sequence against each fixture's
+ * `expectedEvents`.
+ *
+ * Usage: npm run replay:chat [fixture-name ...]
+ * Requires a migrated local database (npx prisma migrate deploy).
+ */
+import { createServer } from "vite";
+
+const SHOP_DOMAIN = "mock-store.myshopify.com";
+const SHOP_ORIGIN = `https://${SHOP_DOMAIN}`;
+
+// Both the model and the MCP servers are served in-process, and requests
+// are not routed through the app proxy
+process.env.LLM_PROVIDER = "mock";
+process.env.MCP_MOCK = "true";
+process.env.APP_PROXY_DEV_BYPASS = "true";
+// Auth links only need a well-formed redirect URI
+process.env.SHOPIFY_APP_URL = process.env.SHOPIFY_APP_URL || "http://localhost:3000";
+
+/**
+ * Loads app modules through Vite so extensionless and JSON imports resolve
+ * @returns {Promise<Object>} The Vite server and loaded modules
+ */
+async function loadAppModules() {
+  const server = await createServer({
+    configFile: false,
+    logLevel: "error",
+    appType: "custom",
+    server: { middlewareMode: true, hmr: false },
+    optimizeDeps: { noDiscovery: true, include: [] }
+  });
+
+  const chatRoute = await server.ssrLoadModule("/app/routes/chat.jsx");
+  const mockProvider = await server.ssrLoadModule("/app/services/providers/mock.server.js");
+  const mockMcp = await server.ssrLoadModule("/app/mcp-mock.server.js");
+  const { AppConfig } = await server.ssrLoadModule("/app/services/config.server.js");
+  const streamEvents = await server.ssrLoadModule("/app/services/stream-events.server.js");
+
+  return { server, chatRoute, mockProvider, mockMcp, AppConfig, streamEvents };
+}
+
+/**
+ * Reads every event from an SSE response body
+ * @param {Response} response - The chat route response
+ * @returns {Promise<Array>} Parsed event payloads
+ */
+async function readSseEvents(response) {
+  const text = await response.text();
+
+  return text
+    .split("\n\n")
+    .map((frame) => frame.split("\n").find((line) => line.startsWith("data: ")))
+    .filter(Boolean)
+    .map((line) => JSON.parse(line.slice(6)));
+}
+
+/**
+ * Collapses consecutive duplicate event types (e.g. streamed chunks)
+ * @param {Array} events - Event payloads
+ * @returns {Array<string>} Collapsed event types
+ */
+function collapseEventTypes(events) {
+  return events
+    .map((event) => event.type)
+    .filter((type, index, types) => index === 0 || types[index - 1] !== type);
+}
+
+/**
+ * Validates every event against the stream schema
+ * @param {Object} streamEvents - The stream events module
+ * @param {Array} events - Event payloads
+ * @returns {Array<string>} Validation errors, prefixed with the event index
+ */
+function validateEvents(streamEvents, events) {
+  return events.flatMap((event, index) =>
+    streamEvents.validateStreamEvent(event).map((error) => `#${index} ${error}`)
+  );
+}
+
+/**
+ * Replays a single fixture through the chat route
+ * @param {Object} modules - Loaded app modules
+ * @param {string} name - The fixture name
+ * @returns {Promise<boolean>} True if the event sequence matched
+ */
+async function replayFixture({ chatRoute, mockProvider, mockMcp, AppConfig, streamEvents }, name) {
+  const fixture = mockProvider.getMockFixture(name);
+  AppConfig.llm.mock.fixture = name;
+  mockMcp.getMockMcpServer().reset();
+
+  try {
+    const request = new Request("http://localhost/chat", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Accept": "text/event-stream",
+        "Origin": SHOP_ORIGIN,
+        "X-Shopify-Shop-Domain": SHOP_DOMAIN
+      },
+      // Each fixture starts a new conversation with a server-issued id
+      body: JSON.stringify({
+        message: fixture.request.message
+      })
+    });
+
+    const response = await chatRoute.action({ request });
+    const events = await readSseEvents(response);
+    const actual = collapseEventTypes(events);
+    const expected = fixture.expectedEvents || [];
+    const sequenceMatched = JSON.stringify(actual) === JSON.stringify(expected);
+    const schemaErrors = validateEvents(streamEvents, events);
+    const passed = sequenceMatched && schemaErrors.length === 0;
+
+    console.log(`${passed ? "PASS" : "FAIL"} ${name} - ${fixture.description}`);
+
+    if (!sequenceMatched) {
+      console.log("  expected:", expected.join(", "));
+      console.log("  actual:  ", actual.join(", "));
+    }
+
+    for (const error of schemaErrors) {
+      console.log("  schema:  ", error);
+    }
+
+    return passed;
+  } catch (error) {
+    console.log(`FAIL ${name} - ${error.message}`);
+    return false;
+  }
+}
+
+const modules = await loadAppModules();
+const names = process.argv.slice(2);
+let failures = 0;
+
+try {
+  for (const name of names.length > 0 ? names : modules.mockProvider.listMockFixtures()) {
+    const passed = await replayFixture(modules, name);
+    if (!passed) failures += 1;
+  }
+} finally {
+  await modules.server.close();
+}
+
+process.exitCode = failures > 0 ? 1 : 0;
@@ -0,0 +1,92 @@
+/**
+ * Replays every mock LLM fixture through the /chat route and checks the
+ * server-sent events against the fixture's `expectedEvents` and the stream schema.
+ * The database is replaced by an in-memory stand-in.
+ */
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { action } from "../app/routes/chat";
+import AppConfig from "../app/services/config.server";
+import { getMockMcpServer } from "../app/mcp-mock.server";
+import { createMockProvider, getMockFixture, listMockFixtures } from "../app/services/providers/mock.server";
+import { validateStreamEvent } from "../app/services/stream-events.server";
+import { resetMemoryDb } from "./support/memory-db";
+
+vi.mock("../app/db.server", () => import("./support/memory-db"));
+
+const SHOP_DOMAIN = "mock-store.myshopify.com";
+
+/**
+ * Posts a message to the chat route as the storefront widget does
+ * @param {string} message - The customer's message
+ * @returns {Promise<Response>} The SSE response
+ */
+function sendMessage(message) {
+  const request = new Request("http://localhost/chat", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Accept": "text/event-stream",
+      "Origin": `https://${SHOP_DOMAIN}`,
+      "X-Shopify-Shop-Domain": SHOP_DOMAIN
+    },
+    body: JSON.stringify({ message })
+  });
+
+  return action({ request });
+}
+
+/**
+ * Reads every event from an SSE response body
+ * @param {Response} response - The chat route response
+ * @returns {Promise<Array>} Parsed event payloads
+ */
+async function readSseEvents(response) {
+  const text = await response.text();
+
+  return text
+    .split("\n\n")
+    .map((frame) => frame.split("\n").find((line) => line.startsWith("data: ")))
+    .filter(Boolean)
+    .map((line) => JSON.parse(line.slice(6)));
+}
+
+/**
+ * Collapses consecutive duplicate event types (e.g. streamed chunks)
+ * @param {Array} events - Event payloads
+ * @returns {Array<string>} Collapsed event types
+ */
+function collapseEventTypes(events) {
+  return events
+    .map((event) => event.type)
+    .filter((type, index, types) => index === 0 || types[index - 1] !== type);
+}
+
+describe("chat replay", () => {
+  beforeEach(() => {
+    resetMemoryDb();
+    getMockMcpServer().reset();
+  });
+
+  it.each(listMockFixtures())("replays the %s fixture", async (name) => {
+    const fixture = getMockFixture(name);
+    AppConfig.llm.mock.fixture = name;
+
+    const events = await readSseEvents(await sendMessage(fixture.request.message));
+
+    expect(collapseEventTypes(events)).toEqual(fixture.expectedEvents);
+    expect(events.flatMap((event) => validateStreamEvent(event))).toEqual([]);
+  });
+});
+
+describe("mock provider", () => {
+  it("keeps a separate turn cursor per instance", async () => {
+    const first = createMockProvider({ fixture: "product-search" });
+    const firstTurn = await first.streamTurn({ messages: [] });
+    const secondTurn = await first.streamTurn({ messages: [] });
+
+    const second = createMockProvider({ fixture: "product-search" });
+
+    expect(secondTurn).not.toEqual(firstTurn);
+    expect(await second.streamTurn({ messages: [] })).toEqual(firstTurn);
+  });
+});
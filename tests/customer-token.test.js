@@ -0,0 +1,69 @@
+/**
+ * Checks how customer account tokens are refreshed
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { getCustomerAccessToken, saveTokenResponse } from "../app/services/customer-token.server";
+import { getCustomerToken } from "../app/db.server";
+import { resetMemoryDb } from "./support/memory-db";
+
+vi.mock("../app/db.server", () => import("./support/memory-db"));
+
+const SHOP = "mock-store.myshopify.com";
+const CONVERSATION_ID = "conversation-1";
+const SHOP_ID = "12345";
+
+/**
+ * Stores tokens that are due for a refresh
+ */
+async function saveExpiringToken() {
+  await saveTokenResponse(SHOP, CONVERSATION_ID, {
+    access_token: "old-access-token",
+    refresh_token: "refresh-token",
+    expires_in: 30
+  }, SHOP_ID);
+}
+
+describe("getCustomerAccessToken", () => {
+  beforeEach(() => {
+    resetMemoryDb();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it("refreshes tokens at the shop's token endpoint", async () => {
+    await saveExpiringToken();
+    const fetchMock = vi.fn(async () => Response.json({
+      access_token: "new-access-token",
+      expires_in: 3600
+    }));
+    vi.stubGlobal("fetch", fetchMock);
+
+    expect(await getCustomerAccessToken(SHOP, CONVERSATION_ID)).toBe("new-access-token");
+    expect(fetchMock.mock.calls[0][0]).toBe(`https://shopify.com/authentication/${SHOP_ID}/oauth/token`);
+    expect(await getCustomerToken(SHOP, CONVERSATION_ID)).toMatchObject({
+      accessToken: "new-access-token",
+      refreshToken: "refresh-token",
+      shopId: SHOP_ID
+    });
+  });
+
+  it("returns no token once a rejected refresh has deleted the tokens", async () => {
+    await saveExpiringToken();
+    vi.stubGlobal("fetch", vi.fn(async () => new Response("invalid_grant", { status: 400 })));
+
+    expect(await getCustomerAccessToken(SHOP, CONVERSATION_ID)).toBeNull();
+    expect(await getCustomerToken(SHOP, CONVERSATION_ID, { includeExpired: true })).toBeNull();
+  });
+
+  it("keeps using the current token while the token endpoint is unavailable", async () => {
+    await saveExpiringToken();
+    vi.stubGlobal("fetch", vi.fn(async () => new Response("unavailable", { status: 503 })));
+
+    expect(await getCustomerAccessToken(SHOP, CONVERSATION_ID)).toBe("old-access-token");
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Checks how uploaded document files are read
+ */
+import { describe, it, expect, vi } from "vitest";
+import { isPdfFile, extractPdfText, decodeTextFile, extractDocumentText } from "../app/services/documents.server";
+
+vi.mock("../app/db.server", () => import("./support/memory-db"));
+
+/**
+ * Builds a PDF with one page per entry, each holding lines of Helvetica text
+ * @param {Array<Array<string>>} pages - The lines of each page
+ * @returns {Uint8Array} The PDF file
+ */
+function createPdf(pages) {
+  const fontId = 3 + pages.length * 2;
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${pages.map((page, index) => `${3 + index * 2} 0 R`).join(" ")}] /Count ${pages.length} >>`
+  ];
+
+  pages.forEach((lines, index) => {
+    const stream = `BT /F1 12 Tf 72 720 Td 14 TL ${lines.map((line) => `(${line}) Tj T*`).join(" ")} ET`;
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 ${fontId} 0 R >> >> /Contents ${4 + index * 2} 0 R >>`,
+      `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+    );
+  });
+  objects.push("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>");
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return new TextEncoder().encode(pdf);
+}
+
+describe("PDF uploads", () => {
+  it("recognises PDFs by their contents", () => {
+    expect(isPdfFile(createPdf([["Size guide"]]))).toBe(true);
+    expect(isPdfFile(new TextEncoder().encode("# Size guide"))).toBe(false);
+  });
+
+  it("extracts the text of every page", async () => {
+    const pdf = createPdf([
+      ["Size guide", "Our boards run true to size."],
+      ["Care instructions", "Wax the base every season."]
+    ]);
+
+    const text = extractDocumentText(await extractPdfText(pdf), "pdf");
+
+    expect(text).toContain("Our boards run true to size.");
+    expect(text).toContain("Wax the base every season.");
+    expect(text.indexOf("Size guide")).toBeLessThan(text.indexOf("Care instructions"));
+  });
+
+  it("returns no text for pages without a text layer", async () => {
+    expect(await extractPdfText(createPdf([[]]))).toBe("");
+  });
+
+  it("rejects files that are not PDFs", async () => {
+    await expect(extractPdfText(new TextEncoder().encode("not a pdf"))).rejects.toThrow();
+  });
+});
+
+describe("decodeTextFile", () => {
+  it("decodes UTF-8 text", () => {
+    expect(decodeTextFile(new TextEncoder().encode("Größentabelle\r\n\tS, M, L"))).toBe("Größentabelle\r\n\tS, M, L");
+  });
+
+  it("rejects binary files", () => {
+    expect(decodeTextFile(new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))).toBeNull();
+    expect(decodeTextFile(new Uint8Array([0x50, 0x4b, 0x03, 0x04, 0x14, 0x00]))).toBeNull();
+  });
+});
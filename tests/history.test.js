@@ -0,0 +1,105 @@
+/**
+ * Checks how the conversation history is folded into the rolling summary
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import AppConfig from "../app/services/config.server";
+import { buildConversationHistory } from "../app/services/history.server";
+import { saveMessage, getConversationSummary } from "../app/db.server";
+import { resetMemoryDb } from "./support/memory-db";
+
+vi.mock("../app/db.server", () => import("./support/memory-db"));
+
+const SHOP = "mock-store.myshopify.com";
+const CONVERSATION_ID = "conversation-1";
+
+/**
+ * Stores customer and assistant turns of about 250 tokens each
+ * @param {number} count - Number of turns
+ */
+async function saveTurns(count) {
+  for (let index = 0; index < count; index++) {
+    await saveMessage(SHOP, CONVERSATION_ID, "user", `Question ${index} ${"q".repeat(500)}`);
+    await saveMessage(SHOP, CONVERSATION_ID, "assistant", `Answer ${index} ${"a".repeat(500)}`);
+  }
+}
+
+describe("buildConversationHistory", () => {
+  const { maxTokens } = AppConfig.history;
+
+  beforeEach(() => {
+    resetMemoryDb();
+    AppConfig.history.maxTokens = 1000;
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    AppConfig.history.maxTokens = maxTokens;
+    vi.restoreAllMocks();
+  });
+
+  it("sends every turn while the history fits the budget", async () => {
+    await saveTurns(2);
+    const summarize = vi.fn();
+
+    const messages = await buildConversationHistory({ shop: SHOP, conversationId: CONVERSATION_ID, summarize });
+
+    expect(messages).toHaveLength(4);
+    expect(summarize).not.toHaveBeenCalled();
+  });
+
+  it("folds the oldest turns into a saved summary", async () => {
+    await saveTurns(6);
+
+    const messages = await buildConversationHistory({
+      shop: SHOP,
+      conversationId: CONVERSATION_ID,
+      summarize: async () => "The customer asked about boards."
+    });
+
+    expect(messages[0].role).toBe("user");
+    expect(messages[0].content[0].text).toContain("The customer asked about boards.");
+    expect(messages.length).toBeLessThan(12);
+    expect(await getConversationSummary(SHOP, CONVERSATION_ID)).toMatchObject({
+      summary: "The customer asked about boards."
+    });
+  });
+
+  it("leaves the stored summary as it was when summarising fails", async () => {
+    await saveTurns(6);
+
+    const messages = await buildConversationHistory({
+      shop: SHOP,
+      conversationId: CONVERSATION_ID,
+      summarize: async () => {
+        throw new Error("Summary model unavailable");
+      }
+    });
+
+    expect(messages[0].role).toBe("user");
+    expect(messages.length).toBeLessThan(12);
+    expect(await getConversationSummary(SHOP, CONVERSATION_ID)).toBeNull();
+
+    // The next turn folds the same turns again
+    const summarize = vi.fn(async () => "Recovered summary");
+    await buildConversationHistory({ shop: SHOP, conversationId: CONVERSATION_ID, summarize });
+
+    expect(summarize.mock.calls[0][0].messages[0].content[0].text).toMatch(/^Question 0 /);
+  });
+
+  it("does not save a summary that finishes after the turn is cancelled", async () => {
+    await saveTurns(6);
+    const controller = new AbortController();
+
+    await buildConversationHistory({
+      shop: SHOP,
+      conversationId: CONVERSATION_ID,
+      summarize: async () => {
+        controller.abort();
+        return "Too late";
+      },
+      signal: controller.signal
+    });
+
+    expect(await getConversationSummary(SHOP, CONVERSATION_ID)).toBeNull();
+  });
+});
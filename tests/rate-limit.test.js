@@ -0,0 +1,70 @@
+/**
+ * Checks the chat rate limiter and how the client IP is read
+ */
+import { describe, it, expect, vi } from "vitest";
+import { createRateLimiter, createMemoryRateLimitStore, getClientIp } from "../app/services/rate-limit.server";
+
+vi.mock("../app/db.server", () => import("./support/memory-db"));
+
+/**
+ * Builds a storefront request with the given headers
+ * @param {Object} headers - Request headers
+ * @returns {Request} The request
+ */
+function createRequest(headers) {
+  return new Request("http://localhost/chat", { method: "POST", headers });
+}
+
+describe("getClientIp", () => {
+  it("takes the entry added by the app proxy, not the ones the client sent", () => {
+    const request = createRequest({ "X-Forwarded-For": "1.1.1.1, 2.2.2.2, 203.0.113.7" });
+
+    expect(getClientIp(request)).toBe("203.0.113.7");
+  });
+
+  it("skips entries added by further trusted proxies", () => {
+    const request = createRequest({ "X-Forwarded-For": "1.1.1.1, 203.0.113.7, 10.0.0.2" });
+
+    expect(getClientIp(request, 2)).toBe("203.0.113.7");
+  });
+
+  it("uses the first entry when fewer proxies appended than are trusted", () => {
+    expect(getClientIp(createRequest({ "X-Forwarded-For": "203.0.113.7" }), 2)).toBe("203.0.113.7");
+  });
+
+  it("falls back to X-Real-IP and returns null without either header", () => {
+    expect(getClientIp(createRequest({ "X-Real-IP": "203.0.113.7" }))).toBe("203.0.113.7");
+    expect(getClientIp(createRequest({}))).toBeNull();
+  });
+});
+
+describe("createRateLimiter", () => {
+  const limits = {
+    conversation: { limit: 2, windowMs: 60 * 1000 },
+    ip: { limit: 100, windowMs: 60 * 1000 },
+    ipConversations: { limit: 2, windowMs: 60 * 1000 }
+  };
+
+  it("limits the messages of a conversation", async () => {
+    const limiter = createRateLimiter({ store: createMemoryRateLimitStore(), limits });
+
+    expect(await limiter.consume({ conversation: "c-1", ip: "203.0.113.7" })).toEqual({ allowed: true });
+    expect(await limiter.consume({ conversation: "c-1", ip: "203.0.113.7" })).toEqual({ allowed: true });
+    expect(await limiter.consume({ conversation: "c-1", ip: "203.0.113.7" })).toMatchObject({
+      allowed: false,
+      scope: "conversation"
+    });
+  });
+
+  it("limits new conversations, so starting one does not reset the limit", async () => {
+    const limiter = createRateLimiter({ store: createMemoryRateLimitStore(), limits });
+    const startConversation = (conversation) =>
+      limiter.consume({ conversation, ip: "203.0.113.7", ipConversations: "203.0.113.7" });
+
+    expect(await startConversation("c-1")).toEqual({ allowed: true });
+    expect(await startConversation("c-2")).toEqual({ allowed: true });
+    expect(await startConversation("c-3")).toMatchObject({ allowed: false, scope: "ipConversations" });
+    // Messages in existing conversations are still allowed
+    expect(await limiter.consume({ conversation: "c-1", ip: "203.0.113.7" })).toEqual({ allowed: true });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Checks the stream event schema against valid and invalid events of every type
+ */
+import { describe, it, expect } from "vitest";
+import { STREAM_EVENTS, STREAM_SCHEMA_VERSION, validateStreamEvent } from "../app/services/stream-events.server";
+
+/**
+ * A valid event of each type
+ */
+const VALID_EVENTS = {
+  id: { type: "id", conversation_id: "c-1", conversation_token: "token", schema_version: STREAM_SCHEMA_VERSION },
+  chunk: { type: "chunk", chunk: "Hello" },
+  content_block_complete: { type: "content_block_complete", content_block: { type: "text", text: "Hello" } },
+  message_complete: { type: "message_complete" },
+  new_message: { type: "new_message" },
+  tool_call_started: { type: "tool_call_started", id: "toolu_1", name: "search_shop_catalog", args: { query: "boards" } },
+  tool_call_finished: {
+    type: "tool_call_finished",
+    id: "toolu_1",
+    name: "search_shop_catalog",
+    status: "success",
+    duration_ms: 42,
+    summary: "3 products"
+  },
+  auth_required: { type: "auth_required", url: "https://shop.example/authorize", tool_name: "get_most_recent_order_status" },
+  usage: {
+    type: "usage",
+    input_tokens: 120,
+    output_tokens: 30,
+    cache_creation_input_tokens: 0,
+    cache_read_input_tokens: 100,
+    model: "claude-sonnet-4-20250514"
+  },
+  product_results: { type: "product_results", products: [{ id: "1", title: "Snowboard" }] },
+  citations: { type: "citations", citations: [{ index: 1, title: "Size guide" }] },
+  end_turn: { type: "end_turn" },
+  cancelled: { type: "cancelled" },
+  error: { type: "error", error: "Failed", details: "Try again", status: 500 },
+  rate_limit_exceeded: {
+    type: "rate_limit_exceeded",
+    error: "Rate limit exceeded",
+    details: "Please try again later",
+    scope: "ip",
+    retry_after_ms: 1000
+  },
+  auth_status: { type: "auth_status", status: "authorized" }
+};
+
+/**
+ * Invalid events of each type, with the errors they produce
+ */
+const INVALID_EVENTS = {
+  id: [
+    [{ type: "id", conversation_id: "c-1", conversation_token: "token" }, ["id.schema_version is required"]],
+    [{ ...VALID_EVENTS.id, schema_version: "1" }, ["id.schema_version must be of type number"]]
+  ],
+  chunk: [
+    [{ type: "chunk" }, ["chunk.chunk is required"]],
+    [{ type: "chunk", chunk: ["Hello"] }, ["chunk.chunk must be of type string"]]
+  ],
+  content_block_complete: [
+    [{ type: "content_block_complete", content_block: "text" }, ["content_block_complete.content_block must be of type object"]]
+  ],
+  message_complete: [
+    [{ type: "message_complete", text: "Hello" }, ["message_complete.text is not part of the schema"]]
+  ],
+  new_message: [
+    [{ type: "new_message", id: "m-1" }, ["new_message.id is not part of the schema"]]
+  ],
+  tool_call_started: [
+    [{ type: "tool_call_started", id: "toolu_1", args: {} }, ["tool_call_started.name is required"]],
+    [{ ...VALID_EVENTS.tool_call_started, args: "query=boards" }, ["tool_call_started.args must be of type object"]],
+    [{ ...VALID_EVENTS.tool_call_started, input: {} }, ["tool_call_started.input is not part of the schema"]]
+  ],
+  tool_call_finished: [
+    [{ ...VALID_EVENTS.tool_call_finished, status: "timeout" }, ["tool_call_finished.status must be one of success, error, auth_required"]],
+    [{ ...VALID_EVENTS.tool_call_finished, duration_ms: "42" }, ["tool_call_finished.duration_ms must be of type number"]],
+    [{ type: "tool_call_finished", id: "toolu_1", name: "search_shop_catalog" }, [
+      "tool_call_finished.status is required",
+      "tool_call_finished.duration_ms is required",
+      "tool_call_finished.summary is required"
+    ]]
+  ],
+  auth_required: [
+    [{ type: "auth_required", tool_name: "get_most_recent_order_status" }, ["auth_required.url is required"]],
+    [{ ...VALID_EVENTS.auth_required, tool_name: 1 }, ["auth_required.tool_name must be of type string"]]
+  ],
+  usage: [
+    [{ type: "usage", input_tokens: 120 }, ["usage.output_tokens is required"]],
+    [{ ...VALID_EVENTS.usage, cache_read_input_tokens: "100" }, ["usage.cache_read_input_tokens must be of type number"]],
+    [{ ...VALID_EVENTS.usage, cost: 0.01 }, ["usage.cost is not part of the schema"]]
+  ],
+  product_results: [
+    [{ type: "product_results", products: {} }, ["product_results.products must be of type array"]]
+  ],
+  citations: [
+    [{ type: "citations" }, ["citations.citations is required"]]
+  ],
+  end_turn: [
+    [{ type: "end_turn", reason: "done" }, ["end_turn.reason is not part of the schema"]]
+  ],
+  cancelled: [
+    [{ type: "cancelled", reason: "customer" }, ["cancelled.reason is not part of the schema"]]
+  ],
+  error: [
+    [{ type: "error", details: "Try again" }, ["error.error is required"]],
+    [{ ...VALID_EVENTS.error, status: "500" }, ["error.status must be of type number"]]
+  ],
+  rate_limit_exceeded: [
+    [{ ...VALID_EVENTS.rate_limit_exceeded, scope: "user" }, ["rate_limit_exceeded.scope must be one of conversation, ip, shop, ipConversations, shopConversations, budget"]]
+  ],
+  auth_status: [
+    [{ type: "auth_status", status: "expired" }, ["auth_status.status must be one of authorized, denied, error, pending"]]
+  ]
+};
+
+describe("validateStreamEvent", () => {
+  it("has examples for every event type", () => {
+    expect(Object.keys(VALID_EVENTS).sort()).toEqual(Object.keys(STREAM_EVENTS).sort());
+    expect(Object.keys(INVALID_EVENTS).sort()).toEqual(Object.keys(STREAM_EVENTS).sort());
+  });
+
+  it.each(Object.entries(VALID_EVENTS))("accepts a valid %s event", (type, event) => {
+    expect(validateStreamEvent(event)).toEqual([]);
+  });
+
+  it("accepts events without their optional fields", () => {
+    expect(validateStreamEvent({ type: "auth_required", url: "https://shop.example/authorize" })).toEqual([]);
+    expect(validateStreamEvent({ type: "usage", input_tokens: 1, output_tokens: 2 })).toEqual([]);
+    expect(validateStreamEvent({ type: "error", error: "Failed" })).toEqual([]);
+    expect(validateStreamEvent({ type: "rate_limit_exceeded", error: "Rate limit exceeded" })).toEqual([]);
+  });
+
+  it("treats null fields as missing", () => {
+    expect(validateStreamEvent({ type: "chunk", chunk: null })).toEqual(["chunk.chunk is required"]);
+    expect(validateStreamEvent({ ...VALID_EVENTS.auth_required, tool_name: null })).toEqual([]);
+  });
+
+  it.each(
+    Object.entries(INVALID_EVENTS).flatMap(([type, cases]) => cases.map(([event, errors]) => [type, event, errors]))
+  )("rejects an invalid %s event", (type, event, errors) => {
+    expect(validateStreamEvent(event)).toEqual(errors);
+  });
+
+  it("rejects unknown event types and non-objects", () => {
+    expect(validateStreamEvent({ type: "typing" })).toEqual(['unknown event type "typing"']);
+    expect(validateStreamEvent(null)).toEqual(["event must be an object"]);
+    expect(validateStreamEvent("chunk")).toEqual(["event must be an object"]);
+  });
+});
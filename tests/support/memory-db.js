@@ -0,0 +1,156 @@
+/**
+ * In-memory stand-in for app/db.server.js
+ * Implements the helpers the chat route uses, so tests run without a database.
+ */
+
+const state = createState();
+
+/**
+ * Creates empty tables
+ * @returns {Object} The tables
+ */
+function createState() {
+  return {
+    messages: [],
+    conversations: new Map(),
+    customerAccountUrls: new Map(),
+    customerTokens: new Map(),
+    codeVerifiers: new Map(),
+    tokenUsage: []
+  };
+}
+
+/**
+ * Empties every table
+ */
+export function resetMemoryDb() {
+  Object.assign(state, createState());
+}
+
+export async function isShopInstalled() {
+  return true;
+}
+
+export async function getConversationShop(conversationId) {
+  return state.conversations.get(conversationId)?.shop || null;
+}
+
+export async function saveMessage(shop, conversationId, role, content, { status = "complete" } = {}) {
+  const owner = state.conversations.get(conversationId);
+  if (owner && owner.shop !== shop) {
+    throw new Error(`Conversation ${conversationId} does not belong to ${shop}`);
+  }
+  if (!owner) {
+    state.conversations.set(conversationId, { shop, summary: null, summarizedThrough: null });
+  }
+
+  const previous = state.messages[state.messages.length - 1];
+  // Strictly increasing timestamps keep the history order stable
+  const createdAt = new Date(Math.max(Date.now(), (previous?.createdAt.getTime() || 0) + 1));
+  const message = { id: `message-${state.messages.length + 1}`, shop, conversationId, role, content, status, createdAt };
+  state.messages.push(message);
+  return message;
+}
+
+export async function getConversationHistory(shop, conversationId, { after } = {}) {
+  return state.messages.filter((message) =>
+    message.shop === shop &&
+    message.conversationId === conversationId &&
+    (!after || message.createdAt > after)
+  );
+}
+
+export async function getConversationSummary(shop, conversationId) {
+  const conversation = state.conversations.get(conversationId);
+  return conversation?.shop === shop && conversation.summary
+    ? { summary: conversation.summary, summarizedThrough: conversation.summarizedThrough }
+    : null;
+}
+
+export async function saveConversationSummary(shop, conversationId, summary, summarizedThrough) {
+  const conversation = state.conversations.get(conversationId);
+  if (conversation?.shop !== shop) return false;
+
+  Object.assign(conversation, { summary, summarizedThrough });
+  return true;
+}
+
+export async function storeCustomerAccountUrls({ conversationId, ...urls }) {
+  state.customerAccountUrls.set(conversationId, { conversationId, ...urls });
+  return state.customerAccountUrls.get(conversationId);
+}
+
+export async function getCustomerAccountUrls(shop, conversationId) {
+  const urls = state.customerAccountUrls.get(conversationId);
+  return urls?.shop === shop ? urls : null;
+}
+
+export async function getCustomerToken(shop, conversationId, { includeExpired = false } = {}) {
+  const token = state.customerTokens.get(`${shop}|${conversationId}`);
+  if (!token || (!includeExpired && token.expiresAt <= new Date())) return null;
+  return { ...token };
+}
+
+export async function storeCustomerToken(shop, conversationId, accessToken, expiresAt, refreshToken = null, shopId = null) {
+  const existing = state.customerTokens.get(`${shop}|${conversationId}`);
+  const token = {
+    shop,
+    conversationId,
+    accessToken,
+    expiresAt,
+    refreshToken: refreshToken || existing?.refreshToken || null,
+    shopId: shopId || existing?.shopId || null
+  };
+  state.customerTokens.set(`${shop}|${conversationId}`, token);
+  return token;
+}
+
+export async function deleteCustomerTokens(shop, conversationId) {
+  return state.customerTokens.delete(`${shop}|${conversationId}`) ? 1 : 0;
+}
+
+export async function storeCodeVerifier(verifier) {
+  state.codeVerifiers.set(verifier.state, { ...verifier });
+  return verifier;
+}
+
+export async function getCodeVerifier(verifierState) {
+  return state.codeVerifiers.get(verifierState) || null;
+}
+
+export async function getMcpServers() {
+  return [];
+}
+
+export async function saveTokenUsage(shop, conversationId, usage) {
+  const record = { shop, conversationId, ...usage, createdAt: new Date() };
+  state.tokenUsage.push(record);
+  return record;
+}
+
+export async function sumTokenUsage(shop, since) {
+  return state.tokenUsage
+    .filter((record) => record.shop === shop && record.createdAt >= since)
+    .reduce((sum, record) => sum + record.inputTokens + record.outputTokens +
+      record.cacheCreationInputTokens + record.cacheReadInputTokens, 0);
+}
+
+export async function getLatestPromptVersion() {
+  return null;
+}
+
+export async function getKnowledgeProfile() {
+  return null;
+}
+
+export async function listFaqEntries() {
+  return [];
+}
+
+export async function countKnowledgeDocuments() {
+  return 0;
+}
+
+export async function getKnowledgeChunks() {
+  return [];
+}
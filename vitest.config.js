@@ -0,0 +1,16 @@
+import { defineConfig } from "vitest/config";
+
+// Tests load app modules directly, without the React Router plugin.
+// The chat flow runs against the mock LLM provider and the in-process mock MCP server.
+export default defineConfig({
+  test: {
+    include: ["tests/**/*.test.js"],
+    environment: "node",
+    env: {
+      LLM_PROVIDER: "mock",
+      MCP_MOCK: "true",
+      APP_PROXY_DEV_BYPASS: "true",
+      SHOPIFY_APP_URL: "http://localhost:3000",
+    },
+  },
+});